@@ -2,7 +2,7 @@
  * SaladDOM.mjs
  *   - Two-class approach: "SaladDOMPackage" + "SaladElement"
  ***************************************************************/
-import { TypeSalad } from '../TypeSalad.mjs';
+import { TypeSalad, isAssignableTo, registerType } from '../TypeSalad.mjs';
 import { SaladString, SaladArray, SaladObject } from '../TypeSalad.mjs';
 
 /***************************************************************
@@ -50,12 +50,27 @@ export class SaladElement extends TypeSalad {
     return `[SaladElement <${this._tagName}>]`;
   }
 
+  /** Two SaladElements are equal when they wrap the same DOM node */
+  equals(other) {
+    return other?.type === this.type && other.getDomRef() === this._dom;
+  }
+
+  /** Consistent with equals: the same node always has the same tag */
+  hashCode() {
+    return TypeSalad.hash(this._tagName);
+  }
+
+  /** DOM nodes have no natural ordering */
+  compareTo(other) {
+    throw new TypeError(`Type '${this.type}' is not comparable.`);
+  }
+
   /**
    * setText(typedStr: SaladString)
    *   - sets .textContent
    */
   setText(typedStr) {
-    if (!typedStr || typedStr.type !== 'String') {
+    if (!isAssignableTo(typedStr, 'String')) {
       throw new TypeError(`setText expects a SaladString, got '${typedStr?.type}'.`);
     }
     this._dom.textContent = typedStr.valueOf();
@@ -66,7 +81,7 @@ export class SaladElement extends TypeSalad {
    * appendChild(child: SaladElement)
    */
   appendChild(child) {
-    if (!child || child.type !== 'SaladElement') {
+    if (!isAssignableTo(child, 'SaladElement')) {
       throw new TypeError(`appendChild expects a SaladElement, got '${child?.type}'.`);
     }
     this._dom.appendChild(child.getDomRef());
@@ -77,7 +92,7 @@ export class SaladElement extends TypeSalad {
    * removeChild(child: SaladElement)
    */
   removeChild(child) {
-    if (!child || child.type !== 'SaladElement') {
+    if (!isAssignableTo(child, 'SaladElement')) {
       throw new TypeError(`removeChild expects a SaladElement, got '${child?.type}'.`);
     }
     this._dom.removeChild(child.getDomRef());
@@ -88,7 +103,7 @@ export class SaladElement extends TypeSalad {
    * setAttribute(attrName: string, typedVal: SaladString)
    */
   setAttribute(attrName, typedVal) {
-    if (typedVal?.type === 'String') {
+    if (isAssignableTo(typedVal, 'String')) {
       this._dom.setAttribute(attrName, typedVal.valueOf());
     } else {
       throw new TypeError(`setAttribute expects a SaladString, got '${typedVal?.type}'.`);
@@ -108,7 +123,7 @@ export class SaladElement extends TypeSalad {
    * addClass(typedClassName: SaladString)
    */
   addClass(typedClassName) {
-    if (!typedClassName || typedClassName.type !== 'String') {
+    if (!isAssignableTo(typedClassName, 'String')) {
       throw new TypeError(`addClass expects a SaladString, got '${typedClassName?.type}'.`);
     }
     this._dom.classList.add(typedClassName.valueOf());
@@ -119,7 +134,7 @@ export class SaladElement extends TypeSalad {
    * removeClass(typedClassName: SaladString)
    */
   removeClass(typedClassName) {
-    if (!typedClassName || typedClassName.type !== 'String') {
+    if (!isAssignableTo(typedClassName, 'String')) {
       throw new TypeError(`removeClass expects a SaladString, got '${typedClassName?.type}'.`);
     }
     this._dom.classList.remove(typedClassName.valueOf());
@@ -131,14 +146,14 @@ export class SaladElement extends TypeSalad {
    *   - typed style property => typed string for each property
    */
   setStyle(typedStyleObj) {
-    if (!typedStyleObj || typedStyleObj.type !== 'Object') {
+    if (!isAssignableTo(typedStyleObj, 'Object')) {
       throw new TypeError(`setStyle expects a SaladObject, got '${typedStyleObj?.type}'.`);
     }
 
     const rawObj = typedStyleObj.valueOf(); // normal JS object
     for (const key in rawObj) {
       const val = rawObj[key];
-      if (val?.type === 'String') {
+      if (isAssignableTo(val, 'String')) {
         this._dom.style[key] = val.valueOf();
       } else {
         throw new TypeError(`Style property '${key}' must be a SaladString, got '${val?.type}'.`);
@@ -166,7 +181,7 @@ export class SaladElement extends TypeSalad {
     const kids = Array.from(this._dom.children).map(node =>
       new SaladElement(node.tagName.toLowerCase(), node)
     );
-    return new SaladArray(kids);
+    return new SaladArray(kids, 'SaladElement');
   }
 }
 
@@ -183,7 +198,7 @@ export class SaladDOMPackage extends TypeSalad {
    * createElement(tagName : SaladString) => SaladElement
    */
   createElement(tagName) {
-    if (!tagName || tagName.type !== 'String') {
+    if (!isAssignableTo(tagName, 'String')) {
       throw new TypeError(`createElement expects a SaladString, got '${tagName?.type}'.`);
     }
     return new SaladElement(tagName.valueOf());
@@ -194,7 +209,7 @@ export class SaladDOMPackage extends TypeSalad {
    *   - If we want typed text nodes. We'll wrap them as a "SaladElement"
    */
   createTextNode(typedStr) {
-    if (!typedStr || typedStr.type !== 'String') {
+    if (!isAssignableTo(typedStr, 'String')) {
       throw new TypeError(`createTextNode expects a SaladString, got '${typedStr?.type}'.`);
     }
     const textNode = document.createTextNode(typedStr.valueOf());
@@ -206,7 +221,7 @@ export class SaladDOMPackage extends TypeSalad {
    * attachToBody(saladElem : SaladElement)
    */
   attachToBody(saladElem) {
-    if (!saladElem || saladElem.type !== 'SaladElement') {
+    if (!isAssignableTo(saladElem, 'SaladElement')) {
       throw new TypeError(`attachToBody expects a SaladElement, got '${saladElem?.type}'.`);
     }
     document.body.appendChild(saladElem.getDomRef());
@@ -216,7 +231,7 @@ export class SaladDOMPackage extends TypeSalad {
    * querySelector(typedSelector : SaladString)
    */
   querySelector(typedSelector) {
-    if (!typedSelector || typedSelector.type !== 'String') {
+    if (!isAssignableTo(typedSelector, 'String')) {
       throw new TypeError(`querySelector expects a SaladString, got '${typedSelector?.type}'.`);
     }
     const raw = document.querySelector(typedSelector.valueOf());
@@ -229,23 +244,26 @@ export class SaladDOMPackage extends TypeSalad {
    *   => returns a SaladArray of SaladElement
    */
   querySelectorAll(typedSelector) {
-    if (!typedSelector || typedSelector.type !== 'String') {
+    if (!isAssignableTo(typedSelector, 'String')) {
       throw new TypeError(`querySelectorAll expects a SaladString, got '${typedSelector?.type}'.`);
     }
     const nodeList = document.querySelectorAll(typedSelector.valueOf());
     const elements = Array.from(nodeList).map(node =>
       new SaladElement(node.tagName?.toLowerCase() || '#unknown', node)
     );
-    return new SaladArray(elements);
+    return new SaladArray(elements, 'SaladElement');
   }
 
   /**
-   * formToObject(saladFormElem : SaladElement)
+   * formToObject(saladFormElem : SaladElement, options? : Object)
    *   - If the underlying DOM node is a <form>, we parse it
    *   - Returns a SaladObject of { fieldName: SaladString(...) }
+   *   - With options.schema (see SaladObject), field values are converted to
+   *     the schema types instead; repeated fields (e.g. checkboxes) become
+   *     lists, and empty optional fields are left out
    */
-  formToObject(saladFormElem) {
-    if (!saladFormElem || saladFormElem.type !== 'SaladElement') {
+  formToObject(saladFormElem, options = {}) {
+    if (!isAssignableTo(saladFormElem, 'SaladElement')) {
       throw new TypeError(`formToObject expects a SaladElement, got '${saladFormElem?.type}'.`);
     }
     const domRef = saladFormElem.getDomRef();
@@ -254,6 +272,21 @@ export class SaladDOMPackage extends TypeSalad {
     }
 
     const formData = new FormData(domRef);
+    if (options.schema) {
+      const optional = new Set(options.optional ?? []);
+      const raw = {};
+      for (const key of new Set(formData.keys())) {
+        const values = formData.getAll(key).filter(val => typeof val === 'string');
+        const isList = /^(Array|List|HashSet|Queue|Stack)</.test(String(options.schema[key]?.name ?? options.schema[key]));
+        if (isList) {
+          raw[key] = values;
+        } else if (values[0] !== '' || !optional.has(key)) {
+          raw[key] = values.length > 1 ? values : values[0];
+        }
+      }
+      return SaladObject.FromPlain(raw, options);
+    }
+
     const obj = {};
     for (const [key, val] of formData.entries()) {
       obj[key] = new SaladString(val);
@@ -261,3 +294,9 @@ export class SaladDOMPackage extends TypeSalad {
     return new SaladObject(obj);
   }
 }
+
+/***************************************************************
+ * Type registration
+ ***************************************************************/
+registerType('SaladDOM.SaladElement', SaladElement);
+registerType('SaladDOM.SaladDOMPackage', SaladDOMPackage);
@@ -1,5 +1,6 @@
-import { TypeSalad } from '../TypeSalad.mjs';
-import { SaladString, SaladObject } from '../TypeSalad.mjs';
+import { TypeSalad, isAssignableTo, registerType } from '../TypeSalad.mjs';
+import { SaladString, SaladArray, SaladObject, SaladBinary } from '../TypeSalad.mjs';
+import { SaladTask, CancellationToken } from '../TypeSalad.mjs';
 
 /***************************************************************
  * 1) The MAIN CHAINABLE CLASS: SaladFiles
@@ -30,77 +31,132 @@ export class SaladFiles extends TypeSalad {
     this._initialized = true;
   }
 
+  /*
+   * Every file operation returns a SaladTask and takes an optional
+   * CancellationToken as its last argument. Canceling the token aborts the
+   * underlying fs call and the task ends as Canceled.
+   */
+
   /**
-   * readText(fileName: SaladString) => returns a SaladString with file contents
+   * readText(fileName: SaladString, cancellationToken?) => SaladTask<String> with file contents
    */
-  async readText(fileName) {
-    if (!fileName || fileName.type !== 'String') {
-      throw new TypeError(`[SaladFiles] readText expects a SaladString, got '${fileName?.type}'.`);
-    }
-    await this.initFS();
+  readText(fileName, cancellationToken = CancellationToken.None) {
+    return new SaladTask('String', async (token) => {
+      if (!isAssignableTo(fileName, 'String')) {
+        throw new TypeError(`[SaladFiles] readText expects a SaladString, got '${fileName?.type}'.`);
+      }
+      await this.initFS();
 
-    const pathStr = fileName.valueOf();
-    const content = await this._fs.readFile(pathStr, 'utf8');
-    return new SaladString(content);
+      const pathStr = fileName.valueOf();
+      const content = await this._fs.readFile(pathStr, { encoding: 'utf8', signal: token.signal });
+      return new SaladString(content);
+    }, cancellationToken);
   }
 
   /**
-   * writeText(fileName: SaladString, content: SaladString)
+   * writeText(fileName: SaladString, content: SaladString, cancellationToken?) => SaladTask<void>
    *   - Writes a file with the given typed string.
    */
-  async writeText(fileName, content) {
-    if (!fileName || fileName.type !== 'String') {
-      throw new TypeError(`[SaladFiles] writeText expects a SaladString for fileName, got '${fileName?.type}'.`);
-    }
-    if (!content || content.type !== 'String') {
-      throw new TypeError(`[SaladFiles] writeText expects a SaladString for content, got '${content?.type}'.`);
-    }
-    await this.initFS();
+  writeText(fileName, content, cancellationToken = CancellationToken.None) {
+    return new SaladTask('void', async (token) => {
+      if (!isAssignableTo(fileName, 'String')) {
+        throw new TypeError(`[SaladFiles] writeText expects a SaladString for fileName, got '${fileName?.type}'.`);
+      }
+      if (!isAssignableTo(content, 'String')) {
+        throw new TypeError(`[SaladFiles] writeText expects a SaladString for content, got '${content?.type}'.`);
+      }
+      await this.initFS();
 
-    const pathStr = fileName.valueOf();
-    const dataStr = content.valueOf();
-    await this._fs.writeFile(pathStr, dataStr, 'utf8');
-    console.log(`[SaladFiles] Wrote text file => ${pathStr}`);
+      const pathStr = fileName.valueOf();
+      const dataStr = content.valueOf();
+      await this._fs.writeFile(pathStr, dataStr, { encoding: 'utf8', signal: token.signal });
+      console.log(`[SaladFiles] Wrote text file => ${pathStr}`);
+    }, cancellationToken);
   }
 
   /**
-   * readJSON(fileName: SaladString) => returns a SaladObject or SaladArray, depending on the JSON
+   * readJSON(fileName: SaladString, options?: Object, cancellationToken?) => SaladTask of a SaladObject or SaladArray, depending on the JSON
+   *   - With options.schema, the JSON object is loaded as a schema-checked
+   *     SaladObject (see SaladObject.FromPlain) and its values converted to the schema types.
    */
-  async readJSON(fileName) {
-    const text = await this.readText(fileName);
-    try {
-      const parsed = JSON.parse(text.valueOf());
+  readJSON(fileName, options = {}, cancellationToken = CancellationToken.None) {
+    return new SaladTask('any', async (token) => {
+      const text = await this.readText(fileName, token);
+      let parsed;
+      try {
+        parsed = JSON.parse(text.valueOf());
+      } catch (err) {
+        throw new Error(`[SaladFiles] Failed to parse JSON in '${fileName.valueOf()}': ${err.message}`);
+      }
+      if (options.schema) {
+        return SaladObject.FromPlain(parsed, options);
+      }
       // We'll convert raw JS object to a typed SaladObject
       return this._convertToTyped(parsed);
-    } catch (err) {
-      throw new Error(`[SaladFiles] Failed to parse JSON in '${fileName.valueOf()}': ${err.message}`);
-    }
+    }, cancellationToken);
   }
 
   /**
-   * writeJSON(fileName: SaladString, typedObj: SaladObject or SaladArray)
+   * writeJSON(fileName: SaladString, typedObj: SaladObject or SaladArray, cancellationToken?) => SaladTask<void>
    */
-  async writeJSON(fileName, typedObj) {
-    await this.initFS();
-    if (!fileName || fileName.type !== 'String') {
-      throw new TypeError(`[SaladFiles] writeJSON expects a SaladString for fileName, got '${fileName?.type}'.`);
-    }
-    // typedObj could be a SaladObject, SaladArray, etc.
-    // We'll do a naive .valueOf() => raw JS, then JSON.stringify
-    const raw = typedObj?.valueOf?.() ?? typedObj;
-    const dataStr = JSON.stringify(raw, null, 2);
-    await this.writeText(fileName, new SaladString(dataStr));
+  writeJSON(fileName, typedObj, cancellationToken = CancellationToken.None) {
+    return new SaladTask('void', async (token) => {
+      await this.initFS();
+      if (!isAssignableTo(fileName, 'String')) {
+        throw new TypeError(`[SaladFiles] writeJSON expects a SaladString for fileName, got '${fileName?.type}'.`);
+      }
+      // typedObj could be a SaladObject, SaladArray, etc.
+      // We'll do a naive .valueOf() => raw JS, then JSON.stringify
+      const raw = typedObj?.valueOf?.() ?? typedObj;
+      const dataStr = JSON.stringify(raw, null, 2);
+      await this.writeText(fileName, new SaladString(dataStr), token);
+    }, cancellationToken);
+  }
+
+  /**
+   * readBinary(fileName: SaladString, cancellationToken?) => SaladTask of the typed value stored with writeBinary
+   */
+  readBinary(fileName, cancellationToken = CancellationToken.None) {
+    return new SaladTask('any', async (token) => {
+      if (!isAssignableTo(fileName, 'String')) {
+        throw new TypeError(`[SaladFiles] readBinary expects a SaladString, got '${fileName?.type}'.`);
+      }
+      await this.initFS();
+
+      const pathStr = fileName.valueOf();
+      const bytes = await this._fs.readFile(pathStr, { signal: token.signal });
+      try {
+        return SaladBinary.Decode(new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+      } catch (err) {
+        throw new Error(`[SaladFiles] Failed to decode binary data in '${pathStr}': ${err.message}`);
+      }
+    }, cancellationToken);
+  }
+
+  /**
+   * writeBinary(fileName: SaladString, value: any typed value, cancellationToken?) => SaladTask<void>
+   *   - Writes the value in SaladBinary's compact format.
+   */
+  writeBinary(fileName, value, cancellationToken = CancellationToken.None) {
+    return new SaladTask('void', async (token) => {
+      if (!isAssignableTo(fileName, 'String')) {
+        throw new TypeError(`[SaladFiles] writeBinary expects a SaladString for fileName, got '${fileName?.type}'.`);
+      }
+      await this.initFS();
+
+      const pathStr = fileName.valueOf();
+      await this._fs.writeFile(pathStr, SaladBinary.Encode(value), { signal: token.signal });
+      console.log(`[SaladFiles] Wrote binary file => ${pathStr}`);
+    }, cancellationToken);
   }
 
   /**
    * A helper to convert raw JS object/array to typed SaladObject or SaladArray
    */
-  async _convertToTyped(value) {
+  _convertToTyped(value) {
     if (Array.isArray(value)) {
       // Return a typed SaladArray of typed items
       const typedItems = value.map((item) => this._convertToTyped(item));
-      // We'll assume we have a SaladArray class available
-      const { SaladArray } = await import('../TypeSalad.mjs'); // or do an import at the top
       return new SaladArray(typedItems);
     } else if (typeof value === 'object' && value !== null) {
       // Return a typed SaladObject
@@ -108,11 +164,9 @@ export class SaladFiles extends TypeSalad {
       for (const key in value) {
         objData[key] = this._convertToTyped(value[key]);
       }
-      const { SaladObject } = await import('../TypeSalad.mjs');
       return new SaladObject(objData);
     } else if (typeof value === 'string') {
       // Return a SaladString
-      const { SaladString } = await import('../TypeSalad.mjs');
       return new SaladString(value);
     } else {
       // For number, boolean, null, etc. we could create typed wrappers or just return the raw value
@@ -134,30 +188,50 @@ export class SaladFilesPackage extends TypeSalad {
   }
 
   /**
-   * readText(fileName: SaladString) => Promise<SaladString>
+   * readText(fileName: SaladString, cancellationToken?) => SaladTask<String>
+   */
+  readText(fileName, cancellationToken = CancellationToken.None) {
+    return this._files.readText(fileName, cancellationToken);
+  }
+
+  /**
+   * writeText(fileName: SaladString, content: SaladString, cancellationToken?) => SaladTask<void>
    */
-  async readText(fileName) {
-    return await this._files.readText(fileName);
+  writeText(fileName, content, cancellationToken = CancellationToken.None) {
+    return this._files.writeText(fileName, content, cancellationToken);
   }
 
   /**
-   * writeText(fileName: SaladString, content: SaladString)
+   * readJSON(fileName: SaladString, options?: Object, cancellationToken?) => SaladTask of a SaladObject or SaladArray
    */
-  async writeText(fileName, content) {
-    return await this._files.writeText(fileName, content);
+  readJSON(fileName, options = {}, cancellationToken = CancellationToken.None) {
+    return this._files.readJSON(fileName, options, cancellationToken);
   }
 
   /**
-   * readJSON(fileName: SaladString) => Promise<SaladObject or SaladArray>
+   * writeJSON(fileName: SaladString, typedObj: SaladObject / SaladArray, cancellationToken?) => SaladTask<void>
    */
-  async readJSON(fileName) {
-    return await this._files.readJSON(fileName);
+  writeJSON(fileName, typedObj, cancellationToken = CancellationToken.None) {
+    return this._files.writeJSON(fileName, typedObj, cancellationToken);
   }
 
   /**
-   * writeJSON(fileName: SaladString, typedObj: SaladObject / SaladArray)
+   * readBinary(fileName: SaladString, cancellationToken?) => SaladTask of any typed value
    */
-  async writeJSON(fileName, typedObj) {
-    return await this._files.writeJSON(fileName, typedObj);
+  readBinary(fileName, cancellationToken = CancellationToken.None) {
+    return this._files.readBinary(fileName, cancellationToken);
+  }
+
+  /**
+   * writeBinary(fileName: SaladString, value: any typed value, cancellationToken?) => SaladTask<void>
+   */
+  writeBinary(fileName, value, cancellationToken = CancellationToken.None) {
+    return this._files.writeBinary(fileName, value, cancellationToken);
   }
 }
+
+/***************************************************************
+ * Type registration
+ ***************************************************************/
+registerType('SaladFiles.SaladFiles', SaladFiles);
+registerType('SaladFiles.SaladFilesPackage', SaladFilesPackage);
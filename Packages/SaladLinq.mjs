@@ -1,4 +1,21 @@
-import { TypeSalad } from '../TypeSalad.mjs';
+import { TypeSalad, registerType } from '../TypeSalad.mjs';
+
+/***************************************************************
+ * Hash buckets for typed values (hashCode => [[key, entry], ...])
+ ***************************************************************/
+function findInBuckets(buckets, key) {
+  const bucket = buckets.get(key.hashCode()) ?? [];
+  const found = bucket.find(([k]) => k.equals(key));
+  return found?.[1];
+}
+
+function addToBuckets(buckets, key, entry) {
+  const hash = key.hashCode();
+  if (!buckets.has(hash)) {
+    buckets.set(hash, []);
+  }
+  buckets.get(hash).push([key, entry]);
+}
 
 /***************************************************************
  * 1) The CHAINABLE class: SaladLinq
@@ -22,7 +39,8 @@ export class SaladLinq extends TypeSalad {
     return this;
   }
 
-  orderBy(comparer) {
+  // Without a comparer, elements sort by their natural order (compareTo)
+  orderBy(comparer = TypeSalad.compare) {
     this._data.sort(comparer);
     return this;
   }
@@ -37,9 +55,16 @@ export class SaladLinq extends TypeSalad {
     return this;
   }
 
+  // Typed values are de-duplicated by equals/hashCode, everything else by identity
   distinct() {
     const seen = new Set();
+    const buckets = new Map();
     this._data = this._data.filter(item => {
+      if (item instanceof TypeSalad) {
+        if (findInBuckets(buckets, item) !== undefined) return false;
+        addToBuckets(buckets, item, item);
+        return true;
+      }
       if (seen.has(item)) return false;
       seen.add(item);
       return true;
@@ -98,3 +123,9 @@ export class SaladLinqPackage extends TypeSalad {
     return new SaladLinq(sourceArray);
   }
 }
+
+/***************************************************************
+ * Type registration
+ ***************************************************************/
+registerType('SaladLinq.SaladLinq', SaladLinq);
+registerType('SaladLinq.SaladLinqPackage', SaladLinqPackage);
@@ -1,6 +1,6 @@
 // /src/packages/SaladMath.js
 
-import { TypeSalad, SaladInt } from '../TypeSalad.mjs';
+import { TypeSalad, isAssignableTo, registerType } from '../TypeSalad.mjs';
 
 /***************************************************************
  * ImagInt: integer-based imaginary number
@@ -12,7 +12,7 @@ export class ImagInt extends TypeSalad {
    */
   constructor(realPart, imagPart) {
     super();
-    if (realPart?.type !== 'Int' || imagPart?.type !== 'Int') {
+    if (!isAssignableTo(realPart, 'Int') || !isAssignableTo(imagPart, 'Int')) {
       throw new TypeError(
         `ImagInt expects two SaladInt objects. Got (${realPart?.type}, ${imagPart?.type}).`
       );
@@ -34,6 +34,21 @@ export class ImagInt extends TypeSalad {
   valueOf() {
     return this.realPart.valueOf();
   }
+
+  // valueOf() only carries the real part, so compare both parts explicitly
+  equals(other) {
+    return other?.type === this.type &&
+      this.realPart.equals(other.realPart) &&
+      this.imagPart.equals(other.imagPart);
+  }
+
+  compareTo(other) {
+    throw new TypeError(`Type '${this.type}' is not comparable.`);
+  }
+
+  hashCode() {
+    return TypeSalad.hash([this.realPart, this.imagPart]);
+  }
 }
 
 /***************************************************************
@@ -66,6 +81,26 @@ export class Vector extends TypeSalad {
     const deg = (dir * 180) / Math.PI;
     return `Vector(mag=${mag.toFixed(2)}, dir=${deg.toFixed(2)}°)`;
   }
+
+  equals(other) {
+    return other?.type === this.type &&
+      TypeSalad.equals(this.magnitude, other.magnitude) &&
+      TypeSalad.equals(this.direction, other.direction);
+  }
+
+  // Vectors are ordered by magnitude
+  compareTo(other) {
+    if (other?.type !== this.type) {
+      throw new TypeError(`compareTo expected '${this.type}', got '${other?.type}'.`);
+    }
+    const a = this.magnitude?.valueOf?.() ?? this.magnitude;
+    const b = other.magnitude?.valueOf?.() ?? other.magnitude;
+    return TypeSalad.compare(a, b);
+  }
+
+  hashCode() {
+    return TypeSalad.hash([this.magnitude, this.direction]);
+  }
 }
 
 /***************************************************************
@@ -80,7 +115,7 @@ export class SaladMath extends TypeSalad {
   }
 
   ensureInt(value) {
-    if (!value || value.type !== 'Int') {
+    if (!isAssignableTo(value, 'Int')) {
       throw new TypeError(
         `SaladMath expected SaladInt, got '${value?.type}'.`
       );
@@ -88,7 +123,7 @@ export class SaladMath extends TypeSalad {
   }
 
   ensureImagInt(value) {
-    if (!value || value.type !== 'ImagInt') {
+    if (!isAssignableTo(value, 'ImagInt')) {
       throw new TypeError(
         `SaladMath expected ImagInt, got '${value?.type}'.`
       );
@@ -96,7 +131,7 @@ export class SaladMath extends TypeSalad {
   }
 
   ensureVector(value) {
-    if (!value || value.type !== 'Vector') {
+    if (!isAssignableTo(value, 'Vector')) {
       throw new TypeError(
         `SaladMath expected Vector, got '${value?.type}'.`
       );
@@ -109,28 +144,26 @@ export class SaladMath extends TypeSalad {
   add(a, b) {
     this.ensureInt(a);
     this.ensureInt(b);
-    return new SaladInt(a.valueOf() + b.valueOf());
+    return a.add(b);
   }
 
   subtract(a, b) {
     this.ensureInt(a);
     this.ensureInt(b);
-    return new SaladInt(a.valueOf() - b.valueOf());
+    return a.subtract(b);
   }
 
   multiply(a, b) {
     this.ensureInt(a);
     this.ensureInt(b);
-    return new SaladInt(a.valueOf() * b.valueOf());
+    return a.multiply(b);
   }
 
   divide(a, b) {
     this.ensureInt(a);
     this.ensureInt(b);
-    if (b.valueOf() === 0) {
-      throw new RangeError('Cannot divide by zero.');
-    }
-    return new SaladInt(a.valueOf() / b.valueOf());
+    // Integer division truncates toward zero and throws on a zero divisor
+    return a.divide(b);
   }
 
   /***************************************************************
@@ -140,8 +173,8 @@ export class SaladMath extends TypeSalad {
     this.ensureImagInt(a);
     this.ensureImagInt(b);
     // (a.real + b.real) + (a.imag + b.imag) i
-    const realSum = new SaladInt(a.realPart.valueOf() + b.realPart.valueOf());
-    const imagSum = new SaladInt(a.imagPart.valueOf() + b.imagPart.valueOf());
+    const realSum = a.realPart.add(b.realPart);
+    const imagSum = a.imagPart.add(b.imagPart);
     return new ImagInt(realSum, imagSum);
   }
 
@@ -149,8 +182,8 @@ export class SaladMath extends TypeSalad {
     this.ensureImagInt(a);
     this.ensureImagInt(b);
     // (a.real - b.real) + (a.imag - b.imag) i
-    const realDiff = new SaladInt(a.realPart.valueOf() - b.realPart.valueOf());
-    const imagDiff = new SaladInt(a.imagPart.valueOf() - b.imagPart.valueOf());
+    const realDiff = a.realPart.subtract(b.realPart);
+    const imagDiff = a.imagPart.subtract(b.imagPart);
     return new ImagInt(realDiff, imagDiff);
   }
 
@@ -172,3 +205,10 @@ export class SaladMath extends TypeSalad {
     return new Vector(newMag, newDir);
   }
 }
+
+/***************************************************************
+ * Type registration
+ ***************************************************************/
+registerType('SaladMath.ImagInt', ImagInt, { fields: { realPart: 'Int', imagPart: 'Int' } });
+registerType('SaladMath.Vector', Vector, { fields: { magnitude: 'any', direction: 'any' } });
+registerType('SaladMath.SaladMath', SaladMath);
@@ -49,6 +49,18 @@ function createSingleton(BaseClass) {
 /**
  * A simple EventEmitter class that allows adding listeners and emitting events.
  *
+ * Listeners run in the order they were added. An exception thrown by one
+ * listener doesn't stop the others: it is passed to the `error` listeners
+ * as `(error, eventName)`, or rethrown once every listener has run if there
+ * are none.
+ *
+ * Events can be declared with parameter types, like a C# `event`, so that
+ * `emit` checks its arguments:
+ *
+ *     emitter.defineEvent('printCalled', ['String']);
+ *     emitter.emit('printCalled', new SaladString('hi')); // ok
+ *     emitter.emit('printCalled', 'hi');                  // TypeError
+ *
  * @class
  */
 class EventEmitter {
@@ -61,31 +73,223 @@ class EventEmitter {
      * @private
      */
     this._listeners = {};
+
+    /**
+     * Parameter types of the declared events.
+     * @type {Object.<string, string[]>}
+     * @private
+     */
+    this._eventTypes = {};
+  }
+
+  /**
+   * Declares an event and the types of the arguments it is emitted with.
+   * Emitting a declared event with the wrong number or types of arguments
+   * throws; undeclared events are not checked.
+   *
+   * @param {string} eventName - The name of the event.
+   * @param {Array<string|SaladInterface>} [paramTypes=[]] - The argument types (`'any'` accepts anything).
+   * @returns {EventEmitter} This emitter.
+   * @throws {TypeError} If the name or a parameter type is invalid.
+   * @throws {Error} If the event is already declared.
+   */
+  defineEvent(eventName, paramTypes = []) {
+    if (typeof eventName !== "string" || eventName === "") {
+      throw new TypeError("defineEvent expects a non-empty event name.");
+    }
+    if (!Array.isArray(paramTypes)) {
+      throw new TypeError("defineEvent expects an array of parameter types.");
+    }
+    if (Object.hasOwn(this._eventTypes, eventName)) {
+      throw new Error(`Event '${eventName}' is already declared.`);
+    }
+    this._eventTypes[eventName] = paramTypes.map(typeArgName);
+    return this;
+  }
+
+  /**
+   * Returns the parameter types of a declared event.
+   * @param {string} eventName - The name of the event.
+   * @returns {string[]|null} The types, or `null` if the event isn't declared.
+   */
+  eventTypes(eventName) {
+    return Object.hasOwn(this._eventTypes, eventName) ? [...this._eventTypes[eventName]] : null;
   }
 
   /**
    * Registers a listener for a given event name.
    * @param {string} eventName - The name of the event.
    * @param {Function} listener - The listener callback.
+   * @returns {EventEmitter} This emitter.
+   * @throws {TypeError} If `listener` is not a function.
    */
   on(eventName, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`Listener for event '${eventName}' must be a function.`);
+    }
     if (!this._listeners[eventName]) {
       this._listeners[eventName] = [];
     }
     this._listeners[eventName].push(listener);
+    return this;
+  }
+
+  /**
+   * Registers a listener that is removed after it runs once.
+   * @param {string} eventName - The name of the event.
+   * @param {Function} listener - The listener callback.
+   * @returns {EventEmitter} This emitter.
+   * @throws {TypeError} If `listener` is not a function.
+   */
+  once(eventName, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError(`Listener for event '${eventName}' must be a function.`);
+    }
+    const wrapper = (...args) => {
+      this.off(eventName, wrapper);
+      return listener(...args);
+    };
+    wrapper.listener = listener;
+    return this.on(eventName, wrapper);
+  }
+
+  /**
+   * Removes a listener, like C#'s `-=`. If it was added more than once, the
+   * most recently added registration is removed. Without a listener, removes
+   * every listener of the event.
+   *
+   * @param {string} eventName - The name of the event.
+   * @param {Function} [listener] - The listener to remove (also matches one added with `once`).
+   * @returns {EventEmitter} This emitter.
+   */
+  off(eventName, listener) {
+    const listeners = this._listeners[eventName];
+    if (!listeners) {
+      return this;
+    }
+    if (listener === undefined) {
+      delete this._listeners[eventName];
+      return this;
+    }
+    const index = listeners.findLastIndex(l => l === listener || l.listener === listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+    if (listeners.length === 0) {
+      delete this._listeners[eventName];
+    }
+    return this;
+  }
+
+  /**
+   * Returns the number of listeners registered for an event.
+   * @param {string} eventName - The name of the event.
+   * @returns {number}
+   */
+  listenerCount(eventName) {
+    return this._listeners[eventName]?.length ?? 0;
   }
 
   /**
    * Emits an event, invoking all associated listeners with supplied arguments.
    * @param {string} eventName - The name of the event.
    * @param {...any} args - Arguments passed to the listener functions.
+   * @returns {boolean} Whether the event had listeners.
+   * @throws {TypeError} If the event is declared and the arguments don't match its types.
+   * @throws {any} A listener's exception, if there are no `error` listeners.
    */
   emit(eventName, ...args) {
-    if (this._listeners[eventName]) {
-      for (const listener of this._listeners[eventName]) {
-        listener(...args);
+    const bound = this._checkEventArguments(eventName, args);
+    const listeners = this._listeners[eventName];
+    if (!listeners) {
+      return false;
+    }
+    const errors = [];
+    for (const listener of [...listeners]) {
+      try {
+        listener(...bound);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    this._reportListenerErrors(eventName, errors);
+    return true;
+  }
+
+  /**
+   * Emits an event and waits for each listener in turn, so async listeners
+   * finish before the next one starts. Errors are handled as in `emit`.
+   *
+   * @param {string} eventName - The name of the event.
+   * @param {...any} args - Arguments passed to the listener functions.
+   * @returns {Promise<boolean>} Resolves to whether the event had listeners.
+   * @throws {TypeError} If the event is declared and the arguments don't match its types.
+   */
+  async emitAsync(eventName, ...args) {
+    const bound = this._checkEventArguments(eventName, args);
+    const listeners = this._listeners[eventName];
+    if (!listeners) {
+      return false;
+    }
+    const errors = [];
+    for (const listener of [...listeners]) {
+      try {
+        await listener(...bound);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    this._reportListenerErrors(eventName, errors);
+    return true;
+  }
+
+  /**
+   * Checks the arguments of a declared event, lifting values into
+   * `Nullable<T>` parameters.
+   * @param {string} eventName
+   * @param {any[]} args
+   * @returns {any[]} The arguments to pass to the listeners.
+   * @throws {TypeError} If the arguments don't match the declared types.
+   * @private
+   */
+  _checkEventArguments(eventName, args) {
+    if (!Object.hasOwn(this._eventTypes, eventName)) {
+      return args;
+    }
+    const types = this._eventTypes[eventName];
+    if (args.length !== types.length) {
+      throw new TypeError(`Event '${eventName}' expects ${types.length} arguments, got ${args.length}.`);
+    }
+    return args.map((arg, i) => {
+      if (!isAssignableTo(arg, types[i])) {
+        throw new TypeError(
+          `Argument ${i + 1} of event '${eventName}' was type '${arg?.type ?? typeof arg}', expected '${types[i]}'.`
+        );
+      }
+      return liftNullable(arg, types[i]);
+    });
+  }
+
+  /**
+   * Passes listener exceptions to the `error` listeners, or rethrows them.
+   * @param {string} eventName
+   * @param {any[]} errors
+   * @throws {any} The exception (an AggregateError for several) if nothing handles it.
+   * @private
+   */
+  _reportListenerErrors(eventName, errors) {
+    if (errors.length === 0) {
+      return;
+    }
+    if (eventName !== "error" && this.listenerCount("error") > 0) {
+      for (const error of errors) {
+        this.emit("error", error, eventName);
       }
+      return;
     }
+    throw errors.length === 1
+      ? errors[0]
+      : new AggregateError(errors, `${errors.length} listeners of event '${eventName}' threw.`);
   }
 }
 
@@ -105,56 +309,198 @@ class Overloadable {
    */
   constructor() {
     /**
-     * Internal store for overload definitions.
-     * @type {Object.<string, Function>}
+     * Internal store for overload definitions, by method name.
+     * @type {Object.<string, Array<{params: Array<Object>, fn: Function}>>}
      * @private
      */
-    this._overloads = {}; // e.g., { "methodName:paramType1,paramType2,...": function }
+    this._overloads = {}; // e.g., { "methodName": [{ params, fn }, ...] }
   }
 
   /**
    * Defines a new overload for a given method name and parameter types.
    *
+   * Instead of `paramTypes` and `fn`, a function created with `typedFunction`
+   * may be passed; its stored signature is used.
+   *
    * @param {string} name - The method name.
-   * @param {string[]} paramTypes - An array of parameter types (e.g. `['String','Int']`).
-   * @param {Function} fn - The function to call when this overload matches.
+   * @param {Array<string|SaladInterface|Object>|Function} paramTypes - An array of parameter types (e.g. `['String','Int']`),
+   *   accepting the same declarations as `typedFunction`, or a typed function.
+   *   Interfaces (or interface names) match any argument whose class implements them.
+   * @param {Function} [fn] - The function to call when this overload matches.
+   * @throws {TypeError} If a typed function is expected but has no signature.
    */
   defineOverload(name, paramTypes, fn) {
-    const key = `${name}:${paramTypes.join(',')}`;
-    this._overloads[key] = fn;
+    (this._overloads[name] ??= []).push(Overloadable._entry(name, paramTypes, fn));
   }
 
   /**
-   * Calls the overload that matches the provided name and argument signature.
+   * Calls the overload that best matches the provided arguments.
+   *
+   * Each argument is scored against each overload's parameters: an exact
+   * type match is best, then a base type or interface (nearer bases first),
+   * then an implicit conversion (e.g. a raw number to `Int`, or `Int` to
+   * `Long`), then `any`/`object`. The overload that is at least as good for
+   * every argument and better for one wins. Optional and variadic
+   * parameters are supported, as in `typedFunction`.
    *
    * @param {string} name - The method name to call.
    * @param {...any} args - The arguments passed into the method.
    * @returns {any} The result of the matched overload's function.
-   * @throws {Error} If no overload matches the given signature.
+   * @throws {Error} If no overload matches, or the call is ambiguous (the
+   *   message lists the candidate signatures).
    */
   callOverload(name, ...args) {
-    const argTypes = args.map(a => a?.type ?? typeof a);
-    const key = `${name}:${argTypes.join(',')}`;
+    const { fn, bound } = resolveOverload(name, this._overloads[name] ?? [], args);
+    return fn.apply(this, bound);
+  }
 
-    if (this._overloads[key]) {
-      return this._overloads[key].apply(this, args);
-    } else {
-      throw new Error(`No overload for ${name}(${argTypes.join(',')})`);
+  /**
+   * Defines an overload directly on an object, usually a class prototype
+   * (or a class, for static methods). The first overload installs a method
+   * `name` that resolves the call like `callOverload`, among the overloads of
+   * the receiver and its prototype chain. An overload with the same
+   * parameter types as an inherited one hides it.
+   *
+   * @example
+   * Overloadable.define(Shape.prototype, 'scale', ['Int'], function (n) { ... });
+   * Overloadable.define(Shape.prototype, 'scale', ['Float', 'Float'], function (x, y) { ... });
+   *
+   * @param {Object} target - The object to define the method on.
+   * @param {string} name - The method name.
+   * @param {Array<string|SaladInterface|Object>|Function} paramTypes - The parameter types, or a typed function.
+   * @param {Function} [fn] - The implementation.
+   * @returns {Function} The dispatching method.
+   * @throws {TypeError} If `target` is not an object, or a typed function has no signature.
+   */
+  static define(target, name, paramTypes, fn) {
+    if (target === null || (typeof target !== "object" && typeof target !== "function")) {
+      throw new TypeError("Overloadable.define expects an object or class to define overloads on.");
+    }
+    if (!prototypeOverloads.has(target)) {
+      prototypeOverloads.set(target, new Map());
+    }
+    const table = prototypeOverloads.get(target);
+    if (!table.has(name)) {
+      table.set(name, []);
+      Object.defineProperty(target, name, {
+        value: function overloaded(...args) {
+          const candidates = [];
+          const seen = new Set();
+          for (let o = this ?? target; o != null; o = Object.getPrototypeOf(o)) {
+            for (const entry of prototypeOverloads.get(o)?.get(name) ?? []) {
+              const key = entry.params.map(p => (p.rest ? `...${p.type}` : p.type)).join(",");
+              if (!seen.has(key)) {
+                seen.add(key);
+                candidates.push(entry);
+              }
+            }
+          }
+          const { fn: chosen, bound } = resolveOverload(name, candidates, args);
+          return chosen.apply(this, bound);
+        },
+        writable: true,
+        configurable: true
+      });
     }
+    table.get(name).push(Overloadable._entry(name, paramTypes, fn));
+    return target[name];
+  }
+
+  /**
+   * Builds an overload entry from parameter types and a function, or from a typed function.
+   * @private
+   */
+  static _entry(name, paramTypes, fn) {
+    if (typeof paramTypes === "function") {
+      const signature = getMetadata(paramTypes, "design:signature");
+      if (!signature) {
+        throw new TypeError(`Overload '${name}' must be a typedFunction or declare its parameter types.`);
+      }
+      return { params: signature.params, fn: paramTypes };
+    }
+    return { params: normalizeParameters(paramTypes, parameterNames(fn)), fn };
   }
 }
 
 /***************************************************************
  * Reflection-Like Metadata
- * - A simple store/retrieve approach.
+ * - A simple store/retrieve approach, scoped per object and
+ *   optionally per property, with inherited lookup.
+ * - Attributes: standard (TC39) decorators that store metadata.
  ***************************************************************/
 
 /**
- * @type {WeakMap<object, object>}
+ * The key classes keep their decorator metadata under: the native
+ * `Symbol.metadata`, or the `Symbol.for("Symbol.metadata")` fallback that
+ * transpilers such as Babel use on runtimes without it. The global is left
+ * untouched.
+ * @private
+ */
+const metadataSymbol = Symbol.metadata ?? Symbol.for("Symbol.metadata");
+
+/**
+ * Metadata by object, then by property key (`undefined` for the object itself).
+ * @type {WeakMap<object, Map<string|symbol|undefined, Map<string, any>>>}
  * @private
  */
 const metadataStorage = new WeakMap();
 
+/**
+ * Where attributes are kept inside a class's decorator metadata object.
+ * @private
+ */
+const attributesKey = Symbol("TypeSalad.attributes");
+
+/**
+ * Returns the attribute metadata declared by decorators for one level of a
+ * prototype chain: a class, or a class's prototype object.
+ *
+ * @param {object} target
+ * @param {string|symbol} [propertyKey]
+ * @returns {Map<string, any>|undefined}
+ * @private
+ */
+function attributeMetadata(target, propertyKey) {
+  let ctor = null;
+  if (typeof target === "function") {
+    ctor = target;
+  } else if (Object.hasOwn(target, "constructor") && target.constructor?.prototype === target) {
+    ctor = target.constructor;
+  }
+  if (!ctor || !Object.hasOwn(ctor, metadataSymbol)) {
+    return undefined;
+  }
+  const metadata = ctor[metadataSymbol];
+  return metadata && Object.hasOwn(metadata, attributesKey) ? metadata[attributesKey].get(propertyKey) : undefined;
+}
+
+/**
+ * Collects the metadata entries defined directly on one object (explicit
+ * `addMetadata` calls take precedence over attributes).
+ *
+ * @param {object} target
+ * @param {string|symbol} [propertyKey]
+ * @returns {Map<string, any>}
+ * @private
+ */
+function ownMetadata(target, propertyKey) {
+  const entries = new Map(attributeMetadata(target, propertyKey));
+  for (const [key, value] of metadataStorage.get(target)?.get(propertyKey) ?? []) {
+    entries.set(key, value);
+  }
+  return entries;
+}
+
+/**
+ * Returns the objects metadata lookups visit: the target and its prototype chain.
+ * @private
+ */
+function* metadataChain(target) {
+  for (let o = target; o != null; o = Object.getPrototypeOf(o)) {
+    yield o;
+  }
+}
+
 /**
  * Adds metadata to a given target object, stored under a specified key.
  *
@@ -162,26 +508,139 @@ const metadataStorage = new WeakMap();
  * @param {object} target - The target object to attach metadata to.
  * @param {string} key - The metadata key (e.g. "design:type").
  * @param {any} value - The metadata value.
+ * @param {string|symbol} [propertyKey] - Scopes the metadata to one property or method of `target`.
  */
-function addMetadata(target, key, value) {
+function addMetadata(target, key, value, propertyKey) {
   if (!metadataStorage.has(target)) {
-    metadataStorage.set(target, {});
+    metadataStorage.set(target, new Map());
   }
-  const meta = metadataStorage.get(target);
-  meta[key] = value;
+  const scopes = metadataStorage.get(target);
+  if (!scopes.has(propertyKey)) {
+    scopes.set(propertyKey, new Map());
+  }
+  scopes.get(propertyKey).set(key, value);
 }
 
 /**
- * Retrieves metadata from a target object by key.
+ * Retrieves metadata from a target object by key. The lookup walks the
+ * prototype chain, so an instance sees its class's metadata and a subclass
+ * inherits its base class's.
  *
  * @function getMetadata
  * @param {object} target - The target object to retrieve metadata from.
  * @param {string} key - The metadata key.
+ * @param {string|symbol} [propertyKey] - The property or method the metadata is scoped to.
+ * @returns {any} The metadata value, or `undefined` if not found.
+ */
+function getMetadata(target, key, propertyKey) {
+  for (const o of metadataChain(target)) {
+    const own = ownMetadata(o, propertyKey);
+    if (own.has(key)) {
+      return own.get(key);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Retrieves metadata defined directly on a target object (not inherited).
+ *
+ * @function getOwnMetadata
+ * @param {object} target - The target object.
+ * @param {string} key - The metadata key.
+ * @param {string|symbol} [propertyKey] - The property or method the metadata is scoped to.
  * @returns {any} The metadata value, or `undefined` if not found.
  */
-function getMetadata(target, key) {
-  const meta = metadataStorage.get(target);
-  return meta?.[key];
+function getOwnMetadata(target, key, propertyKey) {
+  return target == null ? undefined : ownMetadata(target, propertyKey).get(key);
+}
+
+/**
+ * Checks whether a target object has (or inherits) metadata under a key.
+ *
+ * @function hasMetadata
+ * @param {object} target - The target object.
+ * @param {string} key - The metadata key.
+ * @param {string|symbol} [propertyKey] - The property or method the metadata is scoped to.
+ * @returns {boolean}
+ */
+function hasMetadata(target, key, propertyKey) {
+  for (const o of metadataChain(target)) {
+    if (ownMetadata(o, propertyKey).has(key)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Lists the metadata keys defined directly on a target object.
+ *
+ * @function getOwnMetadataKeys
+ * @param {object} target - The target object.
+ * @param {string|symbol} [propertyKey] - The property or method the metadata is scoped to.
+ * @returns {string[]}
+ */
+function getOwnMetadataKeys(target, propertyKey) {
+  return target == null ? [] : [...ownMetadata(target, propertyKey).keys()];
+}
+
+/**
+ * Lists the metadata keys a target object has or inherits (own keys first).
+ *
+ * @function getMetadataKeys
+ * @param {object} target - The target object.
+ * @param {string|symbol} [propertyKey] - The property or method the metadata is scoped to.
+ * @returns {string[]}
+ */
+function getMetadataKeys(target, propertyKey) {
+  const keys = new Set();
+  for (const o of metadataChain(target)) {
+    ownMetadata(o, propertyKey).forEach((_, key) => keys.add(key));
+  }
+  return [...keys];
+}
+
+/**
+ * Creates a C#-style attribute: a standard (TC39) decorator that stores
+ * `value` under `key` in the decorated class's metadata. On a class the
+ * metadata belongs to the class itself; on a method, field, accessor or
+ * getter/setter it is scoped to that member's name.
+ *
+ * Attributes are read back with `getMetadata(Class, key, member)` (the
+ * class, its prototype or an instance all work) and are inherited by
+ * subclasses.
+ *
+ * @example
+ * const Required = () => Attribute('validation:required', true);
+ *
+ * @Attribute('serialization:name', 'person')
+ * class Person {
+ *   @Required() accessor name;
+ * }
+ * getMetadata(new Person(), 'validation:required', 'name'); // true
+ *
+ * @function Attribute
+ * @param {string} key - The metadata key.
+ * @param {any} [value=true] - The metadata value.
+ * @returns {Function} The decorator.
+ */
+function Attribute(key, value = true) {
+  return function (_target, context) {
+    if (typeof context?.metadata !== "object" || context.metadata === null) {
+      throw new TypeError(`Attribute '${key}' must be applied as a standard decorator.`);
+    }
+    const metadata = context.metadata;
+    if (!Object.hasOwn(metadata, attributesKey)) {
+      metadata[attributesKey] = new Map();
+    }
+    const propertyKey = context.kind === "class" ? undefined : context.name;
+    const scopes = metadata[attributesKey];
+    if (!scopes.has(propertyKey)) {
+      scopes.set(propertyKey, new Map());
+    }
+    scopes.get(propertyKey).set(key, value);
+  };
 }
 
 /***************************************************************
@@ -231,10 +690,11 @@ class QueryableArray {
   /**
    * Sorts the array by a comparer function.
    *
-   * @param {Function} comparer - A compare function (like the one used in `array.sort()`).
+   * @param {Function} [comparer=TypeSalad.compare] - A compare function (like the one used in `array.sort()`).
+   *   Defaults to the natural ordering of the elements (`compareTo` for typed values).
    * @returns {QueryableArray} This instance, for chaining.
    */
-  orderBy(comparer) {
+  orderBy(comparer = TypeSalad.compare) {
     this._arr = this._arr.sort(comparer);
     return this;
   }
@@ -252,596 +712,8919 @@ class QueryableArray {
 /***************************************************************
  * Generics Simulation
  * - createGenericList(expectedTypeName)
+ *   (see "Generic Collections" for SaladList and friends)
  ***************************************************************/
 
 /**
  * Creates a "GenericList" class that will only accept items of the expected type.
+ * The class is a `SaladList` with a fixed element type, so its instances report
+ * a type such as `List<String>` and support the full list API.
  *
  * @function createGenericList
- * @param {string} expectedTypeName - The type name expected for items (e.g. "String", "Int").
- * @returns {Class} A new class extending `TypeSalad` that enforces the expected type.
+ * @param {string|SaladInterface} expectedTypeName - The type name expected for items (e.g. "String", "Int"),
+ *   or an interface (or interface name) that every item's class must implement.
+ * @returns {Class} A new class extending `SaladList` that enforces the expected type.
  */
 function createGenericList(expectedTypeName) {
   /**
    * @class GenericList
-   * @extends TypeSalad
+   * @extends GenericListBase
    */
-  return class GenericList {
+  return class GenericList extends GenericListBase {
     /**
      * Creates a typed list that only accepts items of the specified type.
      * @param {...any} elements - The initial elements to add to the list.
      */
     constructor(...elements) {
-      this._items = [];
-      this.type = "GenericList";
-      this._expectedType = expectedTypeName;
-      for (const el of elements) {
-        this.add(el);
-      }
-    }
-
-    /**
-     * Adds an item to the list, checking if it matches the expected type.
-     * @param {object} item - An object with a `type` property.
-     * @throws {TypeError} If the item does not match the expected type.
-     */
-    add(item) {
-      if (item?.type !== this._expectedType) {
-        throw new TypeError(
-          `Expected type '${this._expectedType}', received '${item?.type}'.`
-        );
-      }
-      this._items.push(item);
-    }
-
-    /**
-     * Returns the array of stored items.
-     * @type {Array<object>}
-     */
-    get items() {
-      return this._items;
-    }
-
-    /**
-     * Returns a string representation of the list.
-     * @returns {string}
-     */
-    toString() {
-      return new SaladString(`[GenericList of ${this._expectedType}] [${this._items.join(', ')}]`);
+      super(expectedTypeName, elements);
     }
   };
 }
 
 /***************************************************************
- * Base "TypeSalad" Class
+ * Records
+ * - defineRecord(name, schema, { namespace })
  ***************************************************************/
 
 /**
- * A base class for all typed "Salad" classes.
- * 
- * @class TypeSalad
+ * Returns the display text of a value, unwrapping the SaladString that
+ * typed `toString()` methods return.
+ *
+ * @param {any} value
+ * @returns {string}
+ * @private
  */
-class TypeSalad {
-  // shared logic or placeholders would go here
+function displayString(value) {
+  if (value === null || value === undefined) {
+    return String(value);
+  }
+  const text = value.toString();
+  return typeof text === "string" ? text : String(text?.valueOf?.() ?? text);
 }
 
-/***************************************************************
- * Basic typed classes: SaladString, SaladInt
- ***************************************************************/
-
 /**
- * Wraps a string value in a typed container.
+ * Converts a value (typed or not) into plain, JSON-friendly data.
  *
- * @class SaladString
- * @extends TypeSalad
+ * @param {any} value
+ * @returns {any}
+ * @private
  */
-class SaladString extends TypeSalad {
-  /**
-   * @param {string} value - The string value to store.
-   */
-  constructor(value) {
-    super();
-    if(typeof value == "string"){
-      this._value = value;
-      this.type = 'String';
-    } else {
-      throw new TypeError(`Error: Input value was internal type '${typeof value}', expected internal type 'string'.`);
+function toPlain(value) {
+  if (value instanceof TypeSalad) {
+    if (typeof value.toJSON === "function") {
+      return value.toJSON();
     }
-
+    const raw = value.valueOf();
+    return raw === value ? raw : toPlain(raw);
   }
-
-  /**
-   * Returns the internal string value.
-   * @returns {string}
-   */
-  toString() {
-    return new SaladString(this._value);
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
   }
-
-  /**
-   * Returns the internal string value (for numeric operations, coerces to NaN).
-   * @returns {string}
-   */
-  valueOf() {
-    return this._value;
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
   }
+  return value;
 }
 
 /**
- * Wraps an integer value in a typed container.
+ * Splits the name given to `defineRecord` or `defineEnum` into the name it
+ * is registered under and the short name its values report as `.type`.
+ * The name may be namespace-qualified (`"App.Person"`), or qualified by a
+ * `namespace` option.
  *
- * @class SaladInt
- * @extends TypeSalad
+ * @param {string} name - The (optionally qualified) type name.
+ * @param {string} [namespace] - A namespace to put the type in.
+ * @param {string} caller - The function name, for error messages.
+ * @param {string} kind - `'record'` or `'enum'`, for error messages.
+ * @returns {{fullName: string, typeName: string}}
+ * @throws {TypeError} If the name or namespace is empty or not a string.
+ * @private
  */
-class SaladInt extends TypeSalad {
-  /**
-   * @param {number} value - The integer value to store.
-   */
-  constructor(value) {
-    super();
-    if(typeof value == "number"){
-      this._value = value;
-      this.type = 'Int';
-    } else {
-      throw new TypeError(`Error: Input value was internal type '${typeof value}', expected internal type 'number'.`);
-    }
-  }
-
-  /**
-   * Returns a string version of the internal integer.
-   * @returns {string}
-   */
-  toString() {
-    return new SaladString(`${this._value}`);
+function definitionName(name, namespace, caller, kind) {
+  if (typeof name !== "string" || name === "") {
+    throw new TypeError(`${caller} expects a non-empty ${kind} name.`);
   }
-
-  /**
-   * Returns the internal integer value as a number.
-   * @returns {number}
-   */
-  valueOf() {
-    return this._value;
+  if (namespace !== undefined && (typeof namespace !== "string" || namespace === "")) {
+    throw new TypeError(`${caller} expects a non-empty namespace.`);
   }
+  const fullName = namespace === undefined ? name : `${namespace}.${name}`;
+  return { fullName, typeName: fullName.slice(fullName.lastIndexOf(".") + 1) };
 }
 
-/***************************************************************
- * Additional typed classes: SaladVec2, SaladVec3
- ***************************************************************/
-
 /**
- * Represents a 2D vector in TypeSalad.
+ * Registers a class made by `defineRecord` or `defineEnum`. Defining the
+ * same name again with the same function replaces the earlier class, so a
+ * module can be re-run (by a test runner or hot reload); a clash with any
+ * other type still throws.
  *
- * @class SaladVec2
+ * @param {string} fullName - The namespace-qualified name.
+ * @param {Function} ctor - The new class.
+ * @param {WeakSet<Function>} definedTypes - The classes made by the same function.
+ * @param {Object.<string, string>} [fields] - The declared fields.
+ * @private
+ */
+function registerDefinition(fullName, ctor, definedTypes, fields) {
+  const previous = typeRegistry.get(fullName);
+  if (previous && definedTypes.has(previous.ctor)) {
+    typeRegistry.delete(fullName);
+  }
+  registerType(fullName, ctor, { fields });
+}
+
+/**
+ * Classes created by `defineRecord`.
+ * @type {WeakSet<Function>}
+ * @private
+ */
+const recordTypes = new WeakSet();
+
+/**
+ * Field names a record can't use, since they'd shadow its `type` or its
+ * own methods (`TypeSalad`'s methods are reserved too).
+ * @type {string[]}
+ * @private
+ */
+const reservedRecordNames = ["type", "with", "deconstruct", "toJSON"];
+
+/**
+ * Creates an immutable "record" class (like a C# `record`) whose fields are
+ * type-checked in the constructor.
+ *
+ * Instances can be built from an object of named fields or from positional
+ * arguments in schema order, and get structural equality, `with(changes)`,
+ * `deconstruct()`, `toString()` and `toJSON()`.
+ *
+ * The record is registered under its name, which may be namespace-qualified
+ * (`"App.Person"` registers `App.Person` with `.type` `Person`). Defining a
+ * record with the same name again replaces the earlier definition.
+ *
+ * @function defineRecord
+ * @param {string} name - The record type name; its last segment becomes `.type`.
+ * @param {Object.<string, string>} schema - Field names mapped to type names (e.g. `{ age: 'Int' }`).
+ * @param {Object} [options={}]
+ * @param {string} [options.namespace] - A namespace to register the record in.
+ * @returns {Class} A new class extending `TypeSalad`.
+ * @throws {TypeError} If the name or schema is invalid.
+ */
+function defineRecord(name, schema, options = {}) {
+  const { fullName, typeName } = definitionName(name, options.namespace, "defineRecord", "record");
+  if (!isPlainObject(schema)) {
+    throw new TypeError("defineRecord expects a schema object of field names to type names.");
+  }
+  const fieldNames = Object.keys(schema);
+  for (const field of fieldNames) {
+    if (typeof schema[field] !== "string") {
+      throw new TypeError(`Field '${field}' of record '${typeName}' must declare a type name.`);
+    }
+    if (reservedRecordNames.includes(field) || field in TypeSalad.prototype) {
+      throw new TypeError(`Field name '${field}' is reserved and cannot be used in record '${typeName}'.`);
+    }
+  }
+
+  /**
+   * @class Record
+   * @extends TypeSalad
+   */
+  const Record = class extends TypeSalad {
+    /**
+     * @param {...any} args - Either one object of named fields, or the field values in schema order.
+     * @throws {TypeError} If a field is missing, unknown or of the wrong type.
+     */
+    constructor(...args) {
+      super();
+      const named = args.length === 1 && isPlainObject(args[0]);
+      const fields = named
+        ? args[0]
+        : Object.fromEntries(fieldNames.map((field, i) => [field, args[i]]));
+
+      if (named) {
+        for (const key of Object.keys(fields)) {
+          if (!Object.hasOwn(schema, key)) {
+            throw new TypeError(`Record '${typeName}' has no field '${key}'.`);
+          }
+        }
+      } else if (args.length > fieldNames.length) {
+        throw new TypeError(`Record '${typeName}' expects ${fieldNames.length} fields, got ${args.length}.`);
+      }
+
+      for (const field of fieldNames) {
+        const value = fields[field];
+        if (!isAssignableTo(value, schema[field])) {
+          throw new TypeError(
+            `Field '${field}' of record '${typeName}' expected type '${schema[field]}', got '${value?.type}'.`
+          );
+        }
+        this[field] = value;
+      }
+      this.type = typeName;
+      Object.freeze(this);
+    }
+
+    /**
+     * The record's field schema.
+     * @type {Object.<string, string>}
+     */
+    static get fields() {
+      return { ...schema };
+    }
+
+    /**
+     * Returns a copy of this record with some fields replaced.
+     * @param {Object} changes - Field names mapped to their new values.
+     * @returns {Record} A new record of the same type.
+     */
+    with(changes) {
+      const fields = Object.fromEntries(fieldNames.map(field => [field, this[field]]));
+      return new this.constructor({ ...fields, ...changes });
+    }
+
+    /**
+     * Returns the field values, in schema order, as a SaladTuple.
+     * @returns {SaladTuple}
+     */
+    deconstruct() {
+      return new SaladTuple(...fieldNames.map(field => this[field]));
+    }
+
+    /**
+     * Checks field-by-field equality with another record of the same type.
+     * @param {any} other - The value to compare against.
+     * @returns {boolean}
+     */
+    equals(other) {
+      return other?.type === this.type &&
+        fieldNames.every(field => TypeSalad.equals(this[field], other[field]));
+    }
+
+    /**
+     * Records have no natural ordering.
+     * @throws {TypeError} Always.
+     */
+    compareTo(other) {
+      throw new TypeError(`Type '${this.type}' is not comparable.`);
+    }
+
+    /**
+     * Returns a hash code built from the field values.
+     * @returns {number}
+     */
+    hashCode() {
+      return combineHashes([hashString(typeName), ...fieldNames.map(field => TypeSalad.hash(this[field]))]);
+    }
+
+    /**
+     * Returns a C#-style representation, e.g. `Person { name = Ada, age = 36 }`.
+     * @returns {SaladString}
+     */
+    toString() {
+      const parts = fieldNames.map(field => `${field} = ${displayString(this[field])}`);
+      return new SaladString(`${typeName} { ${parts.join(', ')} }`);
+    }
+
+    /**
+     * Returns a plain object of the fields for JSON serialization.
+     * @returns {Object}
+     */
+    toJSON() {
+      return Object.fromEntries(fieldNames.map(field => [field, toPlain(this[field])]));
+    }
+  };
+
+  Object.defineProperty(Record, "name", { value: typeName });
+  recordTypes.add(Record);
+  registerDefinition(fullName, Record, recordTypes, schema);
+  return Record;
+}
+
+/***************************************************************
+ * Enums
+ * - defineEnum(name, members, { flags, namespace })
+ ***************************************************************/
+
+/**
+ * Static member names an enum value can't use, since they'd shadow the enum's API.
+ * @type {string[]}
+ * @private
+ */
+const reservedEnumNames = ["values", "parse", "tryParse", "fromValue", "name", "length", "prototype", "isFlags"];
+
+/**
+ * Classes created by `defineEnum`.
+ * @type {WeakSet<Function>}
+ * @private
+ */
+const enumTypes = new WeakSet();
+
+/**
+ * Creates an enum class (like a C# `enum`). Each member is a frozen, typed
+ * instance exposed as a static property (e.g. `Color.Red`) whose `.type` is
+ * the enum name and whose `valueOf()` is its numeric value.
+ *
+ * Members can be given as an array of names (numbered 0, 1, 2, ... or, for
+ * flags enums, 1, 2, 4, ...) or as an object of names to integer values.
+ * With `{ flags: true }` the enum behaves like a C# `[Flags]` enum: values
+ * can be combined with `combine` and tested with `hasFlag`.
+ *
+ * As with `defineRecord`, the name may be namespace-qualified, and defining
+ * an enum with the same name again replaces the earlier definition.
+ *
+ * @function defineEnum
+ * @param {string} name - The enum type name; its last segment becomes `.type`.
+ * @param {string[]|Object.<string, number>} members - The member names, or names mapped to values.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.flags=false] - Whether this is a flags enum.
+ * @param {string} [options.namespace] - A namespace to register the enum in.
+ * @returns {Class} A new class extending `TypeSalad`.
+ * @throws {TypeError} If the name or members are invalid.
+ */
+function defineEnum(name, members, options = {}) {
+  const { flags = false } = options;
+  const { fullName, typeName } = definitionName(name, options.namespace, "defineEnum", "enum");
+  const entries = Array.isArray(members)
+    ? members.map((member, i) => [member, flags ? 2 ** i : i])
+    : (isPlainObject(members) ? Object.entries(members) : null);
+  if (!entries || entries.length === 0) {
+    throw new TypeError(`defineEnum expects a non-empty array or object of members for enum '${typeName}'.`);
+  }
+
+  /**
+   * Instances by numeric value (declared members first, then flag combinations).
+   * @type {Map<number, object>}
+   */
+  const byValue = new Map();
+  const declared = [];
+  let sealed = false;
+
+  /**
+   * @class Enum
+   * @extends TypeSalad
+   */
+  const Enum = class extends TypeSalad {
+    /**
+     * Enum values can't be constructed directly; use the static members,
+     * `parse` or `fromValue`.
+     * @private
+     */
+    constructor(memberName, value) {
+      super();
+      if (sealed) {
+        throw new TypeError(`Enum '${typeName}' cannot be instantiated; use its members instead.`);
+      }
+      this._name = memberName;
+      this._value = value;
+      this.type = typeName;
+      Object.freeze(this);
+    }
+
+    /**
+     * Whether this is a flags enum.
+     * @type {boolean}
+     */
+    static get isFlags() {
+      return flags;
+    }
+
+    /**
+     * Returns the declared members, in declaration order.
+     * @returns {Array<Enum>}
+     */
+    static values() {
+      return [...declared];
+    }
+
+    /**
+     * Returns the member with the given numeric value. For flags enums any
+     * combination of declared flags is accepted.
+     *
+     * @param {number|SaladInteger} value - The numeric value.
+     * @returns {Enum}
+     * @throws {RangeError} If the value is not defined by the enum.
+     */
+    static fromValue(value) {
+      const raw = Number(value?.valueOf());
+      if (byValue.has(raw)) {
+        return byValue.get(raw);
+      }
+      const all = declared.reduce((acc, member) => acc | member._value, 0);
+      if (flags && Number.isInteger(raw) && (raw & ~all) === 0) {
+        sealed = false;
+        const combined = new Enum(undefined, raw);
+        sealed = true;
+        byValue.set(raw, combined);
+        return combined;
+      }
+      throw new RangeError(`Value '${raw}' is not defined in enum '${typeName}'.`);
+    }
+
+    /**
+     * Parses a member name (or, for flags enums, a comma-separated list of
+     * names such as "Read, Write").
+     *
+     * @param {string|SaladString} text - The text to parse.
+     * @param {boolean} [ignoreCase=false] - Whether to match names case-insensitively.
+     * @returns {Enum}
+     * @throws {TypeError} If the text doesn't name a member.
+     */
+    static parse(text, ignoreCase = false) {
+      const result = Enum.tryParse(text, ignoreCase);
+      if (result === null) {
+        throw new TypeError(`'${text?.valueOf()}' is not a valid value of enum '${typeName}'.`);
+      }
+      return result;
+    }
+
+    /**
+     * Like `parse`, but returns `null` instead of throwing.
+     *
+     * @param {string|SaladString} text - The text to parse.
+     * @param {boolean} [ignoreCase=false] - Whether to match names case-insensitively.
+     * @returns {Enum|null}
+     */
+    static tryParse(text, ignoreCase = false) {
+      const raw = text?.valueOf();
+      if (typeof raw !== "string") {
+        return null;
+      }
+      const parts = flags ? raw.split(",") : [raw];
+      let value = 0;
+      for (const part of parts) {
+        const wanted = ignoreCase ? part.trim().toLowerCase() : part.trim();
+        const member = declared.find(m => (ignoreCase ? m._name.toLowerCase() : m._name) === wanted);
+        if (!member) {
+          return null;
+        }
+        value |= member._value;
+      }
+      return Enum.fromValue(value);
+    }
+
+    /**
+     * The member name, or `undefined` for an undeclared flag combination.
+     * @type {string|undefined}
+     * @readonly
+     */
+    get name() {
+      return this._name;
+    }
+
+    /**
+     * Checks whether every bit of `flag` is set in this value (flags enums only).
+     *
+     * @param {Enum} flag - A value of the same enum.
+     * @returns {boolean}
+     * @throws {TypeError} If this isn't a flags enum or `flag` is a different type.
+     */
+    hasFlag(flag) {
+      this._ensureFlag(flag, "hasFlag");
+      return (this._value & flag._value) === flag._value;
+    }
+
+    /**
+     * Returns the bitwise combination of this value and others (flags enums only).
+     *
+     * @param {...Enum} others - Values of the same enum.
+     * @returns {Enum}
+     * @throws {TypeError} If this isn't a flags enum or a value is a different type.
+     */
+    combine(...others) {
+      let value = this._value;
+      for (const other of others) {
+        this._ensureFlag(other, "combine");
+        value |= other._value;
+      }
+      return Enum.fromValue(value);
+    }
+
+    /**
+     * @private
+     */
+    _ensureFlag(flag, opName) {
+      if (!flags) {
+        throw new TypeError(`Enum '${typeName}' is not a flags enum, so '${opName}' is unavailable.`);
+      }
+      if (!isAssignableTo(flag, typeName)) {
+        throw new TypeError(`${opName} expected '${typeName}', got '${flag?.type}'.`);
+      }
+    }
+
+    /**
+     * Returns the member name; flag combinations list their declared flags
+     * (e.g. "Read, Write").
+     * @returns {SaladString}
+     */
+    toString() {
+      if (this._name !== undefined) {
+        return new SaladString(this._name);
+      }
+      const names = declared
+        .filter(m => m._value !== 0 && (this._value & m._value) === m._value)
+        .map(m => m._name);
+      return new SaladString(names.join(", "));
+    }
+
+    /**
+     * Returns the numeric value.
+     * @returns {number}
+     */
+    valueOf() {
+      return this._value;
+    }
+
+    /**
+     * Returns the member name for JSON serialization.
+     * @returns {string}
+     */
+    toJSON() {
+      return this.toString().valueOf();
+    }
+  };
+
+  Object.defineProperty(Enum, "name", { value: typeName });
+  for (const [memberName, value] of entries) {
+    if (typeof memberName !== "string" || !/^[A-Za-z_$][\w$]*$/.test(memberName)) {
+      throw new TypeError(`Enum member '${memberName}' of enum '${typeName}' is not a valid identifier.`);
+    }
+    if (reservedEnumNames.includes(memberName) || Object.hasOwn(Enum, memberName)) {
+      throw new TypeError(`Enum member name '${memberName}' is reserved or duplicated in enum '${typeName}'.`);
+    }
+    if (!Number.isInteger(value)) {
+      throw new TypeError(`Enum member '${memberName}' of enum '${typeName}' must have an integer value.`);
+    }
+    const member = new Enum(memberName, value);
+    declared.push(member);
+    if (!byValue.has(value)) {
+      byValue.set(value, member);
+    }
+    Object.defineProperty(Enum, memberName, { value: member, enumerable: true });
+  }
+  sealed = true;
+  enumTypes.add(Enum);
+  registerDefinition(fullName, Enum, enumTypes);
+  return Enum;
+}
+
+/***************************************************************
+ * Interfaces
+ * - defineInterface(name, members)
+ * - implementInterfaces(Class, ...interfaces)
+ ***************************************************************/
+
+/**
+ * All defined interfaces, by name.
+ * @type {Map<string, SaladInterface>}
+ * @private
+ */
+const interfaceRegistry = new Map();
+
+/**
+ * Interfaces declared by each class (declarations are inherited by subclasses).
+ * @type {WeakMap<Function, SaladInterface[]>}
+ * @private
+ */
+const declaredInterfaces = new WeakMap();
+
+/**
+ * A runtime contract (like a C# `interface`). Members are either properties,
+ * declared as a type name (`name: 'String'`), or methods, declared as a
+ * `[parameterList, returnType]` pair (`area: ['()', 'Float']`).
+ *
+ * Create instances with `defineInterface`.
+ *
+ * @class SaladInterface
+ */
+class SaladInterface {
+  /**
+   * @param {string} name - The interface name.
+   * @param {Object.<string, (string|string[])>} members - The member declarations.
+   * @private
+   */
+  constructor(name, members) {
+    /**
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * Method members: name => { params, returnType }.
+     * @type {Object.<string, {params: string[], returnType: string}>}
+     */
+    this.methods = {};
+
+    /**
+     * Property members: name => type name.
+     * @type {Object.<string, string>}
+     */
+    this.properties = {};
+
+    for (const [member, decl] of Object.entries(members)) {
+      if (typeof decl === "string") {
+        this.properties[member] = decl;
+      } else if (Array.isArray(decl) && decl.length === 2 && /^\(.*\)$/.test(decl[0])) {
+        const list = decl[0].slice(1, -1).trim();
+        this.methods[member] = {
+          params: list === "" ? [] : list.split(",").map(p => p.trim()),
+          returnType: decl[1]
+        };
+      } else {
+        throw new TypeError(
+          `Member '${member}' of interface '${name}' must be a type name or a ['(params)', 'ReturnType'] pair.`
+        );
+      }
+    }
+    Object.freeze(this.methods);
+    Object.freeze(this.properties);
+    Object.freeze(this);
+  }
+
+  /**
+   * Checks whether a value's class declares that it implements this interface.
+   *
+   * @param {any} value - The value to test.
+   * @returns {boolean}
+   */
+  isImplementedBy(value) {
+    if (value === null || typeof value !== "object") {
+      return false;
+    }
+    for (let ctor = value.constructor; typeof ctor === "function"; ctor = Object.getPrototypeOf(ctor)) {
+      if (declaredInterfaces.get(ctor)?.includes(this)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Returns the interface name.
+   * @returns {string}
+   */
+  toString() {
+    return this.name;
+  }
+}
+
+/**
+ * Defines a new runtime interface.
+ *
+ * @function defineInterface
+ * @param {string} name - The interface name (e.g. "IShape").
+ * @param {Object.<string, (string|string[])>} members - Properties as type names and methods as `['(params)', 'ReturnType']`.
+ * @returns {SaladInterface}
+ * @throws {TypeError} If the name is taken or a member is malformed.
+ */
+function defineInterface(name, members) {
+  if (typeof name !== "string" || name === "") {
+    throw new TypeError("defineInterface expects a non-empty interface name.");
+  }
+  if (interfaceRegistry.has(name)) {
+    throw new TypeError(`Interface '${name}' is already defined.`);
+  }
+  if (!isPlainObject(members)) {
+    throw new TypeError(`defineInterface expects a members object for interface '${name}'.`);
+  }
+  const iface = new SaladInterface(name, members);
+  interfaceRegistry.set(name, iface);
+  return iface;
+}
+
+/**
+ * Resolves an interface given either the interface itself or its name.
+ *
+ * @param {SaladInterface|string} iface
+ * @returns {SaladInterface}
+ * @throws {ReferenceError} If no such interface is defined.
+ * @private
+ */
+function resolveInterface(iface) {
+  if (iface instanceof SaladInterface) {
+    return iface;
+  }
+  if (!interfaceRegistry.has(iface)) {
+    throw new ReferenceError(`Interface '${iface}' is not defined.`);
+  }
+  return interfaceRegistry.get(iface);
+}
+
+/**
+ * Declares that a class implements one or more interfaces.
+ *
+ * Methods are checked immediately (they must exist on the prototype and not
+ * require more parameters than the interface declares). Properties are
+ * usually assigned in the constructor, so they're checked on the first
+ * instantiation of the returned class.
+ *
+ * @function implementInterfaces
+ * @param {Class} BaseClass - The class that implements the interfaces.
+ * @param {...(SaladInterface|string)} interfaces - The interfaces (or their names).
+ * @returns {Class} A subclass of `BaseClass` (with the same name) that carries the declaration.
+ * @throws {TypeError} If a method is missing or has an incompatible arity.
+ */
+function implementInterfaces(BaseClass, ...interfaces) {
+  if (typeof BaseClass !== "function") {
+    throw new TypeError("implementInterfaces expects a class.");
+  }
+  const resolved = interfaces.map(resolveInterface);
+  const className = BaseClass.name || "(anonymous)";
+
+  for (const iface of resolved) {
+    for (const [method, { params }] of Object.entries(iface.methods)) {
+      const fn = BaseClass.prototype[method];
+      if (typeof fn !== "function") {
+        throw new TypeError(`Class '${className}' does not implement method '${iface.name}.${method}'.`);
+      }
+      if (fn.length > params.length) {
+        throw new TypeError(
+          `Method '${className}.${method}' takes ${fn.length} parameters, but '${iface.name}.${method}' declares ${params.length}.`
+        );
+      }
+    }
+  }
+
+  let verified = false;
+  const Implementing = class extends BaseClass {
+    constructor(...args) {
+      super(...args);
+      if (!verified) {
+        for (const iface of resolved) {
+          for (const [prop, typeName] of Object.entries(iface.properties)) {
+            if (!isAssignableTo(this[prop], typeName)) {
+              throw new TypeError(
+                `Class '${className}' does not implement property '${iface.name}.${prop}' (expected '${typeName}', got '${this[prop]?.type}').`
+              );
+            }
+          }
+        }
+        verified = true;
+      }
+    }
+  };
+  Object.defineProperty(Implementing, "name", { value: BaseClass.name });
+  declaredInterfaces.set(Implementing, resolved);
+  return Implementing;
+}
+
+/***************************************************************
+ * Type Registry & Hierarchy
+ * - registerType(name, ctor, { fields })
+ * - isAssignableTo(value, typeName)
+ * - TypeInfo (reflection, exposed through System.GetType / typeOf)
+ ***************************************************************/
+
+/**
+ * Registered types, by namespace-qualified name.
+ * @type {Map<string, TypeInfo>}
+ * @private
+ */
+const typeRegistry = new Map();
+
+/**
+ * Registered types, by class.
+ * @type {WeakMap<Function, TypeInfo>}
+ * @private
+ */
+const typesByConstructor = new WeakMap();
+
+/**
+ * Finds the nearest registered class in a constructor's prototype chain.
+ *
+ * @param {Function} ctor - The class to start from.
+ * @returns {TypeInfo|undefined}
+ * @private
+ */
+function nearestRegisteredType(ctor) {
+  for (let c = ctor; typeof c === "function"; c = Object.getPrototypeOf(c)) {
+    if (typesByConstructor.has(c)) {
+      return typesByConstructor.get(c);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Reflection information about a TypeSalad type (like C#'s `System.Type`).
+ *
+ * @class TypeInfo
+ */
+class TypeInfo {
+  /**
+   * @param {string} fullName - The namespace-qualified name (e.g. "SaladMath.Vector").
+   * @param {Function} ctor - The class.
+   * @param {Object.<string, string>} fields - The declared fields (name => type name).
+   * @param {string[]} [genericArguments=[]] - Generic arguments, for constructed types.
+   * @param {Function} [instanceCtor=ctor] - The class interfaces are read from (may be a subclass of `ctor`).
+   * @private
+   */
+  constructor(fullName, ctor, fields, genericArguments = [], instanceCtor = ctor) {
+    const dot = fullName.lastIndexOf(".");
+
+    /**
+     * The short name, as used in `.type` (e.g. "Vector").
+     * @type {string}
+     */
+    this.name = fullName.slice(dot + 1);
+
+    /**
+     * The namespace, or an empty string for global types (e.g. "SaladMath").
+     * @type {string}
+     */
+    this.namespace = dot === -1 ? "" : fullName.slice(0, dot);
+
+    /**
+     * The namespace-qualified name (e.g. "SaladMath.Vector").
+     * @type {string}
+     */
+    this.fullName = fullName;
+
+    /**
+     * The class that implements the type.
+     * @type {Function}
+     */
+    this.ctor = ctor;
+
+    /**
+     * The declared fields, as field name => type name.
+     * @type {Object.<string, string>}
+     */
+    this.fields = Object.freeze({ ...fields });
+
+    /**
+     * Generic arguments (e.g. `['Int']` for a `List<Int>`), empty if none.
+     * @type {string[]}
+     */
+    this.genericArguments = Object.freeze([...genericArguments]);
+
+    /**
+     * @type {Function}
+     * @private
+     */
+    this._instanceCtor = instanceCtor;
+    Object.freeze(this);
+  }
+
+  /**
+   * The nearest registered base type, or `null` for the root type.
+   * @type {TypeInfo|null}
+   * @readonly
+   */
+  get baseType() {
+    return nearestRegisteredType(Object.getPrototypeOf(this.ctor)) ?? null;
+  }
+
+  /**
+   * The interfaces the type's class (or any base class) declares.
+   * @type {SaladInterface[]}
+   * @readonly
+   */
+  get interfaces() {
+    const result = [];
+    for (let c = this._instanceCtor; typeof c === "function"; c = Object.getPrototypeOf(c)) {
+      for (const iface of declaredInterfaces.get(c) ?? []) {
+        if (!result.includes(iface)) {
+          result.push(iface);
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Checks whether a value can be used where this type is expected.
+   * @param {any} value
+   * @returns {boolean}
+   */
+  isInstance(value) {
+    return isAssignableTo(value, this.genericArguments.length > 0
+      ? `${this.fullName}<${this.genericArguments.join(",")}>`
+      : this.fullName);
+  }
+
+  /**
+   * Returns the full name (with generic arguments, if any).
+   * @returns {string}
+   */
+  toString() {
+    return this.genericArguments.length > 0
+      ? `${this.fullName}<${this.genericArguments.join(", ")}>`
+      : this.fullName;
+  }
+}
+
+/**
+ * Registers a TypeSalad class in the global type registry. This is what
+ * makes values of subclasses assignable to the type (e.g. a subclass of
+ * SaladInt is an 'Int') and what the reflection API reports.
+ *
+ * The name may be namespace-qualified ("SaladMath.Vector"); the last segment
+ * is expected to match the `.type` of the class's instances.
+ *
+ * @function registerType
+ * @param {string} name - The (optionally namespace-qualified) type name.
+ * @param {Class} ctor - The class.
+ * @param {Object} [options={}]
+ * @param {Object.<string, string>} [options.fields={}] - The declared fields (name => type name).
+ * @returns {TypeInfo} The registered type.
+ * @throws {TypeError} If the name or the class is already registered.
+ */
+function registerType(name, ctor, options = {}) {
+  const { fields = {} } = options;
+  if (typeof name !== "string" || name === "") {
+    throw new TypeError("registerType expects a non-empty type name.");
+  }
+  if (typeof ctor !== "function") {
+    throw new TypeError(`registerType expects a class for type '${name}'.`);
+  }
+  if (typeRegistry.has(name)) {
+    throw new TypeError(`Type '${name}' is already registered.`);
+  }
+  if (typesByConstructor.has(ctor)) {
+    throw new TypeError(`Class '${ctor.name}' is already registered as '${typesByConstructor.get(ctor).fullName}'.`);
+  }
+  const info = new TypeInfo(name, ctor, fields);
+  typeRegistry.set(name, info);
+  typesByConstructor.set(ctor, info);
+  return info;
+}
+
+/**
+ * Removes whitespace from a type name, so `List< Int >` and `List<Int>` match.
+ * @param {string} typeName
+ * @returns {string}
+ * @private
+ */
+function normalizeTypeName(typeName) {
+  return String(typeName).replace(/\s+/g, "");
+}
+
+/**
+ * Splits a type name into its base name and generic arguments, e.g.
+ * `"Dictionary<String, List<Int>>"` => `{ name: "Dictionary", args: ["String", "List<Int>"] }`.
+ *
+ * @param {string} typeName
+ * @returns {{name: string, args: string[]}}
+ * @private
+ */
+function parseTypeName(typeName) {
+  const text = normalizeTypeName(typeName);
+  const open = text.indexOf("<");
+  if (open === -1 || !text.endsWith(">")) {
+    return { name: text, args: [] };
+  }
+  const args = [];
+  let depth = 0;
+  let start = open + 1;
+  for (let i = start; i < text.length - 1; i++) {
+    if (text[i] === "<") depth++;
+    else if (text[i] === ">") depth--;
+    else if (text[i] === "," && depth === 0) {
+      args.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  args.push(text.slice(start, text.length - 1));
+  return { name: text.slice(0, open), args };
+}
+
+/**
+ * Checks whether a value can be used where `typeName` is expected. A value
+ * is assignable when:
+ * - its `.type` is exactly `typeName` (for raw values, `typeof` is used),
+ * - its class or one of its base classes is registered under `typeName`
+ *   (either the short or the namespace-qualified name),
+ * - its class implements the interface named `typeName`,
+ * - `typeName` is `Nullable<T>` and the value is a `T`, `null` or `undefined`, or
+ * - `typeName` is `'any'`.
+ *
+ * Generic names such as `List<Int>` also compare their arguments (exactly,
+ * or `'any'` as a wildcard).
+ *
+ * @function isAssignableTo
+ * @param {any} value - The value to test.
+ * @param {string|SaladInterface} typeName - The expected type name or interface.
+ * @returns {boolean}
+ */
+function isAssignableTo(value, typeName) {
+  const expected = normalizeTypeName(typeName instanceof SaladInterface ? typeName.name : typeName);
+  if (expected === "any") {
+    return true;
+  }
+  const actual = value?.type ?? typeof value;
+  if (normalizeTypeName(actual) === expected) {
+    return true;
+  }
+  const nullableOf = nullableArgument(expected);
+  if (nullableOf !== undefined && (value === null || value === undefined || isAssignableTo(value, nullableOf))) {
+    return true;
+  }
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+
+  const { name, args } = parseTypeName(expected);
+  if (args.length > 0) {
+    const valueArgs = value.genericArguments ?? parseTypeName(actual).args;
+    if (valueArgs.length !== args.length ||
+        !args.every((arg, i) => arg === "any" || normalizeTypeName(valueArgs[i]) === arg)) {
+      return false;
+    }
+  }
+
+  if (parseTypeName(actual).name === name) {
+    return true;
+  }
+  for (let ctor = value.constructor; typeof ctor === "function"; ctor = Object.getPrototypeOf(ctor)) {
+    const info = typesByConstructor.get(ctor);
+    if (info && (info.name === name || info.fullName === name)) {
+      return true;
+    }
+  }
+  return args.length === 0 && (interfaceRegistry.get(name)?.isImplementedBy(value) ?? false);
+}
+
+/***************************************************************
+ * Typed Functions
+ * - typedFunction(paramTypes, returnType, fn)
+ ***************************************************************/
+
+/**
+ * Best-effort extraction of a function's parameter names, so error
+ * messages can name the offending parameter.
+ *
+ * @param {Function} fn
+ * @returns {string[]} The names found (may be shorter than the real list).
+ * @private
+ */
+function parameterNames(fn) {
+  const source = Function.prototype.toString.call(fn);
+  const arrow = /^(?:async\s*)?([A-Za-z_$][\w$]*)\s*=>/.exec(source);
+  if (arrow) {
+    return [arrow[1]];
+  }
+  const open = source.indexOf("(");
+  if (open === -1) {
+    return [];
+  }
+  const names = [];
+  let depth = 0;
+  let current = "";
+  for (let i = open + 1; i < source.length; i++) {
+    const ch = source[i];
+    if ("([{".includes(ch)) depth++;
+    if (")]}".includes(ch)) {
+      if (depth === 0) break;
+      depth--;
+    }
+    if (ch === "," && depth === 0) {
+      names.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  names.push(current);
+  return names.map(n => /^\s*(?:\.\.\.)?\s*([A-Za-z_$][\w$]*)/.exec(n)?.[1]).filter(Boolean);
+}
+
+/**
+ * Normalizes a list of parameter declarations into signature parameters.
+ *
+ * A declaration is either a type name (`'Int'`), a rest type (`'...Int'`),
+ * an interface, or an object `{ name, type, optional, default, params }`.
+ * A `default` makes the parameter optional.
+ *
+ * @param {Array<string|SaladInterface|Object>} paramTypes - The declarations.
+ * @param {string[]} [names=[]] - Fallback parameter names.
+ * @returns {Array<{name: string, type: string, optional: boolean, hasDefault: boolean, default: any, rest: boolean}>}
+ * @throws {TypeError} If a declaration is malformed or out of order.
+ * @private
+ */
+function normalizeParameters(paramTypes, names = []) {
+  if (!Array.isArray(paramTypes)) {
+    throw new TypeError("Parameter types must be given as an array.");
+  }
+  const params = paramTypes.map((decl, i) => {
+    const spec = isPlainObject(decl) ? decl : { type: decl };
+    let type = spec.type instanceof SaladInterface ? spec.type.name : spec.type;
+    if (typeof type !== "string" || type === "") {
+      throw new TypeError(`Parameter ${i + 1} must declare a type name.`);
+    }
+    let rest = Boolean(spec.params);
+    if (type.startsWith("...")) {
+      rest = true;
+      type = type.slice(3);
+    }
+    const hasDefault = Object.hasOwn(spec, "default");
+    return {
+      name: spec.name ?? names[i] ?? `arg${i + 1}`,
+      type: normalizeTypeName(type),
+      optional: Boolean(spec.optional) || hasDefault || rest,
+      hasDefault,
+      default: spec.default,
+      rest
+    };
+  });
+  params.forEach((param, i) => {
+    if (param.rest && i !== params.length - 1) {
+      throw new TypeError(`Rest parameter '${param.name}' must be the last parameter.`);
+    }
+    if (!param.optional && params.slice(0, i).some(p => p.optional)) {
+      throw new TypeError(`Required parameter '${param.name}' cannot follow an optional parameter.`);
+    }
+  });
+  return params;
+}
+
+/**
+ * Checks call arguments against signature parameters, applying defaults.
+ *
+ * @param {Array<Object>} params - Normalized signature parameters.
+ * @param {Array<any>} args - The call arguments.
+ * @param {string} fnName - The function name, for error messages.
+ * @returns {Array<any>} The arguments with defaults filled in.
+ * @throws {TypeError} On a wrong argument count or type.
+ * @private
+ */
+function bindArguments(params, args, fnName) {
+  const required = params.filter(p => !p.optional).length;
+  const rest = params.length > 0 && params[params.length - 1].rest;
+  const max = rest ? Infinity : params.length;
+  if (args.length < required || args.length > max) {
+    const expected = rest ? `at least ${required}` : (required === max ? `${max}` : `${required} to ${max}`);
+    throw new TypeError(`Function '${fnName}' expects ${expected} arguments, got ${args.length}.`);
+  }
+
+  const bound = [];
+  params.forEach((param, i) => {
+    if (param.rest) {
+      args.slice(i).forEach((arg, j) => {
+        if (!isAssignableTo(arg, param.type)) {
+          throw new TypeError(
+            `Parameter '${param.name}[${j}]' was type '${arg?.type ?? typeof arg}', expected '${param.type}'.`
+          );
+        }
+        bound.push(liftNullable(arg, param.type));
+      });
+      return;
+    }
+    let arg = args[i];
+    if (arg === undefined && param.optional) {
+      if (param.hasDefault) {
+        arg = param.default;
+      } else {
+        bound.push(undefined);
+        return;
+      }
+    }
+    if (!isAssignableTo(arg, param.type)) {
+      throw new TypeError(
+        `Parameter '${param.name}' was type '${arg?.type ?? typeof arg}', expected '${param.type}'.`
+      );
+    }
+    bound.push(liftNullable(arg, param.type));
+  });
+  return bound;
+}
+
+/**
+ * Checks a return value against a declared return type. `'void'` requires
+ * `undefined`; promises are checked once they resolve.
+ *
+ * @param {any} value - The returned value.
+ * @param {string} returnType - The declared return type.
+ * @param {string} fnName - The function name, for error messages.
+ * @returns {any} The value (or a promise of it).
+ * @throws {TypeError} If the value doesn't match.
+ * @private
+ */
+function checkReturn(value, returnType, fnName) {
+  if (typeof value?.then === "function" && !isAssignableTo(value, returnType)) {
+    return value.then(resolved => checkReturn(resolved, returnType, fnName));
+  }
+  const ok = returnType === "void" ? value === undefined : isAssignableTo(value, returnType);
+  if (!ok) {
+    throw new TypeError(
+      `Return value of '${fnName}' was type '${value?.type ?? typeof value}', expected '${returnType}'.`
+    );
+  }
+  return value;
+}
+
+/**
+ * Wraps a function so every call validates its arguments and return value
+ * at runtime.
+ *
+ * Parameters are declared as type names (`'Int'`), rest types (`'...Int'`,
+ * like C# `params`), interfaces, or objects such as
+ * `{ name: 'count', type: 'Int', default: new SaladInt(1) }` for optional
+ * parameters. The signature is stored as `'design:signature'` metadata on
+ * the returned function.
+ *
+ * @function typedFunction
+ * @param {Array<string|SaladInterface|Object>} paramTypes - The parameter declarations.
+ * @param {string|SaladInterface} returnType - The return type (`'void'`, `'any'` or a type name).
+ * @param {Function} fn - The function to wrap.
+ * @returns {Function} The checked function.
+ * @throws {TypeError} If the signature is malformed.
+ */
+function typedFunction(paramTypes, returnType, fn) {
+  if (typeof fn !== "function") {
+    throw new TypeError("typedFunction expects a function to wrap.");
+  }
+  const signature = Object.freeze({
+    params: Object.freeze(normalizeParameters(paramTypes, parameterNames(fn))),
+    returnType: normalizeTypeName(returnType instanceof SaladInterface ? returnType.name : returnType)
+  });
+  const fnName = fn.name || "(anonymous)";
+
+  const typed = function (...args) {
+    const bound = bindArguments(signature.params, args, fnName);
+    return checkReturn(fn.apply(this, bound), signature.returnType, fnName);
+  };
+  Object.defineProperty(typed, "name", { value: fn.name });
+  addMetadata(typed, "design:signature", signature);
+  return typed;
+}
+
+/***************************************************************
+ * Overload Resolution
+ * - Best-match scoring: exact type, then base type / interface,
+ *   then implicit conversion, then `any`
+ ***************************************************************/
+
+/**
+ * Costs of passing an argument to a parameter, from best to worst. Within a
+ * tier, a fractional part ranks nearer base types and narrower conversions.
+ * @private
+ */
+const ArgumentCost = Object.freeze({ Exact: 0, BaseType: 1, Conversion: 2, Any: 3 });
+
+/**
+ * Numeric types in the order implicit conversions prefer them (narrowest first).
+ * @private
+ */
+const numericConversionOrder = ["SByte", "Byte", "Short", "UShort", "Int", "UInt", "Long", "ULong", "Float", "Decimal"];
+
+/**
+ * Finds the implicit conversion (if any) of a value to a type: raw strings,
+ * booleans and numbers to their typed wrappers, or a typed value through an
+ * implicit conversion registered with `Convert.Register` (built in: integral
+ * values to wider integral types, `Float` or `Decimal`).
+ *
+ * @param {any} value - The value to convert.
+ * @param {string} typeName - The target type name.
+ * @returns {{rank: number, convert: Function}|null} The conversion, ranked (0 is best), or null.
+ * @private
+ */
+function implicitConversion(value, typeName) {
+  const nullableOf = nullableArgument(typeName);
+  if (nullableOf !== undefined) {
+    const lifted = implicitConversion(value, nullableOf);
+    return lifted && { rank: lifted.rank, convert: v => new SaladNullable(nullableOf, lifted.convert(v)) };
+  }
+  const rank = numericConversionOrder.indexOf(typeName) + 1;
+  const registered = findConversion(value, typeName, true);
+  if (registered) {
+    return {
+      rank: rank > 0 ? rank : numericConversionOrder.length + 1,
+      convert: v => registered.convert(v, registered.target)
+    };
+  }
+
+  const target = typeRegistry.get(`TypeSalad.${typeName}`)?.ctor;
+  if (!target) {
+    return null;
+  }
+  if (typeof value === "string" || typeof value === "boolean") {
+    const natural = typeof value === "string" ? "String" : "Bool";
+    return typeName === natural ? { rank: 0, convert: v => new target(v) } : null;
+  }
+  if (typeof value === "number" && rank > 0) {
+    if (typeName === "Float") {
+      return { rank: Number.isInteger(value) ? rank : 0, convert: v => new target(v) };
+    }
+    if (typeName === "Decimal") {
+      return Number.isFinite(value) ? { rank, convert: v => new target(v) } : null;
+    }
+    if (Number.isInteger(value) && value >= target.MinValue && value <= target.MaxValue) {
+      return { rank: typeName === "Int" ? 0 : rank, convert: v => new target(v) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Counts the prototype steps from a value's class to the registered class
+ * named `typeName`, or returns 99 if the match is not through a class
+ * (e.g. an interface).
+ *
+ * @param {any} value
+ * @param {string} typeName
+ * @returns {number}
+ * @private
+ */
+function inheritanceDistance(value, typeName) {
+  const { name } = parseTypeName(typeName);
+  let depth = 0;
+  for (let ctor = value?.constructor; typeof ctor === "function"; ctor = Object.getPrototypeOf(ctor)) {
+    const info = typesByConstructor.get(ctor);
+    if (info && (info.name === name || info.fullName === name)) {
+      return depth;
+    }
+    depth++;
+  }
+  return 99;
+}
+
+/**
+ * Scores passing one argument to a parameter type.
+ *
+ * @param {any} arg - The argument.
+ * @param {string} type - The parameter type.
+ * @returns {{cost: number, convert?: Function}|null} The cost, or null if the argument can't be passed.
+ * @private
+ */
+function argumentCost(arg, type) {
+  if ((arg?.type ?? typeof arg) === type) {
+    return { cost: ArgumentCost.Exact };
+  }
+  if (type === "any") {
+    return { cost: ArgumentCost.Any };
+  }
+  if (type === "object") {
+    // Any non-null object, typed values included; a little better than `any`.
+    return arg !== null && typeof arg === "object" ? { cost: ArgumentCost.Any - 0.5 } : null;
+  }
+  if (isAssignableTo(arg, type)) {
+    return { cost: ArgumentCost.BaseType + inheritanceDistance(arg, type) / 100 };
+  }
+  const conversion = implicitConversion(arg, type);
+  if (conversion) {
+    return { cost: ArgumentCost.Conversion + conversion.rank / 100, convert: conversion.convert };
+  }
+  return null;
+}
+
+/**
+ * Matches call arguments against an overload's parameters.
+ *
+ * @param {Array<Object>} params - Normalized signature parameters.
+ * @param {Array<any>} args - The call arguments.
+ * @returns {{costs: number[], bound: Array<any>, rest: boolean, omitted: number}|null}
+ *   Per-argument costs and the converted arguments (defaults filled in), or null if not applicable.
+ * @private
+ */
+function matchOverload(params, args) {
+  const rest = params.length > 0 && params[params.length - 1].rest;
+  const fixed = rest ? params.length - 1 : params.length;
+  const required = params.filter(p => !p.optional).length;
+  if (args.length < required || (!rest && args.length > params.length)) {
+    return null;
+  }
+
+  const costs = [];
+  const bound = [];
+  let omitted = 0;
+  for (let i = 0; i < Math.max(args.length, fixed); i++) {
+    const param = params[Math.min(i, fixed)];
+    if (i >= args.length || (args[i] === undefined && param.optional && !param.rest)) {
+      omitted++;
+      bound.push(param.hasDefault ? param.default : undefined);
+      if (i < args.length) {
+        costs.push(ArgumentCost.Exact);
+      }
+      continue;
+    }
+    const match = argumentCost(args[i], param.type);
+    if (!match) {
+      return null;
+    }
+    costs.push(match.cost);
+    bound.push(match.convert ? match.convert(args[i]) : liftNullable(args[i], param.type));
+  }
+  return { costs, bound, rest, omitted };
+}
+
+/**
+ * Whether overload match `a` is better than `b`: no argument costs more and
+ * at least one costs less. Equal matches prefer non-variadic overloads,
+ * then the one relying on fewer omitted optional parameters (as in C#).
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ * @private
+ */
+function isBetterMatch(a, b) {
+  let better = false;
+  for (let i = 0; i < a.costs.length; i++) {
+    if (a.costs[i] > b.costs[i]) {
+      return false;
+    }
+    if (a.costs[i] < b.costs[i]) {
+      better = true;
+    }
+  }
+  if (better) {
+    return true;
+  }
+  if (a.rest !== b.rest) {
+    return !a.rest;
+  }
+  return a.omitted < b.omitted;
+}
+
+/**
+ * Formats an overload signature for error messages, e.g. `add(Int a, [Int step], ...Int rest)`.
+ *
+ * @param {string} name - The method name.
+ * @param {Array<Object>} params - Normalized signature parameters.
+ * @returns {string}
+ * @private
+ */
+function formatSignature(name, params) {
+  const parts = params.map(p => {
+    if (p.rest) return `...${p.type} ${p.name}`;
+    return p.optional ? `[${p.type} ${p.name}]` : `${p.type} ${p.name}`;
+  });
+  return `${name}(${parts.join(", ")})`;
+}
+
+/**
+ * Picks the best overload for a call and binds its arguments.
+ *
+ * @param {string} name - The method name.
+ * @param {Array<{params: Array<Object>, fn: Function}>} candidates - The overloads.
+ * @param {Array<any>} args - The call arguments.
+ * @returns {{fn: Function, bound: Array<any>}} The chosen overload and its (converted) arguments.
+ * @throws {Error} If no overload applies or the call is ambiguous.
+ * @private
+ */
+function resolveOverload(name, candidates, args) {
+  const applicable = candidates
+    .map(candidate => ({ candidate, match: matchOverload(candidate.params, args) }))
+    .filter(entry => entry.match);
+  if (applicable.length === 0) {
+    throw new Error(`No overload for ${name}(${args.map(a => a?.type ?? typeof a).join(',')})`);
+  }
+
+  const best = applicable.filter(entry =>
+    applicable.every(other => other === entry || isBetterMatch(entry.match, other.match))
+  );
+  if (best.length !== 1) {
+    const signatures = applicable.map(({ candidate }) => formatSignature(name, candidate.params));
+    throw new Error(
+      `Ambiguous call to ${name}(${args.map(a => a?.type ?? typeof a).join(',')}) between: ${signatures.join("; ")}`
+    );
+  }
+  return { fn: best[0].candidate.fn, bound: best[0].match.bound };
+}
+
+/**
+ * Overloads defined on objects (usually class prototypes) with
+ * `Overloadable.define`, by target and then method name.
+ * @type {WeakMap<Object, Map<string, Array<{params: Array<Object>, fn: Function}>>>}
+ * @private
+ */
+const prototypeOverloads = new WeakMap();
+
+/***************************************************************
+ * Base "TypeSalad" Class
+ * - Equality / ordering / hashing protocol (IEquatable, IComparable)
+ ***************************************************************/
+
+/**
+ * Computes a 32-bit hash of a string (same scheme as Java's `String.hashCode`).
+ *
+ * @param {string} str - The string to hash.
+ * @returns {number} A 32-bit integer hash.
+ * @private
+ */
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = (Math.imul(hash, 31) + str.charCodeAt(i)) | 0;
+  }
+  return hash;
+}
+
+/**
+ * Folds a list of hashes into one 32-bit hash, order-sensitive.
+ *
+ * @param {number[]} hashes - The hashes to combine.
+ * @returns {number} A 32-bit integer hash.
+ * @private
+ */
+function combineHashes(hashes) {
+  let hash = 17;
+  for (const h of hashes) {
+    hash = (Math.imul(hash, 31) + h) | 0;
+  }
+  return hash;
+}
+
+/**
+ * @type {WeakMap<object, number>}
+ * @private
+ */
+const identityHashes = new WeakMap();
+
+/**
+ * Returns a stable per-object hash, for values that only have reference equality.
+ *
+ * @param {object} obj
+ * @returns {number}
+ * @private
+ */
+function identityHash(obj) {
+  if (!identityHashes.has(obj)) {
+    identityHashes.set(obj, hashString(`#${Math.random()}`));
+  }
+  return identityHashes.get(obj);
+}
+
+/**
+ * Returns true if `value` is a plain object literal (not a class instance or array).
+ * @param {any} value
+ * @returns {boolean}
+ * @private
+ */
+function isPlainObject(value) {
+  if (typeof value !== "object" || value === null) {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Returns true if either value is assignable to the other's type (e.g. a
+ * subclass of SaladInt and a SaladInt).
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ * @private
+ */
+function areRelatedTypes(a, b) {
+  return b?.type !== undefined && (isAssignableTo(b, a.type) || isAssignableTo(a, b.type));
+}
+
+/**
+ * A base class for all typed "Salad" classes.
+ *
+ * Every TypeSalad value takes part in an equality/ordering protocol similar
+ * to C#'s `IEquatable<T>` and `IComparable<T>`:
+ * - `equals(other)` compares structurally,
+ * - `compareTo(other)` returns a negative number, zero or a positive number,
+ * - `hashCode()` returns a 32-bit integer consistent with `equals`.
+ *
+ * The defaults compare `type` and `valueOf()`; classes whose `valueOf()`
+ * doesn't capture their whole state override them.
+ *
+ * @class TypeSalad
+ */
+class TypeSalad {
+  /**
+   * Checks whether `other` is the same type and holds an equal value.
+   *
+   * @param {any} other - The value to compare against.
+   * @returns {boolean}
+   */
+  equals(other) {
+    if (this === other) {
+      return true;
+    }
+    const value = this.valueOf();
+    if (value === this) {
+      // No wrapped value to compare, so only identity counts
+      return false;
+    }
+    return areRelatedTypes(this, other) && TypeSalad.equals(value, other.valueOf());
+  }
+
+  /**
+   * Orders this value relative to another value of the same type.
+   *
+   * @param {TypeSalad} other - The value to compare against.
+   * @returns {number} Negative if this sorts first, positive if `other` does, zero if equal.
+   * @throws {TypeError} If `other` is a different type.
+   */
+  compareTo(other) {
+    if (!areRelatedTypes(this, other)) {
+      throw new TypeError(`compareTo expected '${this.type}', got '${other?.type}'.`);
+    }
+    const value = this.valueOf();
+    if (value === this) {
+      throw new TypeError(`Type '${this.type}' is not comparable.`);
+    }
+    return TypeSalad.compare(value, other.valueOf());
+  }
+
+  /**
+   * Returns a hash code consistent with `equals`.
+   *
+   * @returns {number} A 32-bit integer hash.
+   */
+  hashCode() {
+    const value = this.valueOf();
+    if (value === this) {
+      return identityHash(this);
+    }
+    return combineHashes([hashString(String(this.type)), TypeSalad.hash(value)]);
+  }
+
+  /**
+   * Compares any two values for equality. Typed values use their `equals`
+   * method; arrays and plain objects are compared structurally.
+   *
+   * @param {any} a
+   * @param {any} b
+   * @returns {boolean}
+   */
+  static equals(a, b) {
+    if (a instanceof TypeSalad) {
+      return a.equals(b);
+    }
+    if (b instanceof TypeSalad) {
+      return false;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return a.length === b.length && a.every((item, i) => TypeSalad.equals(item, b[i]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length &&
+        keys.every(key => Object.hasOwn(b, key) && TypeSalad.equals(a[key], b[key]));
+    }
+    return Object.is(a, b) || (a === b);
+  }
+
+  /**
+   * Compares any two values for ordering. Typed values use their `compareTo`
+   * method; numbers, bigints, strings (ordinal), booleans and arrays
+   * (lexicographic) are compared directly. `null`/`undefined` sort first.
+   * Can be passed straight to `Array.prototype.sort`.
+   *
+   * @param {any} a
+   * @param {any} b
+   * @returns {number}
+   * @throws {TypeError} If the two values can't be ordered against each other.
+   */
+  static compare(a, b) {
+    if (a instanceof TypeSalad) {
+      return a.compareTo(b);
+    }
+    if (a == null || b == null) {
+      return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = TypeSalad.compare(a[i], b[i]);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return a.length - b.length;
+    }
+    const numeric = t => t === "number" || t === "bigint";
+    if (typeof a === typeof b || (numeric(typeof a) && numeric(typeof b))) {
+      if (["number", "bigint", "string", "boolean"].includes(typeof a)) {
+        return a < b ? -1 : (a > b ? 1 : 0);
+      }
+    }
+    throw new TypeError(`Cannot compare internal type '${typeof a}' with internal type '${typeof b}'.`);
+  }
+
+  /**
+   * Returns a hash code for any value, consistent with `TypeSalad.equals`.
+   *
+   * @param {any} value
+   * @returns {number} A 32-bit integer hash.
+   */
+  static hash(value) {
+    if (value instanceof TypeSalad) {
+      return value.hashCode();
+    }
+    if (value == null) {
+      return 0;
+    }
+    if (Array.isArray(value)) {
+      return combineHashes(value.map(item => TypeSalad.hash(item)));
+    }
+    if (isPlainObject(value)) {
+      return combineHashes(Object.keys(value).sort().map(key =>
+        combineHashes([hashString(key), TypeSalad.hash(value[key])])
+      ));
+    }
+    return hashString(`${typeof value}:${String(value)}`);
+  }
+}
+
+/***************************************************************
+ * Basic typed classes: SaladString
+ ***************************************************************/
+
+/**
+ * Wraps a string value in a typed container.
+ *
+ * @class SaladString
+ * @extends TypeSalad
+ */
+class SaladString extends TypeSalad {
+  /**
+   * @param {string} value - The string value to store.
+   */
+  constructor(value) {
+    super();
+    if(typeof value == "string"){
+      this._value = value;
+      this.type = 'String';
+    } else {
+      throw new TypeError(`Error: Input value was internal type '${typeof value}', expected internal type 'string'.`);
+    }
+
+  }
+
+  /**
+   * Returns the internal string value.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(this._value);
+  }
+
+  /**
+   * Returns the internal string value (for numeric operations, coerces to NaN).
+   * @returns {string}
+   */
+  valueOf() {
+    return this._value;
+  }
+
+  /**
+   * The number of UTF-16 code units in the string.
+   * @type {SaladInt}
+   * @readonly
+   */
+  get length() {
+    return new SaladInt(this._value.length);
+  }
+
+  /**
+   * Splits the string at each occurrence of a separator.
+   *
+   * @param {string|SaladString} separator - The separator.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.removeEmptyEntries=false] - Drops empty parts.
+   * @param {boolean} [options.trimEntries=false] - Trims whitespace from each part.
+   * @returns {SaladArray} The parts, as SaladStrings.
+   * @throws {TypeError} If `separator` is not a string.
+   */
+  split(separator, options = {}) {
+    let parts = this._value.split(stringArgument(separator, "separator"));
+    if (options.trimEntries) {
+      parts = parts.map(part => part.trim());
+    }
+    if (options.removeEmptyEntries) {
+      parts = parts.filter(part => part !== "");
+    }
+    return new SaladArray(parts.map(part => new SaladString(part)), "String");
+  }
+
+  /**
+   * Returns part of the string (C# semantics: a start index and a length).
+   *
+   * @param {number|SaladInt} startIndex - Where the substring starts.
+   * @param {number|SaladInt} [length] - How many characters to take; defaults to the rest.
+   * @returns {SaladString}
+   * @throws {RangeError} If the range falls outside the string.
+   */
+  substring(startIndex, length) {
+    const start = integerArgument(startIndex, "startIndex");
+    const count = length === undefined ? this._value.length - start : integerArgument(length, "length");
+    if (start < 0 || count < 0 || start + count > this._value.length) {
+      throw new RangeError(`Substring (${start}, ${count}) is out of range for a string of length ${this._value.length}.`);
+    }
+    return new SaladString(this._value.substr(start, count));
+  }
+
+  /**
+   * Finds the first occurrence of a substring.
+   *
+   * @param {string|SaladString} value - The text to find.
+   * @param {number|SaladInt} [startIndex=0] - Where to start searching.
+   * @returns {SaladInt} The index, or -1 if not found.
+   */
+  indexOf(value, startIndex = 0) {
+    return new SaladInt(this._value.indexOf(stringArgument(value, "value"), integerArgument(startIndex, "startIndex")));
+  }
+
+  /**
+   * Finds the last occurrence of a substring.
+   *
+   * @param {string|SaladString} value - The text to find.
+   * @returns {SaladInt} The index, or -1 if not found.
+   */
+  lastIndexOf(value) {
+    return new SaladInt(this._value.lastIndexOf(stringArgument(value, "value")));
+  }
+
+  /**
+   * Checks whether the string contains a substring.
+   *
+   * @param {string|SaladString} value - The text to find.
+   * @param {boolean} [ignoreCase=false] - Whether to compare case-insensitively.
+   * @returns {SaladBool}
+   */
+  contains(value, ignoreCase = false) {
+    const [self, other] = caseFolded(this._value, stringArgument(value, "value"), ignoreCase);
+    return new SaladBool(self.includes(other));
+  }
+
+  /**
+   * Checks whether the string starts with a prefix.
+   *
+   * @param {string|SaladString} value - The prefix.
+   * @param {boolean} [ignoreCase=false] - Whether to compare case-insensitively.
+   * @returns {SaladBool}
+   */
+  startsWith(value, ignoreCase = false) {
+    const [self, other] = caseFolded(this._value, stringArgument(value, "value"), ignoreCase);
+    return new SaladBool(self.startsWith(other));
+  }
+
+  /**
+   * Checks whether the string ends with a suffix.
+   *
+   * @param {string|SaladString} value - The suffix.
+   * @param {boolean} [ignoreCase=false] - Whether to compare case-insensitively.
+   * @returns {SaladBool}
+   */
+  endsWith(value, ignoreCase = false) {
+    const [self, other] = caseFolded(this._value, stringArgument(value, "value"), ignoreCase);
+    return new SaladBool(self.endsWith(other));
+  }
+
+  /**
+   * Removes leading and trailing whitespace, or the given characters.
+   *
+   * @param {...(string|SaladString)} trimChars - Characters to remove instead of whitespace.
+   * @returns {SaladString}
+   */
+  trim(...trimChars) {
+    return new SaladString(trimString(this._value, trimChars, true, true));
+  }
+
+  /**
+   * Removes leading whitespace, or the given characters.
+   *
+   * @param {...(string|SaladString)} trimChars - Characters to remove instead of whitespace.
+   * @returns {SaladString}
+   */
+  trimStart(...trimChars) {
+    return new SaladString(trimString(this._value, trimChars, true, false));
+  }
+
+  /**
+   * Removes trailing whitespace, or the given characters.
+   *
+   * @param {...(string|SaladString)} trimChars - Characters to remove instead of whitespace.
+   * @returns {SaladString}
+   */
+  trimEnd(...trimChars) {
+    return new SaladString(trimString(this._value, trimChars, false, true));
+  }
+
+  /**
+   * Right-aligns the string by padding it on the left to a total width.
+   *
+   * @param {number|SaladInt} totalWidth - The resulting length.
+   * @param {string|SaladString} [paddingChar=" "] - The padding character.
+   * @returns {SaladString}
+   */
+  padLeft(totalWidth, paddingChar = " ") {
+    return new SaladString(this._value.padStart(integerArgument(totalWidth, "totalWidth"), stringArgument(paddingChar, "paddingChar")));
+  }
+
+  /**
+   * Left-aligns the string by padding it on the right to a total width.
+   *
+   * @param {number|SaladInt} totalWidth - The resulting length.
+   * @param {string|SaladString} [paddingChar=" "] - The padding character.
+   * @returns {SaladString}
+   */
+  padRight(totalWidth, paddingChar = " ") {
+    return new SaladString(this._value.padEnd(integerArgument(totalWidth, "totalWidth"), stringArgument(paddingChar, "paddingChar")));
+  }
+
+  /**
+   * Replaces every occurrence of a substring (like C#'s `String.Replace`).
+   *
+   * @param {string|SaladString} oldValue - The text to replace; must not be empty.
+   * @param {string|SaladString} newValue - The replacement.
+   * @returns {SaladString}
+   * @throws {RangeError} If `oldValue` is empty.
+   */
+  replace(oldValue, newValue) {
+    const search = stringArgument(oldValue, "oldValue");
+    if (search === "") {
+      throw new RangeError("Parameter 'oldValue' cannot be an empty string.");
+    }
+    return new SaladString(this._value.replaceAll(search, stringArgument(newValue, "newValue")));
+  }
+
+  /**
+   * Returns the string in upper case.
+   * @returns {SaladString}
+   */
+  toUpper() {
+    return new SaladString(this._value.toUpperCase());
+  }
+
+  /**
+   * Returns the string in lower case.
+   * @returns {SaladString}
+   */
+  toLower() {
+    return new SaladString(this._value.toLowerCase());
+  }
+
+  /**
+   * Checks whether a string is null, undefined or empty.
+   *
+   * @param {string|SaladString|null} [value]
+   * @returns {SaladBool}
+   */
+  static IsNullOrEmpty(value) {
+    return new SaladBool(value == null || stringArgument(value, "value") === "");
+  }
+
+  /**
+   * Checks whether a string is null, undefined, empty or only whitespace.
+   *
+   * @param {string|SaladString|null} [value]
+   * @returns {SaladBool}
+   */
+  static IsNullOrWhiteSpace(value) {
+    return new SaladBool(value == null || stringArgument(value, "value").trim() === "");
+  }
+
+  /**
+   * Formats values into a composite format string, like C#'s `String.Format`.
+   *
+   * Each item is written `{index[,alignment][:format]}`; `{{` and `}}`
+   * are literal braces. Numbers (raw or typed) accept the standard numeric
+   * formats (`N2`, `F3`, `D5`, `X8`, `E2`, `P1`, `C`, `G`) and custom
+   * patterns such as `#,##0.00`; other values with a `format(spec)` method
+   * format themselves.
+   *
+   * @example
+   * SaladString.Format("{0:N2} {1,-5}|", 1234.5, "ab"); // "1,234.50 ab   |"
+   *
+   * @param {string|SaladString} format - The composite format string.
+   * @param {...any} args - The values to format.
+   * @returns {SaladString}
+   * @throws {TypeError} If the format string or a format specifier is invalid.
+   * @throws {RangeError} If an index refers to a missing argument.
+   */
+  static Format(format, ...args) {
+    return new SaladString(compositeFormat(stringArgument(format, "format"), args));
+  }
+}
+
+/***************************************************************
+ * String helpers and composite formatting
+ * - Argument coercion for the SaladString API
+ * - SaladString.Format (standard & custom numeric formats)
+ * - SaladStringBuilder
+ ***************************************************************/
+
+/**
+ * Unwraps a raw or typed string argument.
+ *
+ * @param {string|SaladString} value - The argument.
+ * @param {string} name - The parameter name, for error messages.
+ * @returns {string}
+ * @throws {TypeError} If the argument is not a string.
+ * @private
+ */
+function stringArgument(value, name) {
+  if (typeof value === "string") {
+    return value;
+  }
+  if (!isAssignableTo(value, "String")) {
+    throw new TypeError(`Parameter '${name}' was type '${value?.type ?? typeof value}', expected 'String'.`);
+  }
+  return value.valueOf();
+}
+
+/**
+ * Unwraps a raw or typed integer argument.
+ *
+ * @param {number|SaladInteger} value - The argument.
+ * @param {string} name - The parameter name, for error messages.
+ * @returns {number}
+ * @throws {TypeError} If the argument is not an integer.
+ * @private
+ */
+function integerArgument(value, name) {
+  if (Number.isInteger(value)) {
+    return value;
+  }
+  if (!isAssignableTo(value, "Integer")) {
+    throw new TypeError(`Parameter '${name}' was type '${value?.type ?? typeof value}', expected 'Int'.`);
+  }
+  return Number(value.valueOf());
+}
+
+/**
+ * Parses a culture-invariant floating-point number ("1.5", "-2e3", "NaN",
+ * "Infinity"), or returns null if the text is not one.
+ * @private
+ */
+function parseInvariantFloat(text) {
+  const raw = text.trim();
+  if (/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(raw) || /^[+-]?Infinity$/.test(raw) || raw === "NaN") {
+    return Number(raw);
+  }
+  return null;
+}
+
+/**
+ * Lower-cases both strings when comparing case-insensitively.
+ * @private
+ */
+function caseFolded(a, b, ignoreCase) {
+  return ignoreCase ? [a.toLowerCase(), b.toLowerCase()] : [a, b];
+}
+
+/**
+ * Trims whitespace (or the given characters) from either end of a string.
+ * @private
+ */
+function trimString(text, trimChars, start, end) {
+  if (trimChars.length === 0) {
+    return start && end ? text.trim() : start ? text.trimStart() : text.trimEnd();
+  }
+  const chars = new Set(trimChars.map((c, i) => stringArgument(c, `trimChars[${i}]`)).join(""));
+  let from = 0;
+  let to = text.length;
+  while (start && from < to && chars.has(text[from])) from++;
+  while (end && to > from && chars.has(text[to - 1])) to--;
+  return text.slice(from, to);
+}
+
+/**
+ * Returns true for values that take numeric format strings.
+ * @private
+ */
+function isNumeric(value) {
+  return typeof value === "number" || typeof value === "bigint" ||
+    ["Integer", "Float", "Decimal"].some(t => isAssignableTo(value, t));
+}
+
+/**
+ * Returns a numeric value as a plain (non-exponential) decimal string with
+ * exactly `decimals` fractional digits, rounding as needed.
+ * @private
+ */
+function fixedString(value, decimals) {
+  if (isAssignableTo(value, "Decimal")) {
+    return displayString(value.format(decimals));
+  }
+  const raw = value?.valueOf();
+  if (typeof raw === "bigint") {
+    return decimals > 0 ? `${raw}.${"0".repeat(decimals)}` : `${raw}`;
+  }
+  return Math.abs(raw) < 1e21 ? raw.toFixed(decimals) : BigInt(Math.round(raw)).toString();
+}
+
+/**
+ * Inserts thousands separators into the integer part of a decimal string.
+ * @private
+ */
+function groupThousands(text) {
+  const [whole, fraction] = text.split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+$)/g, ",");
+  return fraction === undefined ? grouped : `${grouped}.${fraction}`;
+}
+
+/**
+ * Formats an integral value with a standard `D` or `X` specifier.
+ * @private
+ */
+function formatIntegral(value, kind, digits) {
+  const raw = value?.valueOf();
+  if (!(typeof raw === "bigint" || Number.isInteger(raw)) || isAssignableTo(value, "Float") || isAssignableTo(value, "Decimal")) {
+    throw new TypeError(`Format specifier '${kind}' is only valid for integral types.`);
+  }
+  let int = BigInt(raw);
+  if (kind === "D") {
+    const text = (int < 0n ? -int : int).toString().padStart(digits, "0");
+    return int < 0n ? `-${text}` : text;
+  }
+  if (int < 0n) {
+    // Hex shows the two's complement bits of the integer's own width
+    const bits = BigInt(value?.constructor?.Bits ?? 32);
+    int = (1n << bits) + int;
+  }
+  return int.toString(16).toUpperCase().padStart(digits, "0");
+}
+
+/**
+ * Formats a number with a standard numeric format string (e.g. `N2`).
+ * @private
+ */
+function formatStandardNumber(value, spec) {
+  const kind = spec[0].toUpperCase();
+  const precision = spec.length > 1 ? Number(spec.slice(1)) : undefined;
+  switch (kind) {
+    case "N":
+      return groupThousands(fixedString(value, precision ?? 2));
+    case "F":
+      return fixedString(value, precision ?? 2);
+    case "D":
+    case "X": {
+      const text = formatIntegral(value, kind, precision ?? 0);
+      return spec[0] === "x" ? text.toLowerCase() : text;
+    }
+    case "E": {
+      const [mantissa, exponent] = Number(value.valueOf()).toExponential(precision ?? 6).split("e");
+      const sign = exponent.startsWith("-") ? "-" : "+";
+      return `${mantissa}${spec[0]}${sign}${exponent.replace(/^[+-]/, "").padStart(3, "0")}`;
+    }
+    case "P": {
+      const scaled = isAssignableTo(value, "Decimal")
+        ? value.multiply(new SaladDecimal(100))
+        : Number(value.valueOf()) * 100;
+      return `${groupThousands(fixedString(scaled, precision ?? 2))} %`;
+    }
+    case "C": {
+      const text = groupThousands(fixedString(value, precision ?? 2));
+      return text.startsWith("-") ? `-¤${text.slice(1)}` : `¤${text}`;
+    }
+    case "G":
+    case "R": {
+      if (precision === undefined || kind === "R") {
+        return displayString(value);
+      }
+      return String(Number(Number(value.valueOf()).toPrecision(precision)));
+    }
+    default:
+      throw new TypeError(`Format specifier '${spec}' was invalid.`);
+  }
+}
+
+/**
+ * Formats a number with a custom numeric format string such as `#,##0.00`,
+ * `0.0%` or `positive;negative;zero` sections.
+ * @private
+ */
+function formatCustomNumber(value, pattern) {
+  // Split into sections on unquoted ';', keeping quotes/escapes intact
+  const sections = [""];
+  let quote = null;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+    } else if (ch === "\\") {
+      sections[sections.length - 1] += ch + (pattern[++i] ?? "");
+      continue;
+    } else if (ch === ";") {
+      sections.push("");
+      continue;
+    }
+    sections[sections.length - 1] += ch;
+  }
+
+  // Tokenize a section into placeholders and literal text
+  const tokenize = section => {
+    const tokens = [];
+    for (let i = 0; i < section.length; i++) {
+      const ch = section[i];
+      if (ch === "'" || ch === '"') {
+        const close = section.indexOf(ch, i + 1);
+        const end = close === -1 ? section.length : close;
+        tokens.push({ literal: section.slice(i + 1, end) });
+        i = end;
+      } else if (ch === "\\") {
+        tokens.push({ literal: section[++i] ?? "" });
+      } else if ("0#.,%".includes(ch)) {
+        tokens.push({ symbol: ch });
+      } else {
+        tokens.push({ literal: ch });
+      }
+    }
+    return tokens;
+  };
+
+  const negative = Number(value.valueOf()) < 0;
+  const render = (tokens, signed) => {
+    const point = tokens.findIndex(t => t.symbol === ".");
+    const intTokens = point === -1 ? tokens : tokens.slice(0, point);
+    const fracTokens = point === -1 ? [] : tokens.slice(point + 1);
+    const isDigit = t => t.symbol === "0" || t.symbol === "#";
+    const decimals = fracTokens.filter(isDigit).length;
+    const lastZero = fracTokens.map(t => t.symbol).lastIndexOf("0");
+    const minDecimals = fracTokens.slice(0, lastZero + 1).filter(isDigit).length;
+    const firstDigit = intTokens.findIndex(isDigit);
+    const grouping = intTokens.some((t, i) =>
+      t.symbol === "," && intTokens.slice(0, i).some(isDigit) && intTokens.slice(i + 1).some(isDigit));
+    const percent = tokens.some(t => t.symbol === "%");
+
+    let number = value;
+    if (percent) {
+      number = isAssignableTo(value, "Decimal") ? value.multiply(new SaladDecimal(100)) : Number(value.valueOf()) * 100;
+    }
+    let [whole, fraction = ""] = fixedString(number, decimals).replace("-", "").split(".");
+    fraction = fraction.replace(/0+$/, "").padEnd(minDecimals, "0");
+    const minWhole = intTokens.filter(t => t.symbol === "0").length;
+    whole = whole.replace(/^0+/, "").padStart(minWhole, "0");
+    if (grouping) {
+      whole = groupThousands(whole);
+    }
+    const isZero = /^[0,]*$/.test(whole) && /^0*$/.test(fraction);
+
+    // Integer placeholders are filled from the right; extra digits go at the first one
+    let intOut = "";
+    let remaining = whole;
+    for (let i = intTokens.length - 1; i >= 0; i--) {
+      const t = intTokens[i];
+      if (isDigit(t)) {
+        if (i === firstDigit) {
+          intOut = remaining + intOut;
+          remaining = "";
+        } else if (remaining !== "") {
+          let take = 1;
+          if (grouping && remaining.at(-1) === ",") take = 2;
+          intOut = remaining.slice(-take) + intOut;
+          remaining = remaining.slice(0, -take);
+        }
+      } else if (t.symbol === "%") {
+        intOut = "%" + intOut;
+      } else if (t.symbol !== ",") {
+        intOut = t.literal + intOut;
+      }
+    }
+    if (firstDigit === -1) {
+      intOut = whole === "" ? intOut : whole + intOut;
+    }
+
+    let fracOut = "";
+    let digitIndex = 0;
+    for (const t of fracTokens) {
+      if (isDigit(t)) {
+        fracOut += fraction[digitIndex++] ?? "";
+      } else if (t.symbol === "%") {
+        fracOut += "%";
+      } else if (t.symbol !== "," && t.symbol !== ".") {
+        fracOut += t.literal;
+      }
+    }
+    const hasFraction = fraction !== "";
+    const text = `${intOut}${hasFraction ? "." : ""}${fracOut}`;
+    return { text: signed && negative && !isZero ? `-${text}` : text, isZero };
+  };
+
+  const positive = render(tokenize(sections[0]), true);
+  if (sections.length === 1) {
+    return positive.text;
+  }
+  if (positive.isZero && sections[2] !== undefined) {
+    return render(tokenize(sections[2]), false).text;
+  }
+  return negative && !positive.isZero ? render(tokenize(sections[1] || sections[0]), sections[1] === "").text : positive.text;
+}
+
+/**
+ * Formats one value for a composite format item.
+ * @private
+ */
+function formatItem(value, spec) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (spec === "") {
+    return displayString(value);
+  }
+  if (isNumeric(value)) {
+    return /^[A-Za-z]\d{0,2}$/.test(spec) ? formatStandardNumber(value, spec) : formatCustomNumber(value, spec);
+  }
+  if (value instanceof Date) {
+    return displayString(new SaladDate(value).format(spec));
+  }
+  if (typeof value.format === "function") {
+    return displayString(value.format(spec));
+  }
+  return displayString(value);
+}
+
+/**
+ * Expands a composite format string (`"{0,-8:N2}"`) with arguments.
+ * @private
+ */
+function compositeFormat(format, args) {
+  let result = "";
+  for (let i = 0; i < format.length; i++) {
+    const ch = format[i];
+    if (ch === "}") {
+      if (format[i + 1] !== "}") {
+        throw new TypeError("Input string was not in a correct format: unmatched '}'.");
+      }
+      result += "}";
+      i++;
+    } else if (ch === "{") {
+      if (format[i + 1] === "{") {
+        result += "{";
+        i++;
+        continue;
+      }
+      const close = format.indexOf("}", i);
+      const item = close === -1 ? null : /^\s*(\d+)\s*(?:,\s*(-?\d+)\s*)?(?::(.*))?$/s.exec(format.slice(i + 1, close));
+      if (!item) {
+        throw new TypeError(`Input string was not in a correct format at position ${i}.`);
+      }
+      const index = Number(item[1]);
+      if (index >= args.length) {
+        throw new RangeError(`Index ${index} must be less than the size of the argument list (${args.length}).`);
+      }
+      const text = formatItem(args[index], item[3] ?? "");
+      const width = Number(item[2] ?? 0);
+      result += width < 0 ? text.padEnd(-width) : text.padStart(width);
+      i = close;
+    } else {
+      result += ch;
+    }
+  }
+  return result;
+}
+
+/**
+ * A mutable string buffer for building strings piece by piece (like C#'s
+ * `StringBuilder`). Appends are collected and joined only when needed.
+ * Mutating methods return the builder, so calls can be chained.
+ *
+ * @class SaladStringBuilder
+ * @extends TypeSalad
+ */
+class SaladStringBuilder extends TypeSalad {
+  /**
+   * @param {string|SaladString} [value=""] - The initial contents.
+   */
+  constructor(value = "") {
+    super();
+
+    /**
+     * Appended pieces, joined lazily.
+     * @type {string[]}
+     * @private
+     */
+    this._chunks = [stringArgument(value, "value")];
+    this.type = "StringBuilder";
+  }
+
+  /**
+   * Joins the pending pieces and returns the whole text.
+   * @returns {string}
+   * @private
+   */
+  _flush() {
+    if (this._chunks.length > 1) {
+      this._chunks = [this._chunks.join("")];
+    }
+    return this._chunks[0];
+  }
+
+  /**
+   * The current length of the built string.
+   * @type {SaladInt}
+   * @readonly
+   */
+  get length() {
+    return new SaladInt(this._flush().length);
+  }
+
+  /**
+   * Appends a value's text (typed values use their `toString()`).
+   * @param {any} value
+   * @returns {SaladStringBuilder}
+   */
+  append(value) {
+    this._chunks.push(value == null ? "" : displayString(value));
+    return this;
+  }
+
+  /**
+   * Appends a value followed by a line break.
+   * @param {any} [value=""]
+   * @returns {SaladStringBuilder}
+   */
+  appendLine(value = "") {
+    return this.append(value).append("\n");
+  }
+
+  /**
+   * Appends a composite format string, as `SaladString.Format` would expand it.
+   * @param {string|SaladString} format
+   * @param {...any} args
+   * @returns {SaladStringBuilder}
+   */
+  appendFormat(format, ...args) {
+    this._chunks.push(compositeFormat(stringArgument(format, "format"), args));
+    return this;
+  }
+
+  /**
+   * Inserts a value's text at an index.
+   * @param {number|SaladInt} index
+   * @param {any} value
+   * @returns {SaladStringBuilder}
+   * @throws {RangeError} If the index is out of range.
+   */
+  insert(index, value) {
+    const text = this._flush();
+    const at = integerArgument(index, "index");
+    if (at < 0 || at > text.length) {
+      throw new RangeError(`Index ${at} is out of range for a builder of length ${text.length}.`);
+    }
+    this._chunks = [text.slice(0, at) + (value == null ? "" : displayString(value)) + text.slice(at)];
+    return this;
+  }
+
+  /**
+   * Removes a range of characters.
+   * @param {number|SaladInt} startIndex
+   * @param {number|SaladInt} length
+   * @returns {SaladStringBuilder}
+   * @throws {RangeError} If the range is out of range.
+   */
+  remove(startIndex, length) {
+    const text = this._flush();
+    const start = integerArgument(startIndex, "startIndex");
+    const count = integerArgument(length, "length");
+    if (start < 0 || count < 0 || start + count > text.length) {
+      throw new RangeError(`Range (${start}, ${count}) is out of range for a builder of length ${text.length}.`);
+    }
+    this._chunks = [text.slice(0, start) + text.slice(start + count)];
+    return this;
+  }
+
+  /**
+   * Replaces every occurrence of a substring.
+   * @param {string|SaladString} oldValue
+   * @param {string|SaladString} newValue
+   * @returns {SaladStringBuilder}
+   * @throws {RangeError} If `oldValue` is empty.
+   */
+  replace(oldValue, newValue) {
+    this._chunks = [new SaladString(this._flush()).replace(oldValue, newValue).valueOf()];
+    return this;
+  }
+
+  /**
+   * Removes all contents.
+   * @returns {SaladStringBuilder}
+   */
+  clear() {
+    this._chunks = [""];
+    return this;
+  }
+
+  /**
+   * Returns the built string.
+   * @returns {SaladString}
+   */
+  toString() {
+    return new SaladString(this._flush());
+  }
+
+  /**
+   * Returns the built string as a raw string.
+   * @returns {string}
+   */
+  valueOf() {
+    return this._flush();
+  }
+}
+
+/***************************************************************
+ * Integral numeric types
+ * - SaladByte, SaladSByte, SaladShort, SaladUShort,
+ *   SaladInt, SaladUInt, SaladLong, SaladULong
+ * - checked / unchecked overflow contexts
+ ***************************************************************/
+
+/**
+ * Stack of overflow-checking modes; the last entry is the active one.
+ * Integral arithmetic is unchecked (wrapping) by default, as in C#.
+ * @type {boolean[]}
+ * @private
+ */
+const overflowContext = [false];
+
+/**
+ * Runs `fn` in a checked context: integral arithmetic that overflows
+ * throws a RangeError instead of wrapping around.
+ *
+ * The context only covers the synchronous part of `fn`.
+ *
+ * @function checked
+ * @param {Function} fn - The code to run.
+ * @returns {any} Whatever `fn` returns.
+ */
+function checked(fn) {
+  overflowContext.push(true);
+  try {
+    return fn();
+  } finally {
+    overflowContext.pop();
+  }
+}
+
+/**
+ * Runs `fn` in an unchecked context: integral arithmetic that overflows
+ * wraps around to the other end of the type's range.
+ *
+ * @function unchecked
+ * @param {Function} fn - The code to run.
+ * @returns {any} Whatever `fn` returns.
+ */
+function unchecked(fn) {
+  overflowContext.push(false);
+  try {
+    return fn();
+  } finally {
+    overflowContext.pop();
+  }
+}
+
+/**
+ * Builds an integral value of type `Target` from a BigInt, wrapping it into
+ * range (unchecked) or throwing on overflow (checked).
+ *
+ * @param {typeof SaladInteger} Target - The integral class.
+ * @param {bigint} value - The raw value.
+ * @returns {SaladInteger}
+ * @throws {RangeError} If the value overflows in a checked context.
+ * @private
+ */
+function narrowInteger(Target, value) {
+  const { Bits, Signed, MinValue, MaxValue, Wide } = Target;
+  if (value < BigInt(MinValue) || value > BigInt(MaxValue)) {
+    if (overflowContext[overflowContext.length - 1]) {
+      throw new RangeError("Arithmetic operation resulted in an overflow.");
+    }
+    value = Signed ? BigInt.asIntN(Bits, value) : BigInt.asUintN(Bits, value);
+  }
+  return new Target(Wide ? value : Number(value));
+}
+
+/**
+ * The shared base of all integral typed classes. Subclasses describe their
+ * range through the static `TypeName`, `Bits`, `Signed`, `MinValue` and
+ * `MaxValue` fields; 64-bit types (`Wide`) store their value as a BigInt.
+ *
+ * @class SaladInteger
+ * @extends TypeSalad
+ */
+class SaladInteger extends TypeSalad {
+  /**
+   * @param {number|bigint} value - The integral value to store.
+   * @throws {TypeError} If `value` is not a number/bigint or is not integral.
+   * @throws {RangeError} If `value` is outside the range of the type.
+   */
+  constructor(value) {
+    super();
+    const { TypeName, MinValue, MaxValue, Wide } = this.constructor;
+    if (typeof value != "number" && typeof value != "bigint") {
+      throw new TypeError(`Error: Input value was internal type '${typeof value}', expected internal type 'number' or 'bigint'.`);
+    }
+    if (typeof value == "number" && !Number.isInteger(value)) {
+      throw new TypeError(`Error: Type '${TypeName}' expects an integral value, got '${value}'.`);
+    }
+    const big = BigInt(value);
+    if (big < BigInt(MinValue) || big > BigInt(MaxValue)) {
+      throw new RangeError(`Error: Value '${value}' is outside the range of type '${TypeName}' (${MinValue} to ${MaxValue}).`);
+    }
+    this._value = Wide ? big : Number(big);
+    this.type = TypeName;
+  }
+
+  /**
+   * Parses a culture-invariant integer (`[+-]digits`, surrounding whitespace
+   * allowed) as this type, e.g. `SaladInt.Parse('42')`.
+   *
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladInteger}
+   * @throws {TypeError} If the text is not an integer.
+   * @throws {RangeError} If the value is outside the range of the type.
+   */
+  static Parse(text) {
+    const raw = stringArgument(text, "text").trim();
+    if (!/^[+-]?\d+$/.test(raw)) {
+      throw new TypeError(`String '${raw}' was not recognized as a valid ${this.TypeName}.`);
+    }
+    return new this(this.Wide ? BigInt(raw) : Number(raw));
+  }
+
+  /**
+   * Like `Parse`, but returns `null` instead of throwing (also when the
+   * value is out of range).
+   * @param {string|SaladString} text
+   * @returns {SaladInteger|null}
+   */
+  static TryParse(text) {
+    try {
+      return this.Parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Builds a new instance of this type from an arithmetic result, either
+   * wrapping it around (unchecked) or throwing on overflow (checked).
+   *
+   * @param {bigint} result - The raw arithmetic result.
+   * @returns {SaladInteger} A new instance of the same class.
+   * @throws {RangeError} If the result overflows in a checked context.
+   * @private
+   */
+  _fromResult(result) {
+    return narrowInteger(this.constructor, result);
+  }
+
+  /**
+   * Ensures `other` is the same integral type as this instance.
+   *
+   * @param {SaladInteger} other - The right-hand operand.
+   * @param {string} opName - The operation name, for error messages.
+   * @returns {bigint} The operand's value as a BigInt.
+   * @throws {TypeError} If the types differ.
+   * @private
+   */
+  _operand(other, opName) {
+    const { TypeName } = this.constructor;
+    if (!isAssignableTo(other, TypeName)) {
+      throw new TypeError(`${opName} expected '${TypeName}', got '${other?.type}'.`);
+    }
+    return BigInt(other._value);
+  }
+
+  /**
+   * Adds another value of the same type.
+   * @param {SaladInteger} other - The value to add.
+   * @returns {SaladInteger} The sum, as the same type.
+   */
+  add(other) {
+    return this._fromResult(BigInt(this._value) + this._operand(other, "add"));
+  }
+
+  /**
+   * Subtracts another value of the same type.
+   * @param {SaladInteger} other - The value to subtract.
+   * @returns {SaladInteger} The difference, as the same type.
+   */
+  subtract(other) {
+    return this._fromResult(BigInt(this._value) - this._operand(other, "subtract"));
+  }
+
+  /**
+   * Multiplies by another value of the same type.
+   * @param {SaladInteger} other - The multiplier.
+   * @returns {SaladInteger} The product, as the same type.
+   */
+  multiply(other) {
+    return this._fromResult(BigInt(this._value) * this._operand(other, "multiply"));
+  }
+
+  /**
+   * Divides by another value of the same type, truncating toward zero.
+   * Like C#, `MinValue / -1` throws even in an unchecked context.
+   * @param {SaladInteger} other - The divisor.
+   * @returns {SaladInteger} The quotient, as the same type.
+   * @throws {RangeError} If `other` is zero, or the quotient overflows.
+   */
+  divide(other) {
+    const divisor = this._operand(other, "divide");
+    if (divisor === 0n) {
+      throw new RangeError('Cannot divide by zero.');
+    }
+    const quotient = BigInt(this._value) / divisor;
+    if (quotient > BigInt(this.constructor.MaxValue)) {
+      throw new RangeError("Arithmetic operation resulted in an overflow.");
+    }
+    return this._fromResult(quotient);
+  }
+
+  /**
+   * Returns the remainder of dividing by another value of the same type.
+   * @param {SaladInteger} other - The divisor.
+   * @returns {SaladInteger} The remainder, as the same type.
+   * @throws {RangeError} If `other` is zero.
+   */
+  remainder(other) {
+    const divisor = this._operand(other, "remainder");
+    if (divisor === 0n) {
+      throw new RangeError('Cannot divide by zero.');
+    }
+    return this._fromResult(BigInt(this._value) % divisor);
+  }
+
+  /**
+   * Returns a string version of the internal integer.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(`${this._value}`);
+  }
+
+  /**
+   * Returns the internal integer value (a bigint for 64-bit types).
+   * @returns {number|bigint}
+   */
+  valueOf() {
+    return this._value;
+  }
+}
+
+/**
+ * An unsigned 8-bit integer (0 to 255).
+ *
+ * @class SaladByte
+ * @extends SaladInteger
+ */
+class SaladByte extends SaladInteger {
+  static TypeName = 'Byte';
+  static Bits = 8;
+  static Signed = false;
+  static MinValue = 0;
+  static MaxValue = 255;
+}
+
+/**
+ * A signed 8-bit integer (-128 to 127).
+ *
+ * @class SaladSByte
+ * @extends SaladInteger
+ */
+class SaladSByte extends SaladInteger {
+  static TypeName = 'SByte';
+  static Bits = 8;
+  static Signed = true;
+  static MinValue = -128;
+  static MaxValue = 127;
+}
+
+/**
+ * A signed 16-bit integer (-32768 to 32767).
+ *
+ * @class SaladShort
+ * @extends SaladInteger
+ */
+class SaladShort extends SaladInteger {
+  static TypeName = 'Short';
+  static Bits = 16;
+  static Signed = true;
+  static MinValue = -32768;
+  static MaxValue = 32767;
+}
+
+/**
+ * An unsigned 16-bit integer (0 to 65535).
+ *
+ * @class SaladUShort
+ * @extends SaladInteger
+ */
+class SaladUShort extends SaladInteger {
+  static TypeName = 'UShort';
+  static Bits = 16;
+  static Signed = false;
+  static MinValue = 0;
+  static MaxValue = 65535;
+}
+
+/**
+ * A signed 32-bit integer (-2147483648 to 2147483647).
+ *
+ * @class SaladInt
+ * @extends SaladInteger
+ */
+class SaladInt extends SaladInteger {
+  static TypeName = 'Int';
+  static Bits = 32;
+  static Signed = true;
+  static MinValue = -2147483648;
+  static MaxValue = 2147483647;
+}
+
+/**
+ * An unsigned 32-bit integer (0 to 4294967295).
+ *
+ * @class SaladUInt
+ * @extends SaladInteger
+ */
+class SaladUInt extends SaladInteger {
+  static TypeName = 'UInt';
+  static Bits = 32;
+  static Signed = false;
+  static MinValue = 0;
+  static MaxValue = 4294967295;
+}
+
+/**
+ * A signed 64-bit integer, stored as a BigInt.
+ *
+ * @class SaladLong
+ * @extends SaladInteger
+ */
+class SaladLong extends SaladInteger {
+  static TypeName = 'Long';
+  static Bits = 64;
+  static Signed = true;
+  static Wide = true;
+  static MinValue = -9223372036854775808n;
+  static MaxValue = 9223372036854775807n;
+}
+
+/**
+ * An unsigned 64-bit integer, stored as a BigInt.
+ *
+ * @class SaladULong
+ * @extends SaladInteger
+ */
+class SaladULong extends SaladInteger {
+  static TypeName = 'ULong';
+  static Bits = 64;
+  static Signed = false;
+  static Wide = true;
+  static MinValue = 0n;
+  static MaxValue = 18446744073709551615n;
+}
+
+/***************************************************************
+ * Additional typed classes: SaladVec2, SaladVec3
+ ***************************************************************/
+
+/**
+ * Compares two vector components. Components that both read as numbers are
+ * compared numerically; anything else falls back to an ordinal string compare.
+ *
+ * @param {string|number} a
+ * @param {string|number} b
+ * @returns {number}
+ * @private
+ */
+function compareComponents(a, b) {
+  const x = Number(a);
+  const y = Number(b);
+  if (Number.isFinite(x) && Number.isFinite(y)) {
+    return TypeSalad.compare(x, y);
+  }
+  return TypeSalad.compare(String(a), String(b));
+}
+
+/**
+ * Returns a vector component's hash key, consistent with `compareComponents`:
+ * numeric components hash by their number (`'1.0'` like `1`).
+ *
+ * @param {string|number} component
+ * @returns {string}
+ * @private
+ */
+function componentKey(component) {
+  const number = Number(component);
+  return Number.isFinite(number) ? String(number) : String(component);
+}
+
+/**
+ * Represents a 2D vector in TypeSalad.
+ *
+ * @class SaladVec2
+ * @extends TypeSalad
+ */
+class SaladVec2 extends TypeSalad {
+  /**
+   * @param {string|number} x - The X component of the vector.
+   * @param {string|number} y - The Y component of the vector.
+   */
+  constructor(x, y) {
+    super();
+    if((typeof x == "string" || typeof x == "number") && (typeof y == "string" || typeof y == "number")){
+      this.x = x;
+      this.y = y;
+      this.type = "Vec2";
+    } else {
+      throw new TypeError(`Error: Input values was internal type '${typeof x}' and '${typeof y}' expected internal types 'string' or 'number'.`);
+    }
+
+    
+
+    /**
+     * A cached string value for internal comparisons.
+     * @type {string}
+     * @private
+     */
+    this._valString = `${x},${y}`;
+  }
+
+  /**
+   * Returns the stable string so two identical vectors compare as equal.
+   * @returns {string}
+   */
+  valueOf() {
+    return this._valString;
+  }
+
+  /**
+   * Returns a `GenericList` containing typed coordinates ([SaladString, SaladString]).
+   * @returns {Object} An instance of the generated GenericList class.
+   */
+  value() {
+    const GL = createGenericList("String");
+    const list = new GL();
+    list.add(new SaladString(String(this.x)));
+    list.add(new SaladString(String(this.y)));
+    return list;
+  }
+
+  /**
+   * Returns a string representation of the vector.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(`${this.x}, ${this.y}`);
+  }
+
+  /**
+   * Returns a plain object representation for JSON serialization.
+   * @returns {{x: (string|number), y: (string|number)}}
+   */
+  toJSON() {
+    return { x: this.x, y: this.y };
+  }
+
+  /**
+   * Checks component-wise equality, numerically where both components are
+   * numbers (`1`, `'1'` and `'1.0'` are the same component), consistent with `compareTo`.
+   * @param {any} other - The value to compare against.
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other?.type === this.type &&
+      compareComponents(this.x, other.x) === 0 &&
+      compareComponents(this.y, other.y) === 0;
+  }
+
+  /**
+   * Orders vectors component by component (x, then y).
+   * @param {SaladVec2} other - The vector to compare against.
+   * @returns {number}
+   * @throws {TypeError} If `other` is not a SaladVec2.
+   */
+  compareTo(other) {
+    if (other?.type !== this.type) {
+      throw new TypeError(`compareTo expected '${this.type}', got '${other?.type}'.`);
+    }
+    let result = 0;
+    result = result || compareComponents(this.x, other.x);
+    result = result || compareComponents(this.y, other.y);
+    return result;
+  }
+
+  /**
+   * Returns a hash code consistent with `equals`.
+   * @returns {number}
+   */
+  hashCode() {
+    return combineHashes([hashString(componentKey(this.x)), hashString(componentKey(this.y))]);
+  }
+
+  /**
+   * Parses the `toString` form (`"x, y"`). Numeric components become
+   * numbers; anything else is kept as a string.
+   *
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladVec2}
+   * @throws {TypeError} If the text doesn't have two components.
+   */
+  static Parse(text) {
+    const raw = stringArgument(text, "text");
+    const parts = raw.split(",").map(part => part.trim());
+    if (parts.length !== 2 || parts.includes("")) {
+      throw new TypeError(`String '${raw}' was not recognized as a valid Vec2.`);
+    }
+    return new SaladVec2(...parts.map(part => parseInvariantFloat(part) ?? part));
+  }
+
+  /**
+   * Like `Parse`, but returns `null` instead of throwing.
+   * @param {string|SaladString} text
+   * @returns {SaladVec2|null}
+   */
+  static TryParse(text) {
+    try {
+      return SaladVec2.Parse(text);
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Represents a 3D vector in TypeSalad.
+ *
+ * @class SaladVec3
+ * @extends TypeSalad
+ */
+class SaladVec3 extends TypeSalad {
+  /**
+   * @param {string|number} x - The X component.
+   * @param {string|number} y - The Y component.
+   * @param {string|number} z - The Z component.
+   */
+  constructor(x, y, z) {
+    super();
+    if((typeof x == "string" || typeof x == "number") && (typeof y == "string" || typeof y == "number") && (typeof z == "string" || typeof z == "number")){
+      this.x = x;
+      this.y = y;
+      this.z = z;
+      this.type = "Vec3";
+    } else {
+      throw new TypeError(`Error: Input values was internal type '${typeof x}', '${typeof y}', and '${typeof z}' expected internal types 'string' or 'number'.`);
+    }
+
+    /**
+     * A cached string value for internal comparisons.
+     * @type {string}
+     * @private
+     */
+    this._valString = `${x},${y},${z}`;
+  }
+
+  /**
+   * Returns a stable string for equality checks.
+   * @returns {string}
+   */
+  valueOf() {
+    return this._valString;
+  }
+
+  /**
+   * Returns a `GenericList` containing typed coordinates ([SaladString, SaladString, SaladString]).
+   * @returns {Object} An instance of the generated GenericList class.
+   */
+  value() {
+    const GL = createGenericList("String");
+    const list = new GL();
+    list.add(new SaladString(String(this.x)));
+    list.add(new SaladString(String(this.y)));
+    list.add(new SaladString(String(this.z)));
+    return list;
+  }
+
+  /**
+   * Returns a string representation of the vector.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(`${this.x}, ${this.y}, ${this.z}`);
+  }
+
+  /**
+   * Returns a plain object representation for JSON serialization.
+   * @returns {{x: (string|number), y: (string|number), z: (string|number)}}
+   */
+  toJSON() {
+    return { x: this.x, y: this.y, z: this.z };
+  }
+
+  /**
+   * Checks component-wise equality, numerically where both components are
+   * numbers, consistent with `compareTo`.
+   * @param {any} other - The value to compare against.
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other?.type === this.type &&
+      compareComponents(this.x, other.x) === 0 &&
+      compareComponents(this.y, other.y) === 0 &&
+      compareComponents(this.z, other.z) === 0;
+  }
+
+  /**
+   * Orders vectors component by component (x, then y, then z).
+   * @param {SaladVec3} other - The vector to compare against.
+   * @returns {number}
+   * @throws {TypeError} If `other` is not a SaladVec3.
+   */
+  compareTo(other) {
+    if (other?.type !== this.type) {
+      throw new TypeError(`compareTo expected '${this.type}', got '${other?.type}'.`);
+    }
+    let result = 0;
+    result = result || compareComponents(this.x, other.x);
+    result = result || compareComponents(this.y, other.y);
+    result = result || compareComponents(this.z, other.z);
+    return result;
+  }
+
+  /**
+   * Returns a hash code consistent with `equals`.
+   * @returns {number}
+   */
+  hashCode() {
+    return combineHashes([hashString(componentKey(this.x)), hashString(componentKey(this.y)), hashString(componentKey(this.z))]);
+  }
+
+  /**
+   * Parses the `toString` form (`"x, y, z"`). Numeric components become
+   * numbers; anything else is kept as a string.
+   *
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladVec3}
+   * @throws {TypeError} If the text doesn't have three components.
+   */
+  static Parse(text) {
+    const raw = stringArgument(text, "text");
+    const parts = raw.split(",").map(part => part.trim());
+    if (parts.length !== 3 || parts.includes("")) {
+      throw new TypeError(`String '${raw}' was not recognized as a valid Vec3.`);
+    }
+    return new SaladVec3(...parts.map(part => parseInvariantFloat(part) ?? part));
+  }
+
+  /**
+   * Like `Parse`, but returns `null` instead of throwing.
+   * @param {string|SaladString} text
+   * @returns {SaladVec3|null}
+   */
+  static TryParse(text) {
+    try {
+      return SaladVec3.Parse(text);
+    } catch {
+      return null;
+    }
+  }
+}
+
+/***************************************************************
+ * Additional TypeSalad Classes
+ ***************************************************************/
+
+/**
+ * A wrapped boolean type in TypeSalad.
+ *
+ * @class SaladBool
+ * @extends TypeSalad
+ */
+class SaladBool extends TypeSalad {
+  /**
+   * @param {boolean} value - The boolean value.
+   */
+  constructor(value) {
+    super();
+    this._value = !!value; // Force to boolean
+    this.type = "Bool";
+  }
+
+  /**
+   * Parses "true" or "false" (case-insensitive, surrounding whitespace allowed).
+   *
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladBool}
+   * @throws {TypeError} If the text is not a boolean.
+   */
+  static Parse(text) {
+    const raw = stringArgument(text, "text").trim();
+    const lower = raw.toLowerCase();
+    if (lower !== "true" && lower !== "false") {
+      throw new TypeError(`String '${raw}' was not recognized as a valid Bool.`);
+    }
+    return new SaladBool(lower === "true");
+  }
+
+  /**
+   * Like `Parse`, but returns `null` instead of throwing.
+   * @param {string|SaladString} text
+   * @returns {SaladBool|null}
+   */
+  static TryParse(text) {
+    try {
+      return SaladBool.Parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Returns a string representation of the boolean.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(String(this._value));
+  }
+
+  /**
+   * Returns the internal boolean value.
+   * @returns {boolean}
+   */
+  valueOf() {
+    return this._value;
+  }
+}
+
+/**
+ * A wrapped floating-point number in TypeSalad.
+ *
+ * @class SaladFloat
+ * @extends TypeSalad
+ */
+class SaladFloat extends TypeSalad {
+  /**
+   * @param {number|string} value - The initial value, coerced to float.
+   */
+  constructor(value) {
+    super();
+    this._value = Number(value);
+    this.type = "Float";
+  }
+
+  /**
+   * Parses a culture-invariant number: `.` as the decimal point, an
+   * optional exponent, or one of `NaN`, `Infinity` and `-Infinity`.
+   *
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladFloat}
+   * @throws {TypeError} If the text is not a number.
+   */
+  static Parse(text) {
+    const raw = stringArgument(text, "text");
+    const value = parseInvariantFloat(raw);
+    if (value === null) {
+      throw new TypeError(`String '${raw.trim()}' was not recognized as a valid Float.`);
+    }
+    return new SaladFloat(value);
+  }
+
+  /**
+   * Like `Parse`, but returns `null` instead of throwing.
+   * @param {string|SaladString} text
+   * @returns {SaladFloat|null}
+   */
+  static TryParse(text) {
+    try {
+      return SaladFloat.Parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Returns a string representation of the float value.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(String(this._value));
+  }
+
+  /**
+   * Returns the internal float as a number.
+   * @returns {number}
+   */
+  valueOf() {
+    return this._value;
+  }
+}
+
+/**
+ * Supported rounding modes for SaladDecimal.
+ * - `HalfEven`: banker's rounding (ties go to the even neighbour).
+ * - `HalfUp`: ties round away from zero.
+ * - `Truncate`: drops the extra digits (rounds toward zero).
+ *
+ * @readonly
+ * @enum {string}
+ */
+const DecimalRounding = Object.freeze({
+  HalfEven: 'HalfEven',
+  HalfUp: 'HalfUp',
+  Truncate: 'Truncate'
+});
+
+/**
+ * Returns 10 raised to `exponent` as a BigInt.
+ * @param {number} exponent - A non-negative integer.
+ * @returns {bigint}
+ * @private
+ */
+function pow10(exponent) {
+  return 10n ** BigInt(exponent);
+}
+
+/**
+ * Divides two BigInts, rounding the quotient with the given mode.
+ *
+ * @param {bigint} n - The dividend.
+ * @param {bigint} d - The divisor (non-zero).
+ * @param {string} rounding - One of the DecimalRounding values.
+ * @returns {bigint} The rounded quotient.
+ * @private
+ */
+function divideRounded(n, d, rounding) {
+  const q = n / d;
+  const r = n % d;
+  if (r === 0n || rounding === DecimalRounding.Truncate) {
+    return q;
+  }
+  const sign = (n < 0n) !== (d < 0n) ? -1n : 1n;
+  const twiceR = (r < 0n ? -r : r) * 2n;
+  const absD = d < 0n ? -d : d;
+  if (twiceR > absD || (twiceR === absD && (rounding === DecimalRounding.HalfUp || q % 2n !== 0n))) {
+    return q + sign;
+  }
+  return q;
+}
+
+/**
+ * Parses a culture-invariant decimal literal (e.g. "-12.50", "1e-3").
+ *
+ * @param {string} text - The text to parse.
+ * @returns {{units: bigint, scale: number}|null} The parsed value, or `null` if malformed.
+ * @private
+ */
+function parseDecimal(text) {
+  const match = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?\s*$/.exec(text);
+  if (!match || (match[2] + (match[3] ?? '')) === '') {
+    return null;
+  }
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  let units = BigInt(`${sign}${whole || '0'}${fraction}`);
+  let scale = fraction.length - Number(exponent);
+  if (scale < 0) {
+    units *= pow10(-scale);
+    scale = 0;
+  }
+  return { units, scale };
+}
+
+/**
+ * Significant digits a decimal division keeps when no scale is given.
+ * @private
+ */
+const DecimalPrecision = 28;
+
+/**
+ * A fixed-precision base-10 number in TypeSalad, suitable for money values.
+ * The value is stored as a BigInt of "units" plus a scale (the number of
+ * digits after the decimal point), so arithmetic never drifts like floats do.
+ *
+ * @class SaladDecimal
+ * @extends TypeSalad
+ */
+class SaladDecimal extends TypeSalad {
+  /**
+   * The supported rounding modes.
+   * @type {typeof DecimalRounding}
+   */
+  static Rounding = DecimalRounding;
+
+  /**
+   * @param {string|number|bigint|SaladDecimal} value - The initial value. Strings are parsed culture-invariantly.
+   * @param {Object} [options={}]
+   * @param {number} [options.scale] - Rounds the value to this many fractional digits.
+   * @param {string} [options.rounding='HalfEven'] - The rounding mode used by this value's operations.
+   * @throws {TypeError} If `value` is of an unsupported type or cannot be parsed.
+   * @throws {RangeError} If `scale` or `rounding` is invalid.
+   */
+  constructor(value, options = {}) {
+    super();
+    const { scale, rounding = DecimalRounding.HalfEven } = options;
+    if (!Object.values(DecimalRounding).includes(rounding)) {
+      throw new RangeError(`Error: Unknown rounding mode '${rounding}'.`);
+    }
+
+    let parsed;
+    if (value instanceof SaladDecimal) {
+      parsed = { units: value._units, scale: value._scale };
+    } else if (typeof value == "bigint") {
+      parsed = { units: value, scale: 0 };
+    } else if (typeof value == "string" || (typeof value == "number" && Number.isFinite(value))) {
+      parsed = parseDecimal(String(value));
+      if (!parsed) {
+        throw new TypeError(`Error: '${value}' is not a valid decimal value.`);
+      }
+    } else {
+      throw new TypeError(`Error: Input value was internal type '${typeof value}', expected internal type 'string', 'number' or 'bigint'.`);
+    }
+
+    /**
+     * The unscaled value (value * 10^scale).
+     * @type {bigint}
+     * @private
+     */
+    this._units = parsed.units;
+
+    /**
+     * The number of digits after the decimal point.
+     * @type {number}
+     * @private
+     */
+    this._scale = parsed.scale;
+
+    /**
+     * The rounding mode used by operations on this value.
+     * @type {string}
+     * @private
+     */
+    this._rounding = rounding;
+    this.type = "Decimal";
+
+    if (scale !== undefined) {
+      if (!Number.isInteger(scale) || scale < 0) {
+        throw new RangeError(`Error: Decimal scale must be a non-negative integer, got '${scale}'.`);
+      }
+      this._units = SaladDecimal._rescale(this._units, this._scale, scale, rounding);
+      this._scale = scale;
+    }
+  }
+
+  /**
+   * Converts units from one scale to another, rounding when digits are dropped.
+   * @private
+   */
+  static _rescale(units, fromScale, toScale, rounding) {
+    if (toScale >= fromScale) {
+      return units * pow10(toScale - fromScale);
+    }
+    return divideRounded(units, pow10(fromScale - toScale), rounding);
+  }
+
+  /**
+   * Creates a decimal directly from units and a scale.
+   * @private
+   */
+  static _fromUnits(units, scale, rounding) {
+    const result = new SaladDecimal(units, { rounding });
+    result._scale = scale;
+    return result;
+  }
+
+  /**
+   * Ensures `other` is a SaladDecimal.
+   * @private
+   */
+  _operand(other, opName) {
+    if (!isAssignableTo(other, "Decimal")) {
+      throw new TypeError(`${opName} expected 'Decimal', got '${other?.type}'.`);
+    }
+    return other;
+  }
+
+  /**
+   * The number of digits after the decimal point.
+   * @type {number}
+   * @readonly
+   */
+  get scale() {
+    return this._scale;
+  }
+
+  /**
+   * The rounding mode used by this value's operations.
+   * @type {string}
+   * @readonly
+   */
+  get rounding() {
+    return this._rounding;
+  }
+
+  /**
+   * Adds another decimal. The result keeps the larger of the two scales.
+   * @param {SaladDecimal} other - The value to add.
+   * @returns {SaladDecimal}
+   */
+  add(other) {
+    this._operand(other, "add");
+    const scale = Math.max(this._scale, other._scale);
+    const a = this._units * pow10(scale - this._scale);
+    const b = other._units * pow10(scale - other._scale);
+    return SaladDecimal._fromUnits(a + b, scale, this._rounding);
+  }
+
+  /**
+   * Subtracts another decimal. The result keeps the larger of the two scales.
+   * @param {SaladDecimal} other - The value to subtract.
+   * @returns {SaladDecimal}
+   */
+  subtract(other) {
+    this._operand(other, "subtract");
+    return this.add(other.negate());
+  }
+
+  /**
+   * Multiplies by another decimal. The result is exact (scales are summed).
+   * @param {SaladDecimal} other - The multiplier.
+   * @returns {SaladDecimal}
+   */
+  multiply(other) {
+    this._operand(other, "multiply");
+    return SaladDecimal._fromUnits(this._units * other._units, this._scale + other._scale, this._rounding);
+  }
+
+  /**
+   * Divides by another decimal, rounding the quotient to `scale` digits.
+   * Without a `scale`, the quotient keeps about 28 significant digits (like
+   * C#'s `decimal`), then drops trailing zeros down to the larger operand
+   * scale: `10 / 4` is `2.5`, `10.00 / 4` is `2.50` and `1 / 3` is
+   * `0.3333333333333333333333333333`.
+   *
+   * @param {SaladDecimal} other - The divisor.
+   * @param {number} [scale] - Digits to keep; omit for full precision.
+   * @param {string} [rounding] - Rounding mode; defaults to this value's mode.
+   * @returns {SaladDecimal}
+   * @throws {RangeError} If `other` is zero.
+   */
+  divide(other, scale, rounding = this._rounding) {
+    this._operand(other, "divide");
+    if (other._units === 0n) {
+      throw new RangeError('Cannot divide by zero.');
+    }
+    if (scale === undefined) {
+      const minScale = Math.max(this._scale, other._scale);
+      const magnitude = units => (units < 0n ? -units : units).toString().length;
+      // Digits before the point of the quotient, give or take one
+      const wholeDigits = (magnitude(this._units) - this._scale) - (magnitude(other._units) - other._scale);
+      const quotient = this.divide(other, Math.max(minScale, DecimalPrecision - wholeDigits), rounding);
+      return quotient._trimTo(minScale);
+    }
+    const exponent = scale - this._scale + other._scale;
+    const n = exponent >= 0 ? this._units * pow10(exponent) : this._units;
+    const d = exponent >= 0 ? other._units : other._units * pow10(-exponent);
+    return SaladDecimal._fromUnits(divideRounded(n, d, rounding), scale, this._rounding);
+  }
+
+  /**
+   * Returns the value with trailing fractional zeros removed, keeping at
+   * least `minScale` digits.
+   * @param {number} [minScale=0]
+   * @returns {SaladDecimal}
+   * @private
+   */
+  _trimTo(minScale = 0) {
+    let units = this._units;
+    let scale = this._scale;
+    while (scale > minScale && units % 10n === 0n) {
+      units /= 10n;
+      scale--;
+    }
+    return SaladDecimal._fromUnits(units, scale, this._rounding);
+  }
+
+  /**
+   * Returns the value with its sign flipped.
+   * @returns {SaladDecimal}
+   */
+  negate() {
+    return SaladDecimal._fromUnits(-this._units, this._scale, this._rounding);
+  }
+
+  /**
+   * Rounds the value to a number of fractional digits.
+   *
+   * @param {number} [scale=0] - Digits to keep.
+   * @param {string} [rounding] - Rounding mode; defaults to this value's mode.
+   * @returns {SaladDecimal}
+   */
+  round(scale = 0, rounding = this._rounding) {
+    return new SaladDecimal(this, { scale, rounding });
+  }
+
+  /**
+   * Formats the value with a fixed number of fractional digits.
+   *
+   * @param {number} [scale] - Digits to show; defaults to the value's own scale.
+   * @returns {SaladString}
+   */
+  format(scale = this._scale) {
+    const units = SaladDecimal._rescale(this._units, this._scale, scale, this._rounding);
+    const digits = (units < 0n ? -units : units).toString().padStart(scale + 1, '0');
+    const sign = units < 0n ? '-' : '';
+    const whole = digits.slice(0, digits.length - scale);
+    const fraction = scale > 0 ? `.${digits.slice(digits.length - scale)}` : '';
+    return new SaladString(`${sign}${whole}${fraction}`);
+  }
+
+  /**
+   * Converts to a SaladInt, truncating any fractional digits.
+   * @returns {SaladInt}
+   * @throws {RangeError} If the value is outside the range of an Int.
+   */
+  toInt() {
+    return new SaladInt(Number(SaladDecimal._rescale(this._units, this._scale, 0, DecimalRounding.Truncate)));
+  }
+
+  /**
+   * Converts to a SaladFloat (may lose precision).
+   * @returns {SaladFloat}
+   */
+  toFloat() {
+    return new SaladFloat(Number(this.format().valueOf()));
+  }
+
+  /**
+   * Creates a decimal from any integral typed value.
+   * @param {SaladInteger} value - e.g. a SaladInt or SaladLong.
+   * @returns {SaladDecimal}
+   * @throws {TypeError} If `value` is not an integral typed value.
+   */
+  static FromInt(value) {
+    if (!isAssignableTo(value, "Integer")) {
+      throw new TypeError(`FromInt expected an integral type, got '${value?.type}'.`);
+    }
+    return new SaladDecimal(BigInt(value.valueOf()));
+  }
+
+  /**
+   * Creates a decimal from a SaladFloat, using its shortest round-trip representation.
+   * @param {SaladFloat} value - The float to convert.
+   * @returns {SaladDecimal}
+   * @throws {TypeError} If `value` is not a SaladFloat or is not finite.
+   */
+  static FromFloat(value) {
+    if (!isAssignableTo(value, "Float")) {
+      throw new TypeError(`FromFloat expected 'Float', got '${value?.type}'.`);
+    }
+    return new SaladDecimal(value.valueOf());
+  }
+
+  /**
+   * Parses a culture-invariant decimal string.
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladDecimal}
+   * @throws {TypeError} If the text is not a valid decimal.
+   */
+  static Parse(text) {
+    return new SaladDecimal(String(text?.valueOf()));
+  }
+
+  /**
+   * Parses a culture-invariant decimal string without throwing.
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladDecimal|null} The parsed value, or `null` if the text is malformed.
+   */
+  static TryParse(text) {
+    const parsed = parseDecimal(String(text?.valueOf()));
+    return parsed ? SaladDecimal._fromUnits(parsed.units, parsed.scale, DecimalRounding.HalfEven) : null;
+  }
+
+  /**
+   * Returns the value with its full scale (e.g. "1.50").
+   * @returns {SaladString}
+   */
+  toString() {
+    return this.format();
+  }
+
+  /**
+   * Returns the value as a (possibly rounded) JavaScript number, so
+   * relational operators and arithmetic with numbers work. Use `compareTo`,
+   * `equals` and the decimal operations for exact results.
+   * @returns {number}
+   */
+  valueOf() {
+    return Number(this._trimTo().format().valueOf());
+  }
+
+  /**
+   * Checks numeric equality with another decimal, regardless of scale
+   * (`1.50` equals `1.5`).
+   * @param {any} other - The value to compare against.
+   * @returns {boolean}
+   */
+  equals(other) {
+    return isAssignableTo(other, "Decimal") && this.compareTo(other) === 0;
+  }
+
+  /**
+   * Returns a hash code built from the normalized value, consistent with `equals`.
+   * @returns {number}
+   */
+  hashCode() {
+    return combineHashes([hashString(String(this.type)), hashString(this._trimTo().format().valueOf())]);
+  }
+
+  /**
+   * Orders decimals numerically, regardless of scale.
+   * @param {SaladDecimal} other - The decimal to compare against.
+   * @returns {number}
+   * @throws {TypeError} If `other` is not a SaladDecimal.
+   */
+  compareTo(other) {
+    this._operand(other, "compareTo");
+    const scale = Math.max(this._scale, other._scale);
+    const a = this._units * pow10(scale - this._scale);
+    const b = other._units * pow10(scale - other._scale);
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+}
+
+/**
+ * Milliseconds per time unit.
+ * @private
+ */
+const MsPer = Object.freeze({ Second: 1000, Minute: 60000, Hour: 3600000, Day: 86400000 });
+
+/**
+ * English (invariant culture) month and day names for date formatting.
+ * @private
+ */
+const monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * The invariant-culture patterns behind the standard date format strings.
+ * @private
+ */
+const standardDateFormats = Object.freeze({
+  d: "MM/dd/yyyy",
+  D: "dddd, dd MMMM yyyy",
+  f: "dddd, dd MMMM yyyy HH:mm",
+  F: "dddd, dd MMMM yyyy HH:mm:ss",
+  g: "MM/dd/yyyy HH:mm",
+  G: "MM/dd/yyyy HH:mm:ss",
+  M: "MMMM dd",
+  m: "MMMM dd",
+  o: "yyyy'-'MM'-'dd'T'HH':'mm':'ss'.'fffffffK",
+  O: "yyyy'-'MM'-'dd'T'HH':'mm':'ss'.'fffffffK",
+  s: "yyyy'-'MM'-'dd'T'HH':'mm':'ss",
+  t: "HH:mm",
+  T: "HH:mm:ss",
+  u: "yyyy'-'MM'-'dd HH':'mm':'ss'Z'",
+  Y: "yyyy MMMM",
+  y: "yyyy MMMM"
+});
+
+/**
+ * The forms accepted by `SaladDate.Parse`, tried in order.
+ * @private
+ */
+const invariantDatePatterns = Object.freeze(["yyyy-MM-dd", "MM/dd/yyyy"].flatMap(date =>
+  ["", "THH:mm", "THH:mm:ss", "THH:mm:ss.FFFFFFF", " HH:mm", " HH:mm:ss", " HH:mm:ss.FFFFFFF"].flatMap(time =>
+    [`${date}${time}`, ...(time ? [`${date}${time}K`] : [])])));
+
+/**
+ * The days of the week (like C#'s `DayOfWeek`), as returned by `SaladDate.dayOfWeek`.
+ * @type {Function}
+ */
+const DayOfWeek = defineEnum("TypeSalad.DayOfWeek", dayNames);
+
+/**
+ * Splits a custom date/time format string into specifier runs (`yyyy`,
+ * `MM`, `fff`, ...) and literal text (quoted, escaped with `\`, or any
+ * other character). A leading `%` marks a one-letter custom format.
+ *
+ * @param {string} pattern - The format string.
+ * @param {string} letters - The specifier letters.
+ * @returns {Array<{token?: string, literal?: string}>}
+ * @throws {TypeError} If a quote is not closed.
+ * @private
+ */
+function tokenizeDateFormat(pattern, letters) {
+  const tokens = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "'" || ch === '"') {
+      const close = pattern.indexOf(ch, i + 1);
+      if (close === -1) {
+        throw new TypeError(`Format string '${pattern}' has an unterminated quote.`);
+      }
+      tokens.push({ literal: pattern.slice(i + 1, close) });
+      i = close;
+    } else if (ch === "\\") {
+      tokens.push({ literal: pattern[++i] ?? "" });
+    } else if (ch === "%") {
+      continue;
+    } else if (letters.includes(ch)) {
+      let end = i;
+      while (pattern[end + 1] === ch) end++;
+      tokens.push({ token: pattern.slice(i, end + 1) });
+      i = end;
+    } else {
+      tokens.push({ literal: ch });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Formats an offset in minutes as `+hh:mm` (or shorter forms).
+ * @private
+ */
+function formatOffset(minutes, width) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  const hours = Math.floor(abs / 60);
+  if (width === 1) return `${sign}${hours}`;
+  if (width === 2) return `${sign}${String(hours).padStart(2, "0")}`;
+  return `${sign}${String(hours).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Formats fractional-second digits: `f` keeps zeros, `F` trims them.
+ * @private
+ */
+function formatFraction(ms, token) {
+  const digits = String(ms).padStart(3, "0").padEnd(token.length, "0").slice(0, token.length);
+  return token[0] === "F" ? digits.replace(/0+$/, "") : digits;
+}
+
+/**
+ * A length of time (like C#'s `TimeSpan`), stored in milliseconds.
+ *
+ * @class SaladTimeSpan
+ * @extends TypeSalad
+ */
+class SaladTimeSpan extends TypeSalad {
+  /**
+   * Creates a time span from milliseconds, or from components like C#:
+   * `(hours, minutes, seconds)`, `(days, hours, minutes, seconds)` or
+   * `(days, hours, minutes, seconds, milliseconds)`.
+   *
+   * @param {...(number|SaladInteger|SaladFloat)} parts - The milliseconds or components.
+   * @throws {TypeError} If a part is not a number or the argument count is invalid.
+   */
+  constructor(...parts) {
+    super();
+    const values = parts.map((part, i) => {
+      const raw = Number(part?.valueOf());
+      if (!(typeof part === "number" || isNumeric(part)) || !Number.isFinite(raw)) {
+        throw new TypeError(`Parameter ${i + 1} was type '${part?.type ?? typeof part}', expected a finite number.`);
+      }
+      return raw;
+    });
+    let ms;
+    switch (values.length) {
+      case 1: [ms] = values; break;
+      case 3: ms = values[0] * MsPer.Hour + values[1] * MsPer.Minute + values[2] * MsPer.Second; break;
+      case 4: ms = values[0] * MsPer.Day + values[1] * MsPer.Hour + values[2] * MsPer.Minute + values[3] * MsPer.Second; break;
+      case 5: ms = values[0] * MsPer.Day + values[1] * MsPer.Hour + values[2] * MsPer.Minute + values[3] * MsPer.Second + values[4]; break;
+      default:
+        throw new TypeError(`SaladTimeSpan expects 1, 3, 4 or 5 arguments, got ${values.length}.`);
+    }
+
+    /**
+     * The length in milliseconds.
+     * @type {number}
+     * @private
+     */
+    this._ms = ms;
+    this.type = "TimeSpan";
+  }
+
+  /** A zero-length time span. @type {SaladTimeSpan} */
+  static get Zero() {
+    return new SaladTimeSpan(0);
+  }
+
+  /** @param {number} value @returns {SaladTimeSpan} */
+  static FromDays(value) {
+    return new SaladTimeSpan(Number(value?.valueOf()) * MsPer.Day);
+  }
+
+  /** @param {number} value @returns {SaladTimeSpan} */
+  static FromHours(value) {
+    return new SaladTimeSpan(Number(value?.valueOf()) * MsPer.Hour);
+  }
+
+  /** @param {number} value @returns {SaladTimeSpan} */
+  static FromMinutes(value) {
+    return new SaladTimeSpan(Number(value?.valueOf()) * MsPer.Minute);
+  }
+
+  /** @param {number} value @returns {SaladTimeSpan} */
+  static FromSeconds(value) {
+    return new SaladTimeSpan(Number(value?.valueOf()) * MsPer.Second);
+  }
+
+  /** @param {number} value @returns {SaladTimeSpan} */
+  static FromMilliseconds(value) {
+    return new SaladTimeSpan(Number(value?.valueOf()));
+  }
+
+  /**
+   * Parses the constant format `[-][d.]hh:mm[:ss[.fffffff]]`.
+   *
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladTimeSpan}
+   * @throws {TypeError} If the text is not a valid time span.
+   */
+  static Parse(text) {
+    const raw = String(text?.valueOf()).trim();
+    const match = /^(-)?(?:(\d+)\.)?(\d{1,2}):(\d{1,2})(?::(\d{1,2})(?:\.(\d{1,7}))?)?$/.exec(raw);
+    if (!match || Number(match[3]) > 23 || Number(match[4]) > 59 || Number(match[5] ?? 0) > 59) {
+      throw new TypeError(`String '${raw}' was not recognized as a valid TimeSpan.`);
+    }
+    const [, sign, days = 0, hours, minutes, seconds = 0, fraction = ""] = match;
+    const ms = Number(days) * MsPer.Day + Number(hours) * MsPer.Hour + Number(minutes) * MsPer.Minute +
+      Number(seconds) * MsPer.Second + Number(`0.${fraction || 0}`) * 1000;
+    return new SaladTimeSpan(sign ? -ms : ms);
+  }
+
+  /**
+   * Like `Parse`, but returns `null` instead of throwing.
+   * @param {string|SaladString} text
+   * @returns {SaladTimeSpan|null}
+   */
+  static TryParse(text) {
+    try {
+      return SaladTimeSpan.Parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  /** The whole days component. @type {number} */
+  get days() {
+    return Math.trunc(this._ms / MsPer.Day);
+  }
+
+  /** The hours component (-23 to 23). @type {number} */
+  get hours() {
+    return Math.trunc(this._ms / MsPer.Hour) % 24;
+  }
+
+  /** The minutes component (-59 to 59). @type {number} */
+  get minutes() {
+    return Math.trunc(this._ms / MsPer.Minute) % 60;
+  }
+
+  /** The seconds component (-59 to 59). @type {number} */
+  get seconds() {
+    return Math.trunc(this._ms / MsPer.Second) % 60;
+  }
+
+  /** The milliseconds component (-999 to 999). @type {number} */
+  get milliseconds() {
+    return Math.trunc(this._ms) % 1000;
+  }
+
+  /** The length in (fractional) days. @type {number} */
+  get totalDays() {
+    return this._ms / MsPer.Day;
+  }
+
+  /** The length in (fractional) hours. @type {number} */
+  get totalHours() {
+    return this._ms / MsPer.Hour;
+  }
+
+  /** The length in (fractional) minutes. @type {number} */
+  get totalMinutes() {
+    return this._ms / MsPer.Minute;
+  }
+
+  /** The length in (fractional) seconds. @type {number} */
+  get totalSeconds() {
+    return this._ms / MsPer.Second;
+  }
+
+  /** The length in milliseconds. @type {number} */
+  get totalMilliseconds() {
+    return this._ms;
+  }
+
+  /**
+   * Ensures an operand is a time span.
+   * @private
+   */
+  static _operand(other, opName) {
+    if (!isAssignableTo(other, "TimeSpan")) {
+      throw new TypeError(`${opName} expected 'TimeSpan', got '${other?.type ?? typeof other}'.`);
+    }
+    return other._ms;
+  }
+
+  /**
+   * @param {SaladTimeSpan} other
+   * @returns {SaladTimeSpan} The sum.
+   */
+  add(other) {
+    return new SaladTimeSpan(this._ms + SaladTimeSpan._operand(other, "add"));
+  }
+
+  /**
+   * @param {SaladTimeSpan} other
+   * @returns {SaladTimeSpan} The difference.
+   */
+  subtract(other) {
+    return new SaladTimeSpan(this._ms - SaladTimeSpan._operand(other, "subtract"));
+  }
+
+  /**
+   * @param {number|SaladFloat|SaladInteger} factor
+   * @returns {SaladTimeSpan} The scaled time span.
+   */
+  multiply(factor) {
+    return new SaladTimeSpan(this._ms * Number(factor?.valueOf()));
+  }
+
+  /**
+   * Divides by a number (giving a time span) or by a time span (giving a ratio).
+   * @param {number|SaladFloat|SaladInteger|SaladTimeSpan} divisor
+   * @returns {SaladTimeSpan|SaladFloat}
+   * @throws {RangeError} On division by zero.
+   */
+  divide(divisor) {
+    const raw = isAssignableTo(divisor, "TimeSpan") ? divisor._ms : Number(divisor?.valueOf());
+    if (raw === 0) {
+      throw new RangeError("Cannot divide by zero.");
+    }
+    return isAssignableTo(divisor, "TimeSpan") ? new SaladFloat(this._ms / raw) : new SaladTimeSpan(this._ms / raw);
+  }
+
+  /** @returns {SaladTimeSpan} The negated time span. */
+  negate() {
+    return new SaladTimeSpan(-this._ms);
+  }
+
+  /** @returns {SaladTimeSpan} The absolute length. */
+  duration() {
+    return new SaladTimeSpan(Math.abs(this._ms));
+  }
+
+  /**
+   * Formats the time span. `"c"` (the default) gives `[-][d.]hh:mm:ss[.fffffff]`;
+   * `"g"` drops leading zeros; custom patterns use `d`, `hh`, `mm`, `ss`,
+   * `f`/`F` and quoted literals, e.g. `"hh\\:mm"`.
+   *
+   * @param {string|SaladString} [pattern="c"]
+   * @returns {SaladString}
+   * @throws {TypeError} If the pattern is invalid.
+   */
+  format(pattern = "c") {
+    const spec = stringArgument(pattern, "pattern");
+    const abs = Math.abs(this._ms);
+    const sign = this._ms < 0 ? "-" : "";
+    const days = Math.floor(abs / MsPer.Day);
+    const hours = Math.floor(abs / MsPer.Hour) % 24;
+    const minutes = Math.floor(abs / MsPer.Minute) % 60;
+    const seconds = Math.floor(abs / MsPer.Second) % 60;
+    const ms = Math.round(abs % 1000);
+    const two = n => String(n).padStart(2, "0");
+
+    if (spec === "c" || spec === "t" || spec === "T") {
+      const fraction = ms ? `.${String(ms).padStart(3, "0")}0000` : "";
+      return new SaladString(`${sign}${days ? `${days}.` : ""}${two(hours)}:${two(minutes)}:${two(seconds)}${fraction}`);
+    }
+    if (spec === "g") {
+      const fraction = ms ? `.${String(ms).padStart(3, "0").replace(/0+$/, "")}` : "";
+      return new SaladString(`${sign}${days ? `${days}:` : ""}${hours}:${two(minutes)}:${two(seconds)}${fraction}`);
+    }
+    let result = "";
+    for (const { token, literal } of tokenizeDateFormat(spec, "dhmsfF")) {
+      if (literal !== undefined) {
+        result += literal;
+        continue;
+      }
+      switch (token[0]) {
+        case "d": result += String(days).padStart(token.length, "0"); break;
+        case "h": result += String(hours).padStart(Math.min(token.length, 2), "0"); break;
+        case "m": result += String(minutes).padStart(Math.min(token.length, 2), "0"); break;
+        case "s": result += String(seconds).padStart(Math.min(token.length, 2), "0"); break;
+        default: result += formatFraction(ms, token);
+      }
+    }
+    return new SaladString(result);
+  }
+
+  /**
+   * Returns the constant (`"c"`) representation, e.g. `1.02:03:04`.
+   * @returns {SaladString}
+   */
+  toString() {
+    return this.format("c");
+  }
+
+  /**
+   * Returns the length in milliseconds.
+   * @returns {number}
+   */
+  valueOf() {
+    return this._ms;
+  }
+}
+
+/**
+ * A wrapped Date object in TypeSalad.
+ *
+ * Calendar properties and arithmetic use local time, like a C# `DateTime`
+ * of kind Local; `toString()` is the ISO (UTC) form.
+ *
+ * @class SaladDate
+ * @extends TypeSalad
+ */
+class SaladDate extends TypeSalad {
+  /**
+   * @param {Date|number|string} value - An existing Date or a value to be passed into `new Date()`.
+   */
+  constructor(value) {
+    super();
+    if (value instanceof Date) {
+      this._value = value;
+    } else {
+      this._value = new Date(value); // May throw RangeError if invalid
+    }
+    this.type = "Date";
+  }
+
+  /**
+   * The current date and time.
+   * @type {SaladDate}
+   */
+  static get Now() {
+    return new SaladDate(new Date());
+  }
+
+  /**
+   * Today's date, at midnight.
+   * @type {SaladDate}
+   */
+  static get Today() {
+    return SaladDate.Now.startOf("day");
+  }
+
+  /**
+   * Checks whether a year is a leap year.
+   * @param {number|SaladInteger} year
+   * @returns {boolean}
+   */
+  static IsLeapYear(year) {
+    const y = integerArgument(year, "year");
+    return (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+  }
+
+  /**
+   * Returns the number of days in a month.
+   * @param {number|SaladInteger} year
+   * @param {number|SaladInteger} month - The month (1-12).
+   * @returns {number}
+   */
+  static DaysInMonth(year, month) {
+    return new Date(integerArgument(year, "year"), integerArgument(month, "month"), 0).getDate();
+  }
+
+  /**
+   * Returns an ISO string representation of the date.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(this._value.toISOString());
+  }
+
+  /**
+   * Returns the numeric timestamp representation of the date.
+   * @returns {number}
+   */
+  valueOf() {
+    return this._value.valueOf();
+  }
+
+  /**
+   * The full year (e.g. 2025).
+   * @type {number}
+   * @readonly
+   */
+  get year() {
+    return this._value.getFullYear();
+  }
+
+  /**
+   * The month (1-12).
+   * @type {number}
+   * @readonly
+   */
+  get month() {
+    return this._value.getMonth() + 1;
+  }
+
+  /**
+   * The day of the month (1-31).
+   * @type {number}
+   * @readonly
+   */
+  get day() {
+    return this._value.getDate();
+  }
+
+  /**
+   * The hour (0-23).
+   * @type {number}
+   * @readonly
+   */
+  get hour() {
+    return this._value.getHours();
+  }
+
+  /**
+   * The minute (0-59).
+   * @type {number}
+   * @readonly
+   */
+  get minute() {
+    return this._value.getMinutes();
+  }
+
+  /**
+   * The second (0-59).
+   * @type {number}
+   * @readonly
+   */
+  get second() {
+    return this._value.getSeconds();
+  }
+
+  /**
+   * The millisecond (0-999).
+   * @type {number}
+   * @readonly
+   */
+  get millisecond() {
+    return this._value.getMilliseconds();
+  }
+
+  /**
+   * The day of the week.
+   * @type {DayOfWeek}
+   * @readonly
+   */
+  get dayOfWeek() {
+    return DayOfWeek.fromValue(this._value.getDay());
+  }
+
+  /**
+   * The day of the year (1-366).
+   * @type {number}
+   * @readonly
+   */
+  get dayOfYear() {
+    const start = Date.UTC(this.year, 0, 1);
+    return Math.round((Date.UTC(this.year, this.month - 1, this.day) - start) / MsPer.Day) + 1;
+  }
+
+  /**
+   * The time elapsed since midnight.
+   * @type {SaladTimeSpan}
+   * @readonly
+   */
+  get timeOfDay() {
+    return new SaladTimeSpan(0, this.hour, this.minute, this.second, this.millisecond);
+  }
+
+  /**
+   * Returns a new date with the given number of milliseconds added.
+   * @param {number|SaladInteger|SaladFloat} value
+   * @returns {SaladDate}
+   */
+  addMilliseconds(value) {
+    return new SaladDate(new Date(this.valueOf() + Number(value?.valueOf())));
+  }
+
+  /** @param {number|SaladInteger|SaladFloat} value @returns {SaladDate} */
+  addSeconds(value) {
+    return this.addMilliseconds(Number(value?.valueOf()) * MsPer.Second);
+  }
+
+  /** @param {number|SaladInteger|SaladFloat} value @returns {SaladDate} */
+  addMinutes(value) {
+    return this.addMilliseconds(Number(value?.valueOf()) * MsPer.Minute);
+  }
+
+  /** @param {number|SaladInteger|SaladFloat} value @returns {SaladDate} */
+  addHours(value) {
+    return this.addMilliseconds(Number(value?.valueOf()) * MsPer.Hour);
+  }
+
+  /**
+   * Returns a new date with the given number of days added. Whole days
+   * keep the local time of day, even across daylight-saving changes.
+   * @param {number|SaladInteger|SaladFloat} value
+   * @returns {SaladDate}
+   */
+  addDays(value) {
+    const days = Number(value?.valueOf());
+    const whole = Math.trunc(days);
+    const date = new Date(this._value);
+    date.setDate(date.getDate() + whole);
+    return new SaladDate(new Date(date.valueOf() + (days - whole) * MsPer.Day));
+  }
+
+  /**
+   * Returns a new date with the given number of months added. The day is
+   * clamped to the end of the resulting month (Jan 31 + 1 month = Feb 28/29).
+   * @param {number|SaladInteger} value
+   * @returns {SaladDate}
+   */
+  addMonths(value) {
+    const months = integerArgument(value, "value");
+    const date = new Date(this._value);
+    const target = new Date(this.year, this.month - 1 + months, 1);
+    date.setFullYear(target.getFullYear(), target.getMonth(),
+      Math.min(this.day, SaladDate.DaysInMonth(target.getFullYear(), target.getMonth() + 1)));
+    return new SaladDate(date);
+  }
+
+  /**
+   * Returns a new date with the given number of years added (Feb 29 becomes Feb 28 in non-leap years).
+   * @param {number|SaladInteger} value
+   * @returns {SaladDate}
+   */
+  addYears(value) {
+    return this.addMonths(integerArgument(value, "value") * 12);
+  }
+
+  /**
+   * Returns a new date with a time span added.
+   * @param {SaladTimeSpan} span
+   * @returns {SaladDate}
+   */
+  add(span) {
+    return this.addMilliseconds(SaladTimeSpan._operand(span, "add"));
+  }
+
+  /**
+   * Subtracts a date (giving the time span between them) or a time span
+   * (giving an earlier date).
+   *
+   * @param {SaladDate|SaladTimeSpan} other
+   * @returns {SaladTimeSpan|SaladDate}
+   * @throws {TypeError} If `other` is neither a Date nor a TimeSpan.
+   */
+  subtract(other) {
+    if (isAssignableTo(other, "Date")) {
+      return new SaladTimeSpan(this.valueOf() - other.valueOf());
+    }
+    return this.addMilliseconds(-SaladTimeSpan._operand(other, "subtract"));
+  }
+
+  /**
+   * Returns the start of the year, month, week, day, hour, minute or second
+   * containing this date.
+   *
+   * @param {string|SaladString} unit - `'year'`, `'month'`, `'week'`, `'day'`, `'hour'`, `'minute'` or `'second'`.
+   * @param {DayOfWeek} [firstDayOfWeek=DayOfWeek.Sunday] - Where weeks start.
+   * @returns {SaladDate}
+   * @throws {RangeError} If the unit is unknown.
+   */
+  startOf(unit, firstDayOfWeek = DayOfWeek.Sunday) {
+    const d = this._value;
+    const name = stringArgument(unit, "unit");
+    switch (name) {
+      case "year": return new SaladDate(new Date(d.getFullYear(), 0, 1));
+      case "month": return new SaladDate(new Date(d.getFullYear(), d.getMonth(), 1));
+      case "week": {
+        const back = (d.getDay() - firstDayOfWeek.valueOf() + 7) % 7;
+        return new SaladDate(new Date(d.getFullYear(), d.getMonth(), d.getDate() - back));
+      }
+      case "day": return new SaladDate(new Date(d.getFullYear(), d.getMonth(), d.getDate()));
+      case "hour": return new SaladDate(new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours()));
+      case "minute": return new SaladDate(new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes()));
+      case "second": return new SaladDate(new Date(Math.floor(d.valueOf() / 1000) * 1000));
+      default:
+        throw new RangeError(`Unknown date unit '${name}'.`);
+    }
+  }
+
+  /**
+   * Returns the last millisecond of the year, month, week, day, hour,
+   * minute or second containing this date.
+   *
+   * @param {string|SaladString} unit - See `startOf`.
+   * @param {DayOfWeek} [firstDayOfWeek=DayOfWeek.Sunday] - Where weeks start.
+   * @returns {SaladDate}
+   * @throws {RangeError} If the unit is unknown.
+   */
+  endOf(unit, firstDayOfWeek = DayOfWeek.Sunday) {
+    const start = this.startOf(unit, firstDayOfWeek);
+    const next = {
+      year: () => start.addYears(1),
+      month: () => start.addMonths(1),
+      week: () => start.addDays(7),
+      day: () => start.addDays(1),
+      hour: () => start.addHours(1),
+      minute: () => start.addMinutes(1),
+      second: () => start.addSeconds(1)
+    }[stringArgument(unit, "unit")]();
+    return next.addMilliseconds(-1);
+  }
+
+  /**
+   * Formats the date with a C#-style format string: a standard format
+   * (`"d"`, `"D"`, `"g"`, `"G"`, `"s"`, `"o"`, `"u"`, `"t"`, `"T"`, ...)
+   * or a custom pattern built from `yyyy`, `yy`, `MMMM`, `MMM`, `MM`, `M`,
+   * `dddd`, `ddd`, `dd`, `d`, `HH`, `H`, `hh`, `h`, `mm`, `m`, `ss`, `s`,
+   * `f`/`F` (fractions), `tt`, `zzz` and `K`. Quote literal text ('at') or
+   * escape it with `\`.
+   *
+   * @example
+   * date.format("yyyy-MM-dd HH:mm"); // "2025-03-09 14:05"
+   *
+   * @param {string|SaladString} pattern - The format string.
+   * @returns {SaladString}
+   * @throws {TypeError} If the pattern is invalid.
+   */
+  format(pattern) {
+    let spec = stringArgument(pattern, "pattern");
+    let d = this._value;
+    if (spec === "u") {
+      d = new Date(d.valueOf() + d.getTimezoneOffset() * MsPer.Minute); // universal time
+    }
+    spec = standardDateFormats[spec] ?? spec;
+    const offset = spec === standardDateFormats.u ? 0 : -this._value.getTimezoneOffset();
+
+    let result = "";
+    for (const { token, literal } of tokenizeDateFormat(spec, "yMdHhmsfFtKz")) {
+      if (literal !== undefined) {
+        result += literal;
+        continue;
+      }
+      const n = token.length;
+      const pad = (value, width) => String(value).padStart(width, "0");
+      switch (token[0]) {
+        case "y": result += n === 2 ? pad(d.getFullYear() % 100, 2) : pad(n === 1 ? d.getFullYear() % 100 : d.getFullYear(), n); break;
+        case "M": result += n >= 4 ? monthNames[d.getMonth()] : n === 3 ? monthNames[d.getMonth()].slice(0, 3) : pad(d.getMonth() + 1, n); break;
+        case "d": result += n >= 4 ? dayNames[d.getDay()] : n === 3 ? dayNames[d.getDay()].slice(0, 3) : pad(d.getDate(), n); break;
+        case "H": result += pad(d.getHours(), Math.min(n, 2)); break;
+        case "h": result += pad(d.getHours() % 12 || 12, Math.min(n, 2)); break;
+        case "m": result += pad(d.getMinutes(), Math.min(n, 2)); break;
+        case "s": result += pad(d.getSeconds(), Math.min(n, 2)); break;
+        case "f":
+        case "F": result += formatFraction(d.getMilliseconds(), token); break;
+        case "t": result += (d.getHours() < 12 ? "AM" : "PM").slice(0, Math.min(n, 2)); break;
+        case "K": result += formatOffset(offset, 3); break;
+        default: result += formatOffset(offset, Math.min(n, 3));
+      }
+    }
+    return new SaladString(result);
+  }
+
+  /**
+   * Parses a date that exactly matches a format string (see `format`).
+   * Without an offset (`zzz` or `K`) in the text, the date is taken as local time.
+   *
+   * @param {string|SaladString} text - The text to parse.
+   * @param {string|SaladString} pattern - The expected format.
+   * @returns {SaladDate}
+   * @throws {TypeError} If the text doesn't match the format or is not a valid date.
+   */
+  static ParseExact(text, pattern) {
+    const input = stringArgument(text, "text");
+    const spec = standardDateFormats[stringArgument(pattern, "pattern")] ?? stringArgument(pattern, "pattern");
+    const fields = [];
+    let regex = "";
+    const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    for (const { token, literal } of tokenizeDateFormat(spec, "yMdHhmsfFtKz")) {
+      if (literal !== undefined) {
+        regex += escape(literal);
+        continue;
+      }
+      const n = token.length;
+      let part;
+      switch (token[0]) {
+        case "y": part = n === 2 ? "\\d{2}" : n === 1 ? "\\d{1,2}" : `\\d{${n},}`; break;
+        case "M": part = n >= 4 ? monthNames.join("|") : n === 3 ? monthNames.map(m => m.slice(0, 3)).join("|") : n === 2 ? "\\d{2}" : "\\d{1,2}"; break;
+        case "d": part = n >= 4 ? dayNames.join("|") : n === 3 ? dayNames.map(m => m.slice(0, 3)).join("|") : n === 2 ? "\\d{2}" : "\\d{1,2}"; break;
+        case "H":
+        case "h":
+        case "m":
+        case "s": part = n >= 2 ? "\\d{2}" : "\\d{1,2}"; break;
+        case "f": part = `\\d{${n}}`; break;
+        case "F": part = `\\d{0,${n}}`; break;
+        case "t": part = n === 1 ? "[AP]" : "AM|PM"; break;
+        default: part = "Z|[+-]\\d{1,2}(?::?\\d{2})?"; break;
+      }
+      fields.push(token);
+      regex += `(${part})`;
+    }
+    const match = new RegExp(`^${regex}$`, "i").exec(input);
+    const fail = () => new TypeError(`String '${input}' was not recognized as a valid DateTime for format '${spec}'.`);
+    if (!match) {
+      throw fail();
+    }
+
+    const parts = { year: 1, month: 1, day: 1, hour: 0, minute: 0, second: 0, ms: 0, pm: null, offset: null };
+    fields.forEach((token, i) => {
+      const value = match[i + 1];
+      const n = token.length;
+      switch (token[0]) {
+        case "y": parts.year = n <= 2 ? 2000 + Number(value) - (Number(value) > 49 ? 100 : 0) : Number(value); break;
+        case "M": parts.month = n >= 3 ? monthNames.findIndex(m => m.slice(0, n === 3 ? 3 : undefined).toLowerCase() === value.toLowerCase()) + 1 : Number(value); break;
+        case "d": if (n <= 2) parts.day = Number(value); break;
+        case "H": parts.hour = Number(value); break;
+        case "h": parts.hour = Number(value) % 12; break;
+        case "m": parts.minute = Number(value); break;
+        case "s": parts.second = Number(value); break;
+        case "f":
+        case "F": parts.ms = Math.round(Number(`0.${value || 0}`) * 1000); break;
+        case "t": parts.pm = value[0].toUpperCase() === "P"; break;
+        default: {
+          if (value.toUpperCase() === "Z") {
+            parts.offset = 0;
+          } else {
+            const [, sign, h, m = "0"] = /^([+-])(\d{1,2}):?(\d{2})?$/.exec(value);
+            parts.offset = (sign === "-" ? -1 : 1) * (Number(h) * 60 + Number(m));
+          }
+        }
+      }
+    });
+    if (parts.pm !== null) {
+      parts.hour = parts.hour % 12 + (parts.pm ? 12 : 0);
+    }
+    if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > SaladDate.DaysInMonth(parts.year, parts.month) ||
+        parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+      throw fail();
+    }
+
+    let date;
+    if (parts.offset === null) {
+      date = new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.ms);
+      date.setFullYear(parts.year); // years 0-99 would otherwise map to 1900-1999
+    } else {
+      const utc = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.ms));
+      utc.setUTCFullYear(parts.year);
+      date = new Date(utc.valueOf() - parts.offset * MsPer.Minute);
+    }
+    return new SaladDate(date);
+  }
+
+  /**
+   * Like `ParseExact`, but returns `null` instead of throwing.
+   * @param {string|SaladString} text
+   * @param {string|SaladString} pattern
+   * @returns {SaladDate|null}
+   */
+  static TryParseExact(text, pattern) {
+    try {
+      return SaladDate.ParseExact(text, pattern);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Parses a date in one of the culture-invariant forms: ISO 8601
+   * (`2024-03-01`, `2024-03-01T14:30:00.5Z`, a space instead of `T`, an
+   * optional offset) or `MM/dd/yyyy [HH:mm[:ss]]`. Without an offset the
+   * date is taken as local time.
+   *
+   * @param {string|SaladString} text - The text to parse.
+   * @returns {SaladDate}
+   * @throws {TypeError} If the text is not a valid date.
+   */
+  static Parse(text) {
+    const raw = stringArgument(text, "text").trim();
+    for (const pattern of invariantDatePatterns) {
+      const date = SaladDate.TryParseExact(raw, pattern);
+      if (date) {
+        return date;
+      }
+    }
+    throw new TypeError(`String '${raw}' was not recognized as a valid DateTime.`);
+  }
+
+  /**
+   * Like `Parse`, but returns `null` instead of throwing.
+   * @param {string|SaladString} text
+   * @returns {SaladDate|null}
+   */
+  static TryParse(text) {
+    try {
+      return SaladDate.Parse(text);
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Returns true if a property key is a canonical array index ("0", "1", ...).
+ * @private
+ */
+function isIndexKey(prop) {
+  return typeof prop === "string" && /^(0|[1-9]\d*)$/.test(prop);
+}
+
+/**
+ * Reads a predicate result, unwrapping a SaladBool.
+ * @private
+ */
+function isTruthy(result) {
+  return isAssignableTo(result, "Bool") ? result.valueOf() : Boolean(result);
+}
+
+/**
+ * Proxy handler giving SaladArray instances indexer access (`arr[0]`,
+ * `arr[0] = value`), with assignments type-checked.
+ * @private
+ */
+const arrayIndexer = {
+  get(target, prop, receiver) {
+    return isIndexKey(prop) ? target._items[Number(prop)] : Reflect.get(target, prop, receiver);
+  },
+  set(target, prop, value, receiver) {
+    if (isIndexKey(prop)) {
+      target.set(Number(prop), value);
+      return true;
+    }
+    return Reflect.set(target, prop, value, receiver);
+  },
+  has(target, prop) {
+    return isIndexKey(prop) ? Number(prop) < target._items.length : Reflect.has(target, prop);
+  }
+};
+
+/**
+ * A basic array-like type in TypeSalad.
+ *
+ * With an element type (`new SaladArray(items, 'Int')`) every element is
+ * checked on construction, `push` and index assignment, and the type reads
+ * `Array<Int>`. Elements can be read and assigned with `arr[i]`, and the
+ * array is iterable.
+ *
+ * @class SaladArray
+ * @extends TypeSalad
+ */
+class SaladArray extends TypeSalad {
+  /**
+   * @param {Iterable<any>} [items=[]] - Initial items in the array (copied).
+   * @param {string|SaladInterface} [elementType] - The type every element must be assignable to.
+   * @throws {TypeError} If an item doesn't match the element type.
+   */
+  constructor(items = [], elementType) {
+    super();
+
+    /**
+     * The element type, or null for an untyped array.
+     * @type {string|null}
+     * @private
+     */
+    this._elementType = elementType === undefined || elementType === null ? null : typeArgName(elementType);
+
+    /**
+     * The generic arguments (`[elementType]`, or empty when untyped).
+     * @type {string[]}
+     */
+    this.genericArguments = this._elementType ? [this._elementType] : [];
+    this.type = this._elementType ? `Array<${this._elementType}>` : "Array";
+    this._items = [];
+    for (const item of items) {
+      this._items.push(this._check(item));
+    }
+    return new Proxy(this, arrayIndexer);
+  }
+
+  /**
+   * Ensures a value matches the element type (if any).
+   * @param {any} value
+   * @returns {any} The value to store (wrapped for a `Nullable<T>` element type).
+   * @throws {TypeError} If it doesn't.
+   * @private
+   */
+  _check(value) {
+    if (this._elementType && !isAssignableTo(value, this._elementType)) {
+      throw new TypeError(`${this.type} expected type '${this._elementType}', got '${value?.type ?? typeof value}'.`);
+    }
+    return liftNullable(value, this._elementType ?? undefined);
+  }
+
+  /**
+   * The element type, or null for an untyped array.
+   * @type {string|null}
+   * @readonly
+   */
+  get elementType() {
+    return this._elementType;
+  }
+
+  /**
+   * Pushes items onto the end of the array.
+   * @param {...any} items - The items to add.
+   * @throws {TypeError} If an item doesn't match the element type.
+   */
+  push(...items) {
+    this._items.push(...items.map(item => this._check(item)));
+  }
+
+  /**
+   * Removes and returns the last item in the array.
+   * @returns {any} The removed item.
+   */
+  pop() {
+    return this._items.pop();
+  }
+
+  /**
+   * Returns the item at an index.
+   * @param {number|SaladInteger} index
+   * @returns {any}
+   * @throws {RangeError} If the index is out of range.
+   */
+  get(index) {
+    const i = integerArgument(index, "index");
+    if (i < 0 || i >= this._items.length) {
+      throw new RangeError(`Index ${i} is out of range for an array of length ${this._items.length}.`);
+    }
+    return this._items[i];
+  }
+
+  /**
+   * Replaces the item at an index (also used by `arr[i] = value`).
+   * @param {number|SaladInteger} index
+   * @param {any} value
+   * @throws {RangeError} If the index is out of range.
+   * @throws {TypeError} If the value doesn't match the element type.
+   */
+  set(index, value) {
+    const i = integerArgument(index, "index");
+    if (i < 0 || i >= this._items.length) {
+      throw new RangeError(`Index ${i} is out of range for an array of length ${this._items.length}.`);
+    }
+    this._items[i] = this._check(value);
+  }
+
+  /**
+   * The current length of the array.
+   * @type {number}
+   * @readonly
+   */
+  get length() {
+    return this._items.length;
+  }
+
+  /**
+   * Returns a shallow copy of a portion of the array.
+   * @param {...any} args - Same parameters as `Array.prototype.slice`.
+   * @returns {SaladArray} A new SaladArray instance containing the sliced portion.
+   */
+  slice(...args) {
+    return new SaladArray(this._items.slice(...args), this._elementType);
+  }
+
+  /**
+   * Calls a function for each item.
+   * @param {function(any, number, SaladArray): void} action
+   */
+  forEach(action) {
+    this._items.forEach((item, i) => action(item, i, this));
+  }
+
+  /**
+   * Projects each item into a new SaladArray. The result takes `elementType`
+   * if given, or otherwise the common `.type` of the results (untyped if
+   * they differ or aren't typed values).
+   *
+   * @param {function(any, number, SaladArray): any} selector
+   * @param {string|SaladInterface} [elementType] - The result's element type.
+   * @returns {SaladArray}
+   */
+  map(selector, elementType) {
+    const results = this._items.map((item, i) => selector(item, i, this));
+    if (elementType === undefined && results.length > 0) {
+      const first = results[0]?.type;
+      if (first !== undefined && results.every(r => r?.type === first)) {
+        elementType = first;
+      }
+    }
+    return new SaladArray(results, elementType);
+  }
+
+  /**
+   * Returns a new SaladArray (with the same element type) of the items
+   * matching a predicate. The predicate may return a boolean or a SaladBool.
+   *
+   * @param {function(any, number, SaladArray): (boolean|SaladBool)} predicate
+   * @returns {SaladArray}
+   */
+  filter(predicate) {
+    return new SaladArray(this._items.filter((item, i) => isTruthy(predicate(item, i, this))), this._elementType);
+  }
+
+  /**
+   * Folds the items into a single value.
+   * @param {function(any, any, number, SaladArray): any} reducer
+   * @param {any} initialValue
+   * @returns {any}
+   */
+  reduce(reducer, initialValue) {
+    return this._items.reduce((acc, item, i) => reducer(acc, item, i, this), initialValue);
+  }
+
+  /**
+   * Returns the first item matching a predicate, or undefined.
+   * @param {function(any, number, SaladArray): (boolean|SaladBool)} predicate
+   * @returns {any}
+   */
+  find(predicate) {
+    return this._items.find((item, i) => isTruthy(predicate(item, i, this)));
+  }
+
+  /**
+   * Checks whether any item matches a predicate.
+   * @param {function(any, number, SaladArray): (boolean|SaladBool)} predicate
+   * @returns {boolean}
+   */
+  some(predicate) {
+    return this._items.some((item, i) => isTruthy(predicate(item, i, this)));
+  }
+
+  /**
+   * Checks whether every item matches a predicate.
+   * @param {function(any, number, SaladArray): (boolean|SaladBool)} predicate
+   * @returns {boolean}
+   */
+  every(predicate) {
+    return this._items.every((item, i) => isTruthy(predicate(item, i, this)));
+  }
+
+  /**
+   * Returns the index of the first item equal to `value` (by `equals`), or -1.
+   * @param {any} value
+   * @returns {number}
+   */
+  indexOf(value) {
+    return this._items.findIndex(item => TypeSalad.equals(item, value));
+  }
+
+  /**
+   * Checks whether an item equal to `value` (by `equals`) is present.
+   * @param {any} value
+   * @returns {boolean}
+   */
+  includes(value) {
+    return this.indexOf(value) !== -1;
+  }
+
+  /**
+   * Returns the items as a new plain array.
+   * @returns {Array<any>}
+   */
+  toArray() {
+    return [...this._items];
+  }
+
+  /**
+   * Iterates over the items.
+   * @returns {Iterator<any>}
+   */
+  [Symbol.iterator]() {
+    return this._items[Symbol.iterator]();
+  }
+
+  /**
+   * Returns a string representation of the array.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(`[${this._items.map(el => el?.toString?.() || el).join(", ")}]`);
+  }
+
+  /**
+   * Returns a copy of the items for numeric or other operations, so the
+   * element type can't be bypassed through it.
+   * @returns {Array<any>}
+   */
+  valueOf() {
+    return this.toArray();
+  }
+
+  /**
+   * Checks element-wise equality with another SaladArray.
+   * @param {any} other - The value to compare against.
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other?.type === this.type && TypeSalad.equals(this._items, other.valueOf());
+  }
+
+  /**
+   * Orders arrays lexicographically by their elements, then by length.
+   * @param {SaladArray} other - The array to compare against.
+   * @returns {number}
+   * @throws {TypeError} If `other` is not a SaladArray or holds incomparable elements.
+   */
+  compareTo(other) {
+    if (other?.type !== this.type) {
+      throw new TypeError(`compareTo expected '${this.type}', got '${other?.type}'.`);
+    }
+    return TypeSalad.compare(this._items, other.valueOf());
+  }
+
+  /**
+   * Returns a hash code built from the elements' hash codes.
+   * @returns {number}
+   */
+  hashCode() {
+    return TypeSalad.hash(this._items);
+  }
+}
+
+/***************************************************************
+ * Observable Properties
+ * - Change notification (like C#'s INotifyPropertyChanging /
+ *   INotifyPropertyChanged), batching and computed properties
+ ***************************************************************/
+
+/**
+ * Dependency frames of the computed properties being evaluated, innermost
+ * last. Each frame maps a notifier to the property names read from it.
+ * @type {Array<Map<PropertyNotifier, Set<string>>>}
+ * @private
+ */
+const dependencyFrames = [];
+
+/**
+ * The nesting depth of `batch` calls.
+ * @type {number}
+ * @private
+ */
+let batchDepth = 0;
+
+/**
+ * Changes made inside a batch, reported when it ends: notifier -> property
+ * name -> the value before the batch and the latest value.
+ * @type {Map<PropertyNotifier, Map<string, {oldValue: any, newValue: any}>>}
+ * @private
+ */
+const pendingChanges = new Map();
+
+/**
+ * Notifiers holding computed properties that went stale and still have to
+ * report whether their value changed.
+ * @type {Set<PropertyNotifier>}
+ * @private
+ */
+const staleNotifiers = new Set();
+
+/**
+ * Raises the change events of one observable object and keeps its computed
+ * properties up to date.
+ *
+ * @class PropertyNotifier
+ * @private
+ */
+class PropertyNotifier {
+  /**
+   * @param {object} owner - The observable object (the `sender` of its events).
+   * @param {Object.<string, Function>} [computed={}] - Computed properties: name -> `(owner) => value`.
+   */
+  constructor(owner, computed = {}) {
+    this.owner = owner;
+    this.events = new EventEmitter();
+
+    /** @type {Map<string, any>} Property values, for classes made with `makeObservable`. */
+    this.values = new Map();
+
+    /** @type {Map<string, Function>} */
+    this.computed = new Map(Object.entries(computed));
+
+    /** @type {Map<string, any>} The last evaluated value of each computed property. */
+    this.cache = new Map();
+
+    /** @type {Set<string>} Computed properties whose dependencies changed. */
+    this.stale = new Set();
+
+    /** @type {Map<string, any>} The value stale computed properties last reported. */
+    this.previous = new Map();
+
+    /** @type {Map<string, Map<PropertyNotifier, Set<string>>>} What each computed property read. */
+    this.dependencies = new Map();
+
+    /**
+     * The computed properties that read each property, by their notifier.
+     * The notifiers are held weakly, so reading another object's property
+     * doesn't keep the reader alive; dead entries are dropped as they're found.
+     * @type {Map<string, Map<WeakRef<PropertyNotifier>, Set<string>>>}
+     */
+    this.dependents = new Map();
+
+    /** @type {WeakRef<PropertyNotifier>} This notifier's key in other notifiers' `dependents`. */
+    this.ref = new WeakRef(this);
+
+    /** @type {Set<string>} Computed properties being evaluated, to catch cycles. */
+    this.evaluating = new Set();
+  }
+
+  /**
+   * Records that a property was read, if a computed property is being evaluated.
+   * @param {string} name
+   */
+  track(name) {
+    const frame = dependencyFrames[dependencyFrames.length - 1];
+    if (frame) {
+      if (!frame.has(this)) {
+        frame.set(this, new Set());
+      }
+      frame.get(this).add(name);
+    }
+  }
+
+  /**
+   * Returns a computed property's value, evaluating it if needed.
+   * @param {string} name
+   * @returns {any}
+   * @throws {Error} If the property depends on itself.
+   */
+  read(name) {
+    this.track(name);
+    if (this.cache.has(name) && !this.stale.has(name)) {
+      return this.cache.get(name);
+    }
+    if (this.evaluating.has(name)) {
+      throw new Error(`Computed property '${name}' depends on itself.`);
+    }
+    const frame = new Map();
+    dependencyFrames.push(frame);
+    this.evaluating.add(name);
+    let value;
+    try {
+      value = this.computed.get(name)(this.owner);
+    } finally {
+      dependencyFrames.pop();
+      this.evaluating.delete(name);
+    }
+
+    for (const [source, names] of this.dependencies.get(name) ?? []) {
+      for (const sourceName of names) {
+        const readers = source.dependents.get(sourceName)?.get(this.ref);
+        readers?.delete(name);
+        if (readers?.size === 0) {
+          source.dependents.get(sourceName).delete(this.ref);
+        }
+      }
+    }
+    for (const [source, names] of frame) {
+      for (const sourceName of names) {
+        if (!source.dependents.has(sourceName)) {
+          source.dependents.set(sourceName, new Map());
+        }
+        const byNotifier = source.dependents.get(sourceName);
+        if (!byNotifier.has(this.ref)) {
+          for (const ref of byNotifier.keys()) {
+            if (ref.deref() === undefined) {
+              byNotifier.delete(ref);
+            }
+          }
+          byNotifier.set(this.ref, new Set());
+        }
+        byNotifier.get(this.ref).add(name);
+      }
+    }
+    this.dependencies.set(name, frame);
+    this.cache.set(name, value);
+    this.stale.delete(name);
+    return value;
+  }
+
+  /**
+   * Applies a change to a property and raises its events. Nothing happens
+   * if the new value equals the current one.
+   *
+   * @param {string} name - The property name.
+   * @param {any} oldValue - The current value.
+   * @param {any} newValue - The new value.
+   * @param {Function} apply - Stores the new value.
+   */
+  change(name, oldValue, newValue, apply) {
+    if (TypeSalad.equals(oldValue, newValue)) {
+      return;
+    }
+    this.raise("propertyChanging", name, oldValue, newValue);
+    apply();
+    if (batchDepth > 0) {
+      if (!pendingChanges.has(this)) {
+        pendingChanges.set(this, new Map());
+      }
+      const pending = pendingChanges.get(this);
+      pending.set(name, { oldValue: pending.has(name) ? pending.get(name).oldValue : oldValue, newValue });
+      this.invalidate(name);
+      return;
+    }
+    this.raise("propertyChanged", name, oldValue, newValue);
+    this.invalidate(name);
+    flushComputed();
+  }
+
+  /**
+   * Marks the computed properties that read `name` (directly or through
+   * other computed properties) as stale.
+   * @param {string} name
+   */
+  invalidate(name) {
+    const byNotifier = this.dependents.get(name);
+    for (const [ref, names] of byNotifier ?? []) {
+      const dependent = ref.deref();
+      if (dependent === undefined) {
+        byNotifier.delete(ref);
+        continue;
+      }
+      for (const computedName of names) {
+        if (!dependent.stale.has(computedName)) {
+          dependent.stale.add(computedName);
+          if (!dependent.previous.has(computedName)) {
+            dependent.previous.set(computedName, dependent.cache.get(computedName));
+          }
+          staleNotifiers.add(dependent);
+          dependent.invalidate(computedName);
+        }
+      }
+    }
+  }
+
+  /**
+   * Emits a change event.
+   * @param {string} eventName - `'propertyChanging'` or `'propertyChanged'`.
+   * @param {string} propertyName
+   * @param {any} oldValue
+   * @param {any} newValue
+   */
+  raise(eventName, propertyName, oldValue, newValue) {
+    this.events.emit(eventName, { sender: this.owner, propertyName, oldValue, newValue });
+  }
+}
+
+/**
+ * Re-evaluates stale computed properties and reports the ones whose value
+ * changed. Computed properties raise both events after re-evaluating.
+ * @private
+ */
+function flushComputed() {
+  while (staleNotifiers.size > 0) {
+    const [notifier] = staleNotifiers;
+    staleNotifiers.delete(notifier);
+    for (const [name, oldValue] of [...notifier.previous]) {
+      notifier.previous.delete(name);
+      const newValue = notifier.read(name);
+      if (!TypeSalad.equals(oldValue, newValue)) {
+        notifier.raise("propertyChanging", name, oldValue, newValue);
+        notifier.raise("propertyChanged", name, oldValue, newValue);
+      }
+    }
+  }
+}
+
+/**
+ * Runs `fn` with change notifications batched: `propertyChanging` is still
+ * raised for every change, but `propertyChanged` is raised once per
+ * property when the outermost batch ends (with the value from before the
+ * batch as `oldValue`), and not at all if the property ended up back at its
+ * old value. Computed properties are re-evaluated once, at the end.
+ *
+ * @function batch
+ * @param {Function} fn - The code making the changes.
+ * @returns {any} Whatever `fn` returns.
+ */
+function batch(fn) {
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    batchDepth--;
+    if (batchDepth === 0) {
+      const changes = [...pendingChanges];
+      pendingChanges.clear();
+      for (const [notifier, properties] of changes) {
+        for (const [name, { oldValue, newValue }] of properties) {
+          if (!TypeSalad.equals(oldValue, newValue)) {
+            notifier.raise("propertyChanged", name, oldValue, newValue);
+          }
+        }
+      }
+      flushComputed();
+    }
+  }
+}
+
+/**
+ * The notifiers of instances of classes made with `makeObservable`.
+ * @type {WeakMap<object, PropertyNotifier>}
+ * @private
+ */
+const instanceNotifiers = new WeakMap();
+
+/**
+ * Returns a subclass of `BaseClass` with typed, observable properties, like
+ * a C# class implementing `INotifyPropertyChanged`:
+ *
+ *     const Person = makeObservable(class extends TypeSalad {
+ *       constructor(first, last) { super(); this.first = first; this.last = last; this.type = 'Person'; }
+ *     }, { first: 'String', last: 'String' }, {
+ *       computed: { fullName: p => new SaladString(`${p.first} ${p.last}`) }
+ *     });
+ *     const person = new Person(new SaladString("Ada"), new SaladString("Lovelace"));
+ *     person.on('propertyChanged', e => console.log(e.propertyName, e.oldValue, e.newValue));
+ *
+ * Assigning a property checks its type and, if the value changed, raises
+ * `propertyChanging` before and `propertyChanged` after the change with
+ * `{ sender, propertyName, oldValue, newValue }`. Computed properties are
+ * read-only, re-evaluated when a property they read changes (on any
+ * observable object), and raise the same events when their value changes.
+ * They are evaluated lazily, though: until a computed property has been
+ * read once it has no known dependencies, so it raises no events. Read it
+ * (e.g. right after subscribing) to start tracking it.
+ *
+ * Assign the properties in the constructor rather than declaring them as
+ * class fields, which would hide the accessors.
+ *
+ * @function makeObservable
+ * @param {Function} BaseClass - The class to extend.
+ * @param {Object.<string, string|SaladInterface>} properties - The observable properties and their types.
+ * @param {Object} [options={}]
+ * @param {Object.<string, Function>} [options.computed] - Computed properties: name -> `(instance) => value`.
+ * @returns {Function} The observable class.
+ * @throws {TypeError} If `BaseClass` is not a class or a declaration is malformed.
+ */
+function makeObservable(BaseClass, properties, options = {}) {
+  if (typeof BaseClass !== "function") {
+    throw new TypeError("makeObservable expects a class.");
+  }
+  if (!isPlainObject(properties)) {
+    throw new TypeError("makeObservable expects an object of property types.");
+  }
+  const computed = options.computed ?? {};
+  for (const [name, fn] of Object.entries(computed)) {
+    if (typeof fn !== "function" || Object.hasOwn(properties, name)) {
+      throw new TypeError(`Computed property '${name}' must be a function and not also a plain property.`);
+    }
+  }
+
+  const Observable = class extends BaseClass {
+    /**
+     * Adds a listener for `propertyChanging` or `propertyChanged`.
+     * @param {string} eventName
+     * @param {Function} listener - Called with `{ sender, propertyName, oldValue, newValue }`.
+     * @returns {this}
+     */
+    on(eventName, listener) {
+      notifierFor(this).events.on(eventName, listener);
+      return this;
+    }
+
+    /**
+     * Adds a listener that is removed after it runs once.
+     * @param {string} eventName
+     * @param {Function} listener
+     * @returns {this}
+     */
+    once(eventName, listener) {
+      notifierFor(this).events.once(eventName, listener);
+      return this;
+    }
+
+    /**
+     * Removes a listener added with `on` or `once`.
+     * @param {string} eventName
+     * @param {Function} [listener] - Omit to remove every listener of the event.
+     * @returns {this}
+     */
+    off(eventName, listener) {
+      notifierFor(this).events.off(eventName, listener);
+      return this;
+    }
+  };
+  const notifierFor = instance => {
+    if (!instanceNotifiers.has(instance)) {
+      instanceNotifiers.set(instance, new PropertyNotifier(instance, computed));
+    }
+    return instanceNotifiers.get(instance);
+  };
+
+  for (const [name, typeArg] of Object.entries(properties)) {
+    const type = typeArgName(typeArg);
+    Object.defineProperty(Observable.prototype, name, {
+      get() {
+        const notifier = notifierFor(this);
+        notifier.track(name);
+        return notifier.values.get(name);
+      },
+      set(value) {
+        if (!isAssignableTo(value, type)) {
+          throw new TypeError(`Property '${name}' was type '${value?.type ?? typeof value}', expected '${type}'.`);
+        }
+        const notifier = notifierFor(this);
+        const lifted = liftNullable(value, type);
+        notifier.change(name, notifier.values.get(name), lifted, () => notifier.values.set(name, lifted));
+      },
+      configurable: true
+    });
+  }
+  for (const name of Object.keys(computed)) {
+    Object.defineProperty(Observable.prototype, name, {
+      get() {
+        return notifierFor(this).read(name);
+      },
+      set() {
+        throw new TypeError(`Property '${name}' is computed and read-only.`);
+      },
+      configurable: true
+    });
+  }
+  Object.defineProperty(Observable, "name", { value: BaseClass.name });
+  return Observable;
+}
+
+/**
+ * Converts raw (JSON or form) data into a value of the given type, e.g. a
+ * number or numeric string into a `SaladInt` (strings go through the type's
+ * culture-invariant `Parse`), an array into a `List<String>`, or an object
+ * into a record. Values that already have the type are returned unchanged,
+ * and typed values can take a registered implicit conversion.
+ *
+ * @param {any} value - The raw value.
+ * @param {string} typeName - The target type.
+ * @param {string} path - The property path, for error messages.
+ * @returns {any}
+ * @throws {TypeError} If the value can't be converted.
+ * @private
+ */
+function coerceToType(value, typeName, path) {
+  const nullableOf = nullableArgument(typeName);
+  if (nullableOf !== undefined && !(value instanceof SaladNullable)) {
+    return new SaladNullable(nullableOf, value == null ? null : coerceToType(value, nullableOf, path));
+  }
+  if (isAssignableTo(value, typeName)) {
+    return value;
+  }
+  const fail = reason => new TypeError(
+    `Property '${path}' was type '${value?.type ?? typeof value}', expected '${typeName}'${reason ? `: ${reason}` : "."}`
+  );
+  const info = findType(typeName);
+  if (!info || value === null || value === undefined) {
+    throw fail();
+  }
+  const ctor = info.ctor;
+  const [arg0, arg1] = info.genericArguments;
+  try {
+    const implicit = value instanceof TypeSalad ? findConversion(value, typeName, true) : null;
+    if (implicit) {
+      return implicit.convert(value, implicit.target);
+    }
+    if (ctor === SaladString || ctor.prototype instanceof SaladString) {
+      if (typeof value === "string") return new ctor(value);
+    } else if (ctor.prototype instanceof SaladInteger) {
+      if (typeof value === "number") return new ctor(ctor.Wide ? BigInt(value) : value);
+      if (typeof value === "string") return ctor.Parse(value);
+    } else if (ctor === SaladFloat || ctor.prototype instanceof SaladFloat) {
+      if (typeof value === "number") return new ctor(value);
+      if (typeof value === "string") return ctor.Parse(value);
+    } else if (ctor === SaladDecimal || ctor.prototype instanceof SaladDecimal) {
+      if (typeof value === "number" || typeof value === "string") return new ctor(value.trim?.() ?? value);
+    } else if (ctor === SaladBool || ctor.prototype instanceof SaladBool) {
+      if (typeof value === "boolean") return new ctor(value);
+      if (typeof value === "string") return value.trim().toLowerCase() === "on" ? new ctor(true) : ctor.Parse(value);
+    } else if (ctor === SaladDate || ctor.prototype instanceof SaladDate) {
+      if (typeof value === "number") return new ctor(value);
+      if (typeof value === "string") return ctor.Parse(value);
+    } else if (ctor === SaladTimeSpan || ctor.prototype instanceof SaladTimeSpan) {
+      if (typeof value === "number") return new ctor(value);
+      if (typeof value === "string") return ctor.Parse(value);
+    } else if (ctor === SaladArray || ctor.prototype instanceof SaladArray) {
+      if (Array.isArray(value)) {
+        return new ctor(arg0 ? value.map((item, i) => coerceToType(item, arg0, `${path}[${i}]`)) : value, arg0);
+      }
+    } else if (ctor === SaladDictionary || ctor.prototype instanceof SaladDictionary) {
+      if (isPlainObject(value)) {
+        return new ctor(arg0, arg1, Object.entries(value).map(([key, item]) =>
+          [coerceToType(key, arg0, `${path}.${key}`), coerceToType(item, arg1, `${path}.${key}`)]));
+      }
+    } else if (ctor.prototype instanceof SaladCollection) {
+      if (Array.isArray(value)) {
+        return new ctor(arg0, value.map((item, i) => coerceToType(item, arg0, `${path}[${i}]`)));
+      }
+    } else if (ctor === SaladObject || ctor.prototype instanceof SaladObject) {
+      if (isPlainObject(value)) return new ctor(value);
+    } else if (enumTypes.has(ctor)) {
+      if (typeof value === "number") return ctor.fromValue(value);
+      if (typeof value === "string") return ctor.parse(value);
+    } else if (Object.keys(info.fields).length > 0 && isPlainObject(value)) {
+      return new ctor(...Object.entries(info.fields).map(([field, type]) =>
+        coerceToType(value[field], type, `${path}.${field}`)));
+    }
+  } catch (err) {
+    throw err.message.startsWith("Property '") ? err : fail(err.message.replace(/^Error: /, ""));
+  }
+  throw fail();
+}
+
+/**
+ * Proxy handler giving schema objects dot access (`obj.name`). Names of
+ * SaladObject members (`type`, `get`, `set`, ...) keep their usual meaning.
+ * @private
+ */
+const objectDotAccess = {
+  get(target, prop, receiver) {
+    return typeof prop === "symbol" || prop in target ? Reflect.get(target, prop, receiver) : target.get(prop);
+  },
+  set(target, prop, value, receiver) {
+    if (typeof prop === "symbol" || prop in target) {
+      return Reflect.set(target, prop, value, receiver);
+    }
+    target.set(prop, value);
+    return true;
+  },
+  has(target, prop) {
+    return prop in target || Object.hasOwn(target._obj, prop) || Boolean(target._notifier?.computed.has(prop));
+  }
+};
+
+/**
+ * A key–value dictionary in TypeSalad that can store typed or untyped data.
+ *
+ * Created with a `schema` (`{ name: 'String', age: 'Int', tags: 'List<String>' }`)
+ * the object is validated: every schema key is required unless listed in
+ * `optional`, values must be assignable to their declared types (on
+ * construction and on `set`), and keys outside the schema are rejected
+ * unless `allowUnknown` is set. `dotAccess` adds `obj.name`-style access.
+ *
+ * With `observable` (or `computed`), `set` raises `propertyChanging` and
+ * `propertyChanged` (see `makeObservable`); listen with `on`. `computed`
+ * adds read-only properties (`get('fullName')`) that track what they read
+ * once they have been read (see `makeObservable`).
+ *
+ * @class SaladObject
+ * @extends TypeSalad
+ */
+class SaladObject extends TypeSalad {
+  /**
+   * @param {Object} [obj={}] - The initial plain object (copied in schema mode).
+   * @param {Object} [options={}]
+   * @param {Object.<string, string|SaladInterface>} [options.schema] - Property types.
+   * @param {string[]} [options.optional=[]] - Schema keys that may be missing.
+   * @param {boolean} [options.allowUnknown=false] - Accept keys outside the schema (unchecked).
+   * @param {boolean} [options.dotAccess=false] - Allow `obj.key` reads and writes through a Proxy.
+   * @param {boolean} [options.observable=false] - Raise change events from `set`.
+   * @param {Object.<string, Function>} [options.computed] - Computed properties: name -> `(obj) => value` (implies `observable`).
+   * @throws {TypeError} If `obj` is not a plain object, or doesn't match the schema.
+   */
+  constructor(obj = {}, options = {}) {
+    super();
+    if (typeof obj !== "object" || obj === null || Array.isArray(obj)) {
+      throw new TypeError("SaladObject expects a plain object.");
+    }
+    const { schema, optional = [], allowUnknown = false, dotAccess = false, observable = false, computed } = options;
+
+    /**
+     * Raises change events, or null if the object is not observable.
+     * @type {PropertyNotifier|null}
+     * @private
+     */
+    this._notifier = null;
+
+    /**
+     * The property types, or null without a schema.
+     * @type {Object.<string, string>|null}
+     * @private
+     */
+    this._schema = schema ? Object.freeze(Object.fromEntries(
+      Object.entries(schema).map(([key, type]) => [key, typeArgName(type)])
+    )) : null;
+
+    /**
+     * Schema keys that may be missing.
+     * @type {Set<string>}
+     * @private
+     */
+    this._optional = new Set(optional);
+
+    /**
+     * Whether keys outside the schema are accepted.
+     * @type {boolean}
+     * @private
+     */
+    this._allowUnknown = Boolean(allowUnknown);
+    this._dotAccess = Boolean(dotAccess);
+    this.type = "Object";
+
+    if (this._schema) {
+      for (const key of this._optional) {
+        if (!Object.hasOwn(this._schema, key)) {
+          throw new TypeError(`Optional property '${key}' is not declared in the schema.`);
+        }
+      }
+      this._obj = {};
+      for (const [key, value] of Object.entries(obj)) {
+        this.set(key, value);
+      }
+      for (const key of Object.keys(this._schema)) {
+        if (!this._optional.has(key) && this._obj[key] === undefined) {
+          throw new TypeError(`Missing required property '${key}' of type '${this._schema[key]}'.`);
+        }
+      }
+    } else {
+      this._obj = obj;
+    }
+    const self = this._dotAccess ? new Proxy(this, objectDotAccess) : this;
+    if (observable || computed) {
+      for (const [name, fn] of Object.entries(computed ?? {})) {
+        if (typeof fn !== "function" || Object.hasOwn(this._obj, name) || Object.hasOwn(this._schema ?? {}, name)) {
+          throw new TypeError(`Computed property '${name}' must be a function and not also a plain property.`);
+        }
+      }
+      this._notifier = new PropertyNotifier(self, computed);
+    }
+    return self;
+  }
+
+  /**
+   * Creates a schema object from raw data (e.g. parsed JSON or form
+   * fields), converting each value to its schema type first: numbers or
+   * numeric strings to integers, strings to dates, arrays to lists, objects
+   * to records, and so on.
+   *
+   * @param {Object} data - The raw data.
+   * @param {Object} options - The same options as the constructor; `schema` is required.
+   * @returns {SaladObject}
+   * @throws {TypeError} If a value can't be converted or the data doesn't match the schema.
+   */
+  static FromPlain(data, options) {
+    if (!options?.schema) {
+      throw new TypeError("FromPlain requires a schema.");
+    }
+    if (!isPlainObject(data)) {
+      throw new TypeError(`FromPlain expected a plain object, got '${data?.type ?? typeof data}'.`);
+    }
+    const converted = {};
+    for (const [key, value] of Object.entries(data)) {
+      const type = Object.hasOwn(options.schema, key) ? typeArgName(options.schema[key]) : null;
+      converted[key] = type && value !== undefined ? coerceToType(value, type, key) : value;
+    }
+    return new SaladObject(converted, options);
+  }
+
+  /**
+   * The property types, or null if the object has no schema.
+   * @type {Object.<string, string>|null}
+   * @readonly
+   */
+  get schema() {
+    return this._schema;
+  }
+
+  /**
+   * Retrieves a value by key from the object.
+   * @param {string} key - The property key.
+   * @returns {any} The value stored under that key.
+   */
+  get(key) {
+    if (this._notifier) {
+      if (this._notifier.computed.has(key)) {
+        return this._notifier.read(key);
+      }
+      this._notifier.track(key);
+    }
+    return this._obj[key];
+  }
+
+  /**
+   * Sets a value by key in the object. With a schema, the value must match
+   * the key's declared type.
+   *
+   * @param {string} key - The property key.
+   * @param {any} value - The value to store.
+   * @throws {TypeError} If the key is not in the schema or the value has the wrong type.
+   */
+  set(key, value) {
+    if (this._notifier?.computed.has(key)) {
+      throw new TypeError(`Property '${key}' is computed and read-only.`);
+    }
+    if (this._schema) {
+      if (!Object.hasOwn(this._schema, key)) {
+        if (!this._allowUnknown) {
+          throw new TypeError(`Property '${key}' is not declared in the schema.`);
+        }
+      } else if (value === undefined ? !this._optional.has(key) : !isAssignableTo(value, this._schema[key])) {
+        throw new TypeError(
+          `Property '${key}' was type '${value?.type ?? typeof value}', expected '${this._schema[key]}'.`
+        );
+      } else if (value !== undefined) {
+        value = liftNullable(value, this._schema[key]);
+      }
+    }
+    if (this._notifier) {
+      this._notifier.change(key, this._obj[key], value, () => {
+        this._obj[key] = value;
+      });
+    } else {
+      this._obj[key] = value;
+    }
+  }
+
+  /**
+   * Adds a listener for `propertyChanging` or `propertyChanged`.
+   *
+   * @param {string} eventName
+   * @param {Function} listener - Called with `{ sender, propertyName, oldValue, newValue }`.
+   * @returns {SaladObject} This object.
+   * @throws {TypeError} If the object was not created with `observable` or `computed`.
+   */
+  on(eventName, listener) {
+    if (!this._notifier) {
+      throw new TypeError("SaladObject is not observable; create it with { observable: true }.");
+    }
+    this._notifier.events.on(eventName, listener);
+    return this;
+  }
+
+  /**
+   * Adds a listener that is removed after it runs once.
+   *
+   * @param {string} eventName
+   * @param {Function} listener
+   * @returns {SaladObject} This object.
+   * @throws {TypeError} If the object is not observable.
+   */
+  once(eventName, listener) {
+    if (!this._notifier) {
+      throw new TypeError("SaladObject is not observable; create it with { observable: true }.");
+    }
+    this._notifier.events.once(eventName, listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener added with `on` or `once`.
+   *
+   * @param {string} eventName
+   * @param {Function} [listener] - Omit to remove every listener of the event.
+   * @returns {SaladObject} This object.
+   */
+  off(eventName, listener) {
+    this._notifier?.events.off(eventName, listener);
+    return this;
+  }
+
+  /**
+   * Returns a JSON string representation of the object.
+   * @returns {string}
+   */
+  toString() {
+    return new SaladString(JSON.stringify(this._obj));
+  }
+
+  /**
+   * Returns the underlying plain object.
+   * @returns {Object}
+   */
+  valueOf() {
+    return this._obj;
+  }
+
+  /**
+   * Checks key-wise equality with another SaladObject.
+   * @param {any} other - The value to compare against.
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other?.type === this.type && TypeSalad.equals(this._obj, other.valueOf());
+  }
+
+  /**
+   * Objects have no natural ordering.
+   * @throws {TypeError} Always.
+   */
+  compareTo(other) {
+    throw new TypeError(`Type '${this.type}' is not comparable.`);
+  }
+
+  /**
+   * Returns a hash code built from the keys and their values' hash codes.
+   * @returns {number}
+   */
+  hashCode() {
+    return TypeSalad.hash(this._obj);
+  }
+}
+
+/**
+ * A fixed-length, immutable group of values (like a C# tuple).
+ * Tuples are iterable, so they support array destructuring.
+ *
+ * @class SaladTuple
+ * @extends TypeSalad
+ */
+class SaladTuple extends TypeSalad {
+  /**
+   * @param {...any} items - The tuple's items.
+   */
+  constructor(...items) {
+    super();
+    this._items = Object.freeze(items);
+    this.type = "Tuple";
+    Object.freeze(this);
+  }
+
+  /**
+   * The number of items in the tuple.
+   * @type {number}
+   * @readonly
+   */
+  get length() {
+    return this._items.length;
+  }
+
+  /**
+   * Returns the item at a zero-based position.
+   * @param {number} index - The position of the item.
+   * @returns {any}
+   * @throws {RangeError} If `index` is out of range.
+   */
+  item(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this._items.length) {
+      throw new RangeError(`Tuple index '${index}' is out of range.`);
+    }
+    return this._items[index];
+  }
+
+  /**
+   * Iterates over the tuple's items.
+   * @returns {Iterator<any>}
+   */
+  [Symbol.iterator]() {
+    return this._items[Symbol.iterator]();
+  }
+
+  /**
+   * Returns a string representation, e.g. `(1, Ada)`.
+   * @returns {SaladString}
+   */
+  toString() {
+    return new SaladString(`(${this._items.map(displayString).join(', ')})`);
+  }
+
+  /**
+   * Returns the (frozen) array of items.
+   * @returns {Array<any>}
+   */
+  valueOf() {
+    return this._items;
+  }
+
+  /**
+   * Checks item-wise equality with another tuple.
+   * @param {any} other - The value to compare against.
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other?.type === this.type && TypeSalad.equals(this._items, other.valueOf());
+  }
+
+  /**
+   * Orders tuples item by item.
+   * @param {SaladTuple} other - The tuple to compare against.
+   * @returns {number}
+   * @throws {TypeError} If `other` is not a tuple or holds incomparable items.
+   */
+  compareTo(other) {
+    if (other?.type !== this.type) {
+      throw new TypeError(`compareTo expected '${this.type}', got '${other?.type}'.`);
+    }
+    return TypeSalad.compare(this._items, other.valueOf());
+  }
+
+  /**
+   * Returns a hash code built from the items' hash codes.
+   * @returns {number}
+   */
+  hashCode() {
+    return TypeSalad.hash(this._items);
+  }
+
+  /**
+   * Returns the items as plain data for JSON serialization.
+   * @returns {Array<any>}
+   */
+  toJSON() {
+    return this._items.map(toPlain);
+  }
+}
+
+/***************************************************************
+ * Generic Collections
+ * - SaladList<T>, SaladDictionary<K,V>, SaladHashSet<T>,
+ *   SaladQueue<T>, SaladStack<T>
+ ***************************************************************/
+
+/**
+ * Returns the name of a generic type argument given as a name or interface.
+ * @param {string|SaladInterface} typeArg
+ * @returns {string}
+ * @private
+ */
+function typeArgName(typeArg) {
+  if (typeArg instanceof SaladInterface) {
+    return typeArg.name;
+  }
+  if (typeof typeArg !== "string" || typeArg === "") {
+    throw new TypeError(`Generic type argument must be a type name or interface, got '${typeof typeArg}'.`);
+  }
+  return normalizeTypeName(typeArg);
+}
+
+/**
+ * A hash table keyed by `TypeSalad.hash` / `TypeSalad.equals`, so equal typed
+ * values (not just identical references) find the same entry. Entries keep
+ * their insertion order.
+ *
+ * @class HashBuckets
+ * @private
+ */
+class HashBuckets {
+  constructor() {
+    /** @type {Map<number, Array<{key: any, value: any}>>} */
+    this._buckets = new Map();
+    /** @type {Array<{key: any, value: any}>} */
+    this._entries = [];
+  }
+
+  get size() {
+    return this._entries.length;
+  }
+
+  find(key) {
+    return this._buckets.get(TypeSalad.hash(key))?.find(entry => TypeSalad.equals(entry.key, key));
+  }
+
+  add(key, value) {
+    const hash = TypeSalad.hash(key);
+    if (!this._buckets.has(hash)) {
+      this._buckets.set(hash, []);
+    }
+    const entry = { key, value };
+    this._buckets.get(hash).push(entry);
+    this._entries.push(entry);
+    return entry;
+  }
+
+  delete(key) {
+    const hash = TypeSalad.hash(key);
+    const bucket = this._buckets.get(hash);
+    const entry = bucket?.find(e => TypeSalad.equals(e.key, key));
+    if (!entry) {
+      return false;
+    }
+    bucket.splice(bucket.indexOf(entry), 1);
+    if (bucket.length === 0) {
+      this._buckets.delete(hash);
+    }
+    this._entries.splice(this._entries.indexOf(entry), 1);
+    return true;
+  }
+
+  clear() {
+    this._buckets.clear();
+    this._entries = [];
+  }
+
+  entries() {
+    return this._entries;
+  }
+}
+
+/**
+ * The shared base of the generic collections. Each collection reports a
+ * constructed type name such as `List<Int>`, checks element types on every
+ * mutation, is iterable, and converts to QueryableArray / SaladLinq.
+ *
+ * @class SaladCollection
+ * @extends TypeSalad
+ */
+class SaladCollection extends TypeSalad {
+  /**
+   * @param {string} baseName - The generic type name (e.g. "List").
+   * @param {Array<string|SaladInterface>} typeArgs - The generic arguments.
+   */
+  constructor(baseName, typeArgs) {
+    super();
+    const args = typeArgs.map(typeArgName);
+
+    /**
+     * The generic arguments (e.g. `['Int']`).
+     * @type {string[]}
+     */
+    this.genericArguments = args;
+    this.type = `${baseName}<${args.join(",")}>`;
+  }
+
+  /**
+   * Ensures a value is assignable to a generic argument.
+   *
+   * @param {any} value - The value to check.
+   * @param {number} [argIndex=0] - Which generic argument to check against.
+   * @returns {any} The value to store (wrapped for a `Nullable<T>` argument).
+   * @throws {TypeError} If the value doesn't match.
+   * @protected
+   */
+  _check(value, argIndex = 0) {
+    const expected = this.genericArguments[argIndex];
+    if (!isAssignableTo(value, expected)) {
+      throw new TypeError(`${this.type} expected type '${expected}', got '${value?.type ?? typeof value}'.`);
+    }
+    return liftNullable(value, expected);
+  }
+
+  /**
+   * The number of elements.
+   * @type {number}
+   * @readonly
+   */
+  get count() {
+    return this.toArray().length;
+  }
+
+  /**
+   * Returns the elements as a new plain array.
+   * @returns {Array<any>}
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * Returns a QueryableArray over a copy of the elements.
+   * @returns {QueryableArray}
+   */
+  toQueryable() {
+    return new QueryableArray(this.toArray());
+  }
+
+  /**
+   * Returns a SaladLinq query over the elements.
+   * @returns {SaladLinq}
+   * @throws {Error} If the SaladLinq package is not enabled.
+   */
+  toLinq() {
+    return System.SaladLinq.newQuery(this.toArray());
+  }
+
+  /**
+   * Returns the elements (in iteration order) for equality and hashing.
+   * @returns {Array<any>}
+   */
+  valueOf() {
+    return this.toArray();
+  }
+
+  /**
+   * Returns a string representation, e.g. `List<Int> [1, 2]`.
+   * @returns {SaladString}
+   */
+  toString() {
+    return new SaladString(`${this.type} [${this.toArray().map(displayString).join(", ")}]`);
+  }
+
+  /**
+   * Returns the elements as plain data for JSON serialization.
+   * @returns {Array<any>}
+   */
+  toJSON() {
+    return this.toArray().map(toPlain);
+  }
+}
+
+/**
+ * A growable, indexed list whose elements must all be of type `T`
+ * (like C#'s `List<T>`).
+ *
+ * @class SaladList
+ * @extends SaladCollection
+ */
+class SaladList extends SaladCollection {
+  /**
+   * @param {string|SaladInterface} elementType - The element type `T`.
+   * @param {Iterable<any>} [items=[]] - Initial elements.
+   * @throws {TypeError} If an initial element is not a `T`.
+   */
+  constructor(elementType, items = []) {
+    super("List", [elementType]);
+    this._items = [];
+    this.addRange(items);
+  }
+
+  /** @type {number} */
+  get count() {
+    return this._items.length;
+  }
+
+  /**
+   * Ensures `index` is a valid position, returning it as a number.
+   * @private
+   */
+  _checkIndex(index, upper = this._items.length - 1) {
+    const i = integerArgument(index, "index");
+    if (i < 0 || i > upper) {
+      throw new RangeError(`Index '${i}' is out of range for ${this.type} of count ${this._items.length}.`);
+    }
+    return i;
+  }
+
+  /**
+   * Returns the element at an index.
+   * @param {number|SaladInteger} index
+   * @returns {any}
+   * @throws {TypeError} If `index` is not an integer.
+   * @throws {RangeError} If `index` is out of range.
+   */
+  get(index) {
+    return this._items[this._checkIndex(index)];
+  }
+
+  /**
+   * Replaces the element at an index.
+   * @param {number|SaladInteger} index
+   * @param {any} item - The new element.
+   * @throws {TypeError} If `index` is not an integer, or `item` is not a `T`.
+   * @throws {RangeError} If `index` is out of range.
+   */
+  set(index, item) {
+    this._items[this._checkIndex(index)] = this._check(item);
+  }
+
+  /**
+   * Appends an element.
+   * @param {any} item
+   * @throws {TypeError} If `item` is not a `T`.
+   */
+  add(item) {
+    this._items.push(this._check(item));
+  }
+
+  /**
+   * Appends every element of an iterable (all are checked before any is added).
+   * @param {Iterable<any>} items
+   * @throws {TypeError} If any element is not a `T`.
+   */
+  addRange(items) {
+    const list = [...items].map(item => this._check(item));
+    this._items.push(...list);
+  }
+
+  /**
+   * Inserts an element at an index.
+   * @param {number|SaladInteger} index - A position from 0 to `count`.
+   * @param {any} item
+   * @throws {RangeError} If `index` is out of range.
+   * @throws {TypeError} If `index` is not an integer, or `item` is not a `T`.
+   */
+  insert(index, item) {
+    this._items.splice(this._checkIndex(index, this._items.length), 0, this._check(item));
+  }
+
+  /**
+   * Removes the first element equal to `item`.
+   * @param {any} item
+   * @returns {boolean} Whether an element was removed.
+   */
+  remove(item) {
+    const index = this.indexOf(item);
+    if (index === -1) {
+      return false;
+    }
+    this._items.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Removes the element at an index.
+   * @param {number|SaladInteger} index
+   * @returns {any} The removed element.
+   * @throws {TypeError} If `index` is not an integer.
+   * @throws {RangeError} If `index` is out of range.
+   */
+  removeAt(index) {
+    return this._items.splice(this._checkIndex(index), 1)[0];
+  }
+
+  /**
+   * Returns the index of the first element equal to `item`, or -1.
+   * @param {any} item
+   * @returns {number}
+   */
+  indexOf(item) {
+    return this._items.findIndex(el => TypeSalad.equals(el, item));
+  }
+
+  /**
+   * Checks whether an element equal to `item` is in the list.
+   * @param {any} item
+   * @returns {boolean}
+   */
+  contains(item) {
+    return this.indexOf(item) !== -1;
+  }
+
+  /**
+   * Sorts the list in place.
+   * @param {Function} [comparer=TypeSalad.compare] - Defaults to the elements' natural order.
+   */
+  sort(comparer = TypeSalad.compare) {
+    this._items.sort(comparer);
+  }
+
+  /**
+   * Removes all elements.
+   */
+  clear() {
+    this._items = [];
+  }
+
+  /**
+   * Iterates over the elements in order.
+   * @returns {Iterator<any>}
+   */
+  [Symbol.iterator]() {
+    return this._items[Symbol.iterator]();
+  }
+}
+
+/**
+ * The common base of the classes `createGenericList` returns. It is
+ * registered as `GenericList`, so `isAssignableTo(list, 'GenericList')` and
+ * `'GenericList<Int>'` still match their instances, whose `.type` reads
+ * `List<Int>`.
+ *
+ * @class GenericListBase
+ * @extends SaladList
+ * @private
+ */
+class GenericListBase extends SaladList {
+  /**
+   * @param {string|SaladInterface} expectedTypeName - The element type.
+   * @param {Iterable<any>} elements - The initial elements.
+   */
+  constructor(expectedTypeName, elements) {
+    super(expectedTypeName, elements);
+    this._expectedType = this.genericArguments[0];
+  }
+
+  /**
+   * Returns the array of stored items.
+   * @type {Array<object>}
+   */
+  get items() {
+    return this._items;
+  }
+}
+
+/**
+ * A hash-based key/value map with typed keys `K` and values `V` (like C#'s
+ * `Dictionary<TKey, TValue>`). Keys are matched with `equals`/`hashCode`, so
+ * typed values work as keys. Iterating yields `SaladTuple(key, value)` pairs.
+ *
+ * @class SaladDictionary
+ * @extends SaladCollection
+ */
+class SaladDictionary extends SaladCollection {
+  /**
+   * @param {string|SaladInterface} keyType - The key type `K`.
+   * @param {string|SaladInterface} valueType - The value type `V`.
+   * @param {Iterable<Iterable<any>>} [entries=[]] - Initial `[key, value]` pairs.
+   */
+  constructor(keyType, valueType, entries = []) {
+    super("Dictionary", [keyType, valueType]);
+    this._table = new HashBuckets();
+    for (const [key, value] of entries) {
+      this.add(key, value);
+    }
+  }
+
+  /** @type {number} */
+  get count() {
+    return this._table.size;
+  }
+
+  /**
+   * Adds a new entry.
+   * @param {any} key
+   * @param {any} value
+   * @throws {TypeError} If the key or value has the wrong type.
+   * @throws {Error} If the key is already present.
+   */
+  add(key, value) {
+    key = this._check(key, 0);
+    value = this._check(value, 1);
+    if (this._table.find(key)) {
+      throw new Error(`An item with the same key '${displayString(key)}' has already been added.`);
+    }
+    this._table.add(key, value);
+  }
+
+  /**
+   * Adds or replaces an entry (like the C# indexer setter).
+   * @param {any} key
+   * @param {any} value
+   * @throws {TypeError} If the key or value has the wrong type.
+   */
+  set(key, value) {
+    key = this._check(key, 0);
+    value = this._check(value, 1);
+    const entry = this._table.find(key);
+    if (entry) {
+      entry.value = value;
+    } else {
+      this._table.add(key, value);
+    }
+  }
+
+  /**
+   * Returns the value for a key.
+   * @param {any} key
+   * @returns {any}
+   * @throws {ReferenceError} If the key is not present.
+   */
+  get(key) {
+    const entry = this._table.find(key);
+    if (!entry) {
+      throw new ReferenceError(`The given key '${displayString(key)}' was not present in the dictionary.`);
+    }
+    return entry.value;
+  }
+
+  /**
+   * Returns the value for a key, or `undefined` if it's not present.
+   * @param {any} key
+   * @returns {any}
+   */
+  tryGetValue(key) {
+    return this._table.find(key)?.value;
+  }
+
+  /**
+   * @param {any} key
+   * @returns {boolean}
+   */
+  containsKey(key) {
+    return this._table.find(key) !== undefined;
+  }
+
+  /**
+   * @param {any} value
+   * @returns {boolean}
+   */
+  containsValue(value) {
+    return this._table.entries().some(entry => TypeSalad.equals(entry.value, value));
+  }
+
+  /**
+   * Removes the entry for a key.
+   * @param {any} key
+   * @returns {boolean} Whether an entry was removed.
+   */
+  remove(key) {
+    return this._table.delete(key);
+  }
+
+  /**
+   * Removes all entries.
+   */
+  clear() {
+    this._table.clear();
+  }
+
+  /**
+   * Returns the keys, in insertion order.
+   * @returns {Array<any>}
+   */
+  keys() {
+    return this._table.entries().map(entry => entry.key);
+  }
+
+  /**
+   * Returns the values, in insertion order.
+   * @returns {Array<any>}
+   */
+  values() {
+    return this._table.entries().map(entry => entry.value);
+  }
+
+  /**
+   * Iterates over `SaladTuple(key, value)` pairs, in insertion order.
+   * @returns {Iterator<SaladTuple>}
+   */
+  *[Symbol.iterator]() {
+    for (const { key, value } of [...this._table.entries()]) {
+      yield new SaladTuple(key, value);
+    }
+  }
+
+  /**
+   * Checks that another dictionary of the same type holds equal entries (in any order).
+   * @param {any} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other instanceof SaladDictionary && other.type === this.type && other.count === this.count &&
+      this._table.entries().every(({ key, value }) =>
+        other.containsKey(key) && TypeSalad.equals(other.get(key), value)
+      );
+  }
+
+  /**
+   * Returns an order-independent hash code.
+   * @returns {number}
+   */
+  hashCode() {
+    return this._table.entries().reduce(
+      (acc, { key, value }) => (acc + combineHashes([TypeSalad.hash(key), TypeSalad.hash(value)])) | 0,
+      hashString(this.type)
+    );
+  }
+
+  /**
+   * Returns the entries as a plain object (keys use their display text).
+   * @returns {Object}
+   */
+  toJSON() {
+    return Object.fromEntries(this._table.entries().map(({ key, value }) => [displayString(key), toPlain(value)]));
+  }
+}
+
+/**
+ * An unordered set of distinct `T` values (like C#'s `HashSet<T>`).
+ * Membership uses `equals`/`hashCode`.
+ *
+ * @class SaladHashSet
+ * @extends SaladCollection
+ */
+class SaladHashSet extends SaladCollection {
+  /**
+   * @param {string|SaladInterface} elementType - The element type `T`.
+   * @param {Iterable<any>} [items=[]] - Initial elements (duplicates are ignored).
+   */
+  constructor(elementType, items = []) {
+    super("HashSet", [elementType]);
+    this._table = new HashBuckets();
+    for (const item of items) {
+      this.add(item);
+    }
+  }
+
+  /** @type {number} */
+  get count() {
+    return this._table.size;
+  }
+
+  /**
+   * Adds an element if an equal one isn't already present.
+   * @param {any} item
+   * @returns {boolean} Whether the element was added.
+   * @throws {TypeError} If `item` is not a `T`.
+   */
+  add(item) {
+    item = this._check(item);
+    if (this._table.find(item)) {
+      return false;
+    }
+    this._table.add(item, item);
+    return true;
+  }
+
+  /**
+   * @param {any} item
+   * @returns {boolean} Whether an element was removed.
+   */
+  remove(item) {
+    return this._table.delete(item);
+  }
+
+  /**
+   * @param {any} item
+   * @returns {boolean}
+   */
+  contains(item) {
+    return this._table.find(item) !== undefined;
+  }
+
+  /**
+   * Adds every element of `other` to this set.
+   * @param {Iterable<any>} other
+   */
+  unionWith(other) {
+    for (const item of other) {
+      this.add(item);
+    }
+  }
+
+  /**
+   * Keeps only the elements that are also in `other`.
+   * @param {Iterable<any>} other
+   */
+  intersectWith(other) {
+    const keep = new SaladHashSet("any", other);
+    for (const item of this.toArray()) {
+      if (!keep.contains(item)) {
+        this.remove(item);
+      }
+    }
+  }
+
+  /**
+   * Removes every element that is in `other`.
+   * @param {Iterable<any>} other
+   */
+  exceptWith(other) {
+    for (const item of other) {
+      this.remove(item);
+    }
+  }
+
+  /**
+   * Removes all elements.
+   */
+  clear() {
+    this._table.clear();
+  }
+
+  /**
+   * Iterates over the elements, in insertion order.
+   * @returns {Iterator<any>}
+   */
+  *[Symbol.iterator]() {
+    for (const entry of [...this._table.entries()]) {
+      yield entry.key;
+    }
+  }
+
+  /**
+   * Checks that another set of the same type holds the same elements.
+   * @param {any} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return other instanceof SaladHashSet && other.type === this.type && other.count === this.count &&
+      this.toArray().every(item => other.contains(item));
+  }
+
+  /**
+   * Returns an order-independent hash code.
+   * @returns {number}
+   */
+  hashCode() {
+    return this.toArray().reduce((acc, item) => (acc + TypeSalad.hash(item)) | 0, hashString(this.type));
+  }
+}
+
+/**
+ * A first-in, first-out collection of `T` values (like C#'s `Queue<T>`).
+ *
+ * @class SaladQueue
+ * @extends SaladCollection
+ */
+class SaladQueue extends SaladCollection {
+  /**
+   * @param {string|SaladInterface} elementType - The element type `T`.
+   * @param {Iterable<any>} [items=[]] - Initial elements, front first.
+   */
+  constructor(elementType, items = []) {
+    super("Queue", [elementType]);
+    this._items = [];
+    for (const item of items) {
+      this.enqueue(item);
+    }
+  }
+
+  /** @type {number} */
+  get count() {
+    return this._items.length;
+  }
+
+  /**
+   * Adds an element to the back of the queue.
+   * @param {any} item
+   * @throws {TypeError} If `item` is not a `T`.
+   */
+  enqueue(item) {
+    this._items.push(this._check(item));
+  }
+
+  /**
+   * Removes and returns the element at the front of the queue.
+   * @returns {any}
+   * @throws {Error} If the queue is empty.
+   */
+  dequeue() {
+    if (this._items.length === 0) {
+      throw new Error("Queue empty.");
+    }
+    return this._items.shift();
+  }
+
+  /**
+   * Returns the element at the front of the queue without removing it.
+   * @returns {any}
+   * @throws {Error} If the queue is empty.
+   */
+  peek() {
+    if (this._items.length === 0) {
+      throw new Error("Queue empty.");
+    }
+    return this._items[0];
+  }
+
+  /**
+   * @param {any} item
+   * @returns {boolean}
+   */
+  contains(item) {
+    return this._items.some(el => TypeSalad.equals(el, item));
+  }
+
+  /**
+   * Removes all elements.
+   */
+  clear() {
+    this._items = [];
+  }
+
+  /**
+   * Iterates from front to back.
+   * @returns {Iterator<any>}
+   */
+  [Symbol.iterator]() {
+    return [...this._items][Symbol.iterator]();
+  }
+}
+
+/**
+ * A last-in, first-out collection of `T` values (like C#'s `Stack<T>`).
+ *
+ * @class SaladStack
+ * @extends SaladCollection
+ */
+class SaladStack extends SaladCollection {
+  /**
+   * @param {string|SaladInterface} elementType - The element type `T`.
+   * @param {Iterable<any>} [items=[]] - Initial elements, pushed in order.
+   */
+  constructor(elementType, items = []) {
+    super("Stack", [elementType]);
+    this._items = [];
+    for (const item of items) {
+      this.push(item);
+    }
+  }
+
+  /** @type {number} */
+  get count() {
+    return this._items.length;
+  }
+
+  /**
+   * Pushes an element onto the top of the stack.
+   * @param {any} item
+   * @throws {TypeError} If `item` is not a `T`.
+   */
+  push(item) {
+    this._items.push(this._check(item));
+  }
+
+  /**
+   * Removes and returns the element on top of the stack.
+   * @returns {any}
+   * @throws {Error} If the stack is empty.
+   */
+  pop() {
+    if (this._items.length === 0) {
+      throw new Error("Stack empty.");
+    }
+    return this._items.pop();
+  }
+
+  /**
+   * Returns the element on top of the stack without removing it.
+   * @returns {any}
+   * @throws {Error} If the stack is empty.
+   */
+  peek() {
+    if (this._items.length === 0) {
+      throw new Error("Stack empty.");
+    }
+    return this._items[this._items.length - 1];
+  }
+
+  /**
+   * @param {any} item
+   * @returns {boolean}
+   */
+  contains(item) {
+    return this._items.some(el => TypeSalad.equals(el, item));
+  }
+
+  /**
+   * Removes all elements.
+   */
+  clear() {
+    this._items = [];
+  }
+
+  /**
+   * Iterates from the top of the stack down.
+   * @returns {Iterator<any>}
+   */
+  [Symbol.iterator]() {
+    return [...this._items].reverse()[Symbol.iterator]();
+  }
+}
+
+/***************************************************************
+ * Nullable
+ * - SaladNullable<T>: "a T or nothing"
+ ***************************************************************/
+
+/**
+ * Returns `T` for a `Nullable<T>` type name, or undefined for any other type.
+ * @param {string} typeName
+ * @returns {string|undefined}
+ * @private
+ */
+function nullableArgument(typeName) {
+  const { name, args } = parseTypeName(normalizeTypeName(typeName));
+  return name === "Nullable" && args.length === 1 ? args[0] : undefined;
+}
+
+/**
+ * Wraps a value for a slot of type `Nullable<T>`: a `T`, `null` or
+ * `undefined` becomes a `SaladNullable`. Anything else is returned as is.
+ *
+ * @param {any} value
+ * @param {string} typeName - The slot's declared type.
+ * @returns {any}
+ * @private
+ */
+function liftNullable(value, typeName) {
+  const inner = typeName === undefined ? undefined : nullableArgument(typeName);
+  return inner === undefined || value instanceof SaladNullable ? value : new SaladNullable(inner, value);
+}
+
+/**
+ * The value `getValueOrDefault()` falls back to for an empty `Nullable<T>`,
+ * like C#'s `default(T)`: zero for numeric types, `false`, `TimeSpan.Zero`,
+ * or `null` for everything else.
+ *
+ * @param {string} typeName
+ * @returns {any}
+ * @private
+ */
+function defaultValueOf(typeName) {
+  const ctor = findType(typeName)?.ctor;
+  if (ctor?.prototype instanceof SaladInteger) return new ctor(ctor.Wide ? 0n : 0);
+  if (ctor === SaladFloat || ctor === SaladDecimal) return new ctor(0);
+  if (ctor === SaladBool) return new SaladBool(false);
+  if (ctor === SaladTimeSpan) return SaladTimeSpan.Zero;
+  return null;
+}
+
+/**
+ * A value of type `T` or nothing (like C#'s `Nullable<T>` / `int?`).
+ * `Nullable<T>` is assignable from `T`, `null` and `undefined`, so typed
+ * functions, collections, `SaladObject` schemas and `System.StoreData`
+ * accept a plain `T` (or null) for a `Nullable<T>` slot and wrap it.
+ *
+ * @class SaladNullable
  * @extends TypeSalad
  */
-class SaladVec2 extends TypeSalad {
-  /**
-   * @param {string|number} x - The X component of the vector.
-   * @param {string|number} y - The Y component of the vector.
-   */
-  constructor(x, y) {
-    super();
-    if((typeof x == "string" || typeof x == "number") && (typeof y == "string" || typeof y == "number")){
-      this.x = x;
-      this.y = y;
-      this.type = "Vec2";
-    } else {
-      throw new TypeError(`Error: Input values was internal type '${typeof x}' and '${typeof y}' expected internal types 'string' or 'number'.`);
+class SaladNullable extends TypeSalad {
+  /**
+   * @param {string|SaladInterface} elementType - The value type `T`.
+   * @param {any} [value=null] - A `T`, or `null`/`undefined` for no value.
+   * @throws {TypeError} If `value` is not a `T`, or `T` is itself nullable.
+   */
+  constructor(elementType, value = null) {
+    super();
+    const arg = typeArgName(elementType);
+    if (nullableArgument(arg) !== undefined) {
+      throw new TypeError(`Nullable type '${arg}' cannot be made nullable again.`);
+    }
+
+    /**
+     * The generic argument (e.g. `['Int']`).
+     * @type {string[]}
+     */
+    this.genericArguments = [arg];
+    this.type = `Nullable<${arg}>`;
+    if (value instanceof SaladNullable) {
+      value = value._value;
+    }
+    if (value !== null && value !== undefined && !isAssignableTo(value, arg)) {
+      throw new TypeError(`${this.type} expected type '${arg}', got '${value?.type ?? typeof value}'.`);
+    }
+
+    /**
+     * The wrapped value, or null.
+     * @type {any}
+     * @private
+     */
+    this._value = value ?? null;
+  }
+
+  /**
+   * Whether a value is present.
+   * @type {boolean}
+   * @readonly
+   */
+  get hasValue() {
+    return this._value !== null;
+  }
+
+  /**
+   * The wrapped value.
+   * @type {any}
+   * @throws {ReferenceError} If there is no value.
+   */
+  get value() {
+    if (this._value === null) {
+      throw new ReferenceError("Nullable object must have a value.");
+    }
+    return this._value;
+  }
+
+  /**
+   * Returns the value, or a fallback when empty.
+   *
+   * @param {any} [defaultValue] - The fallback (a `T`); defaults to `T`'s
+   *   default (`0`, `false`, `TimeSpan.Zero`, or `null` for other types).
+   * @returns {any}
+   * @throws {TypeError} If `defaultValue` is not a `T`.
+   */
+  getValueOrDefault(defaultValue) {
+    if (defaultValue !== undefined && !isAssignableTo(defaultValue, this.genericArguments[0])) {
+      throw new TypeError(
+        `Parameter 'defaultValue' was type '${defaultValue?.type ?? typeof defaultValue}', expected '${this.genericArguments[0]}'.`
+      );
+    }
+    if (this._value !== null) {
+      return this._value;
+    }
+    return defaultValue ?? defaultValueOf(this.genericArguments[0]);
+  }
+
+  /**
+   * Applies a function to the value, if there is one (like C#'s `?.`).
+   * An empty nullable maps to an empty one without calling `selector`, and
+   * a `null` result is empty too.
+   *
+   * @param {Function} selector - `(value) => result`.
+   * @param {string|SaladInterface} [resultType] - The result type; inferred from the result when omitted.
+   * @returns {SaladNullable}
+   */
+  map(selector, resultType) {
+    if (this._value === null) {
+      return new SaladNullable(resultType ?? "any");
+    }
+    const result = selector(this._value);
+    if (result instanceof SaladNullable && resultType === undefined) {
+      return result;
+    }
+    return new SaladNullable(resultType ?? result?.type ?? (result == null ? "any" : typeof result), result);
+  }
+
+  /**
+   * Returns the value's string form, or an empty string when empty.
+   * @returns {SaladString}
+   */
+  toString() {
+    return new SaladString(this._value === null ? "" : displayString(this._value));
+  }
+
+  /**
+   * Returns the value's `valueOf()`, or null when empty.
+   * @returns {any}
+   */
+  valueOf() {
+    return this._value === null ? null : this._value.valueOf?.() ?? this._value;
+  }
+
+  /**
+   * Compares with another nullable or a plain `T`. Two empty values are equal.
+   * @param {any} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    const value = other instanceof SaladNullable ? other._value : other ?? null;
+    if (this._value === null || value === null) {
+      return this._value === value;
+    }
+    return TypeSalad.equals(this._value, value);
+  }
+
+  /**
+   * Orders an empty value before any value (as C#'s `Nullable.Compare` does).
+   * @param {any} other - A nullable or a plain `T`.
+   * @returns {number}
+   */
+  compareTo(other) {
+    const value = other instanceof SaladNullable ? other._value : other ?? null;
+    if (this._value === null || value === null) {
+      return (this._value === null ? 0 : 1) - (value === null ? 0 : 1);
+    }
+    return TypeSalad.compare(this._value, value);
+  }
+
+  /**
+   * Returns the value's hash code (0 when empty), so a nullable and its
+   * value hash alike.
+   * @returns {number}
+   */
+  hashCode() {
+    return TypeSalad.hash(this._value);
+  }
+}
+
+/***************************************************************
+ * Serialization
+ * - SaladSerializer: JSON with `$type` discriminators
+ * - Pluggable converters: { write(value, next), read(data, next, type) }
+ ***************************************************************/
+
+/**
+ * Converters by registered type name (full name).
+ * @type {Map<string, {write: Function, read: Function}>}
+ * @private
+ */
+const serializerConverters = new Map();
+
+/**
+ * Looks up a registered type by full name, unambiguous short name or
+ * generic name (`List<Int>`).
+ *
+ * @param {string} name - The type name.
+ * @returns {TypeInfo|null} The type, or null if it isn't registered.
+ * @throws {TypeError} If a short name matches more than one type.
+ * @private
+ */
+function findType(name) {
+  const { name: baseName, args } = parseTypeName(name);
+  let info = typeRegistry.get(baseName);
+  if (!info) {
+    const matches = [...typeRegistry.values()].filter(t => t.name === baseName);
+    if (matches.length > 1) {
+      throw new TypeError(
+        `Type name '${baseName}' is ambiguous between: ${matches.map(t => t.fullName).join(", ")}.`
+      );
+    }
+    info = matches[0];
+  }
+  if (!info) {
+    return null;
+  }
+  return args.length > 0 ? new TypeInfo(info.fullName, info.ctor, info.fields, args) : info;
+}
+
+/**
+ * Finds the converter for a type: a registered converter for the class or
+ * its nearest registered base, an enum converter, or a field-by-field
+ * converter for types registered with `fields`.
+ *
+ * @param {TypeInfo} info - The type to convert.
+ * @returns {{write: Function, read: Function}|null}
+ * @private
+ */
+function findConverter(info) {
+  if (enumTypes.has(info.ctor)) {
+    return enumConverter;
+  }
+  for (let ctor = info.ctor; typeof ctor === "function"; ctor = Object.getPrototypeOf(ctor)) {
+    const registered = typesByConstructor.get(ctor);
+    if (!registered) {
+      continue;
+    }
+    if (serializerConverters.has(registered.fullName)) {
+      return serializerConverters.get(registered.fullName);
+    }
+    if (Object.keys(registered.fields).length > 0) {
+      return fieldsConverter(registered.fields);
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts enum members to their name (or the names of the flags in a
+ * combination) and back. A value without a name, such as an empty flag
+ * combination, is written as its number.
+ * @private
+ */
+const enumConverter = Object.freeze({
+  write: value => {
+    const text = value.name !== undefined || value.constructor.isFlags ? displayString(value) : "";
+    return text !== "" ? text : value.valueOf();
+  },
+  read: (data, next, type) => (typeof data === "number" ? type.ctor.fromValue(data) : type.ctor.parse(data))
+});
+
+/**
+ * Builds a converter that writes the registered fields of a value and
+ * rebuilds it by passing them to the constructor in declaration order
+ * (records, `Vec2`/`Vec3`, and package types such as `SaladMath.ImagInt`).
+ *
+ * @param {Object.<string, string>} fields - The registered field schema.
+ * @returns {{write: Function, read: Function}}
+ * @private
+ */
+function fieldsConverter(fields) {
+  const names = Object.keys(fields);
+  return {
+    write: (value, next) => Object.fromEntries(names.map(field => [field, next(value[field])])),
+    read: (data, next, type) => new type.ctor(...names.map(field => next(data[field])))
+  };
+}
+
+/**
+ * The type a value is written as: its own, except that lists from
+ * `createGenericList` are tagged `GenericList<T>`. The generated class
+ * itself can't be recovered, so they are read back as a `GenericListBase`.
+ *
+ * @param {TypeSalad} value - A typed value.
+ * @returns {TypeInfo}
+ * @private
+ */
+function serializedTypeOf(value) {
+  return value instanceof GenericListBase
+    ? findType(`TypeSalad.GenericList<${value.genericArguments[0]}>`)
+    : System.typeOf(value);
+}
+
+/**
+ * Serializes TypeSalad values to JSON that keeps their types, and rebuilds
+ * them on deserialization (like Json.NET with `TypeNameHandling`).
+ *
+ * Each typed value is written as `{ "$type": "TypeSalad.Int", "$value": 5 }`,
+ * with generic arguments in the type name (`"TypeSalad.List<Int>"`). Raw
+ * values, arrays and plain objects are written as-is, with their contents
+ * converted recursively, and a raw `Date` as its ISO string. Other objects
+ * (`Map`, `Set`, class instances) are rejected rather than written empty.
+ * A list from `createGenericList` is written as `"TypeSalad.GenericList<T>"`
+ * and read back as a list of `T` sharing its base, not the generated class.
+ *
+ * Built-in types, records and enums are supported out of the box, as are
+ * registered types declaring `fields` (rebuilt by passing the fields to the
+ * constructor in order). Other types need a converter from `Register`.
+ *
+ * @class SaladSerializer
+ */
+class SaladSerializer {
+  /**
+   * Registers a converter for a type (and its subclasses, unless they have
+   * their own). Registering again replaces the previous converter.
+   *
+   * `write(value, next)` returns JSON-friendly data for a value, calling
+   * `next(child)` to serialize nested values. `read(data, next, type)` rebuilds
+   * the value, calling `next(child)` to deserialize nested data; `type` is the
+   * TypeInfo being read (with its `ctor` and `genericArguments`).
+   *
+   * @param {string} typeName - The registered type name (e.g. `'SaladMath.ImagInt'`).
+   * @param {{write: Function, read: Function}} converter - The converter.
+   * @throws {TypeError} If the type isn't registered or the converter is incomplete.
+   */
+  static Register(typeName, converter) {
+    if (typeof converter?.write !== "function" || typeof converter?.read !== "function") {
+      throw new TypeError(`Converter for '${typeName}' must define write(value, next) and read(data, next).`);
+    }
+    const info = findType(typeName);
+    if (!info) {
+      throw new TypeError(`Type '${typeName}' is not registered.`);
+    }
+    serializerConverters.set(info.fullName, converter);
+  }
+
+  /**
+   * Converts a value to JSON-friendly data with `$type` tags.
+   *
+   * @param {any} value - The value to convert.
+   * @returns {any}
+   * @throws {TypeError} If a typed value has no converter, an object isn't plain, or the value is circular.
+   */
+  static ToData(value) {
+    const path = new Set();
+    const next = current => {
+      if (current === null || typeof current !== "object") {
+        return current;
+      }
+      if (current instanceof Date) {
+        return current.toISOString();
+      }
+      if (path.has(current)) {
+        throw new TypeError("Cannot serialize a circular reference.");
+      }
+      path.add(current);
+      try {
+        if (current.type !== undefined && current instanceof TypeSalad) {
+          const info = serializedTypeOf(current);
+          const converter = findConverter(info);
+          if (!converter) {
+            throw new TypeError(`No serializer converter for type '${info}'.`);
+          }
+          const args = info.genericArguments;
+          return {
+            $type: args.length > 0 ? `${info.fullName}<${args.join(",")}>` : info.fullName,
+            $value: converter.write(current, next)
+          };
+        }
+        if (Array.isArray(current)) {
+          return current.map(next);
+        }
+        if (!isPlainObject(current)) {
+          throw new TypeError(`Cannot serialize a value of type '${current.constructor?.name ?? typeof current}'.`);
+        }
+        return Object.fromEntries(Object.entries(current).map(([key, item]) => [key, next(item)]));
+      } finally {
+        path.delete(current);
+      }
+    };
+    return next(value);
+  }
+
+  /**
+   * Rebuilds a value from data produced by `ToData`.
+   *
+   * @param {any} data - The tagged data.
+   * @returns {any}
+   * @throws {TypeError} If a `$type` is unknown or has no converter.
+   */
+  static FromData(data) {
+    const next = current => {
+      if (current === null || typeof current !== "object") {
+        return current;
+      }
+      if (Array.isArray(current)) {
+        return current.map(next);
+      }
+      if (typeof current.$type === "string") {
+        const info = findType(current.$type);
+        if (!info) {
+          throw new TypeError(`Unknown type '${current.$type}' in serialized data.`);
+        }
+        const converter = findConverter(info);
+        if (!converter) {
+          throw new TypeError(`No serializer converter for type '${current.$type}'.`);
+        }
+        return converter.read(current.$value, next, info);
+      }
+      return Object.fromEntries(Object.entries(current).map(([key, item]) => [key, next(item)]));
+    };
+    return next(data);
+  }
+
+  /**
+   * Serializes a value to JSON text.
+   *
+   * @param {any} value - The value to serialize.
+   * @param {Object} [options={}]
+   * @param {number|string} [options.indent] - Indentation passed to `JSON.stringify`.
+   * @returns {string}
+   * @throws {TypeError} If a typed value has no converter, an object isn't plain, or the value is circular.
+   */
+  static Serialize(value, options = {}) {
+    return JSON.stringify(SaladSerializer.ToData(value), null, options.indent);
+  }
+
+  /**
+   * Deserializes JSON text written by `Serialize`.
+   *
+   * @param {string|SaladString} text - The JSON text.
+   * @returns {any}
+   * @throws {SyntaxError} If the text is not valid JSON.
+   * @throws {TypeError} If a `$type` is unknown or has no converter.
+   */
+  static Deserialize(text) {
+    return SaladSerializer.FromData(JSON.parse(String(text?.valueOf())));
+  }
+}
+
+/***************************************************************
+ * Binary Encoding
+ * - SaladBinary: MessagePack with extension types for typed values
+ ***************************************************************/
+
+/**
+ * Extension type codes. 0-31 are reserved for TypeSalad; packages and
+ * applications may register codes 32-127. -1 is MessagePack's timestamp.
+ * @private
+ */
+const BinaryExtension = Object.freeze({ Timestamp: -1, Typed: 1, FirstCustom: 32, Last: 127 });
+
+/**
+ * Registered extension codes, both ways.
+ * @private
+ */
+const extensionsByCode = new Map();
+const extensionsByType = new Map();
+
+/**
+ * A growable byte buffer for the encoder.
+ * @private
+ */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(64);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  /** Makes room for `count` more bytes. */
+  ensure(count) {
+    if (this.length + count <= this.bytes.length) {
+      return;
+    }
+    let size = this.bytes.length * 2;
+    while (size < this.length + count) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  i8(value) {
+    this.ensure(1);
+    this.view.setInt8(this.length, value);
+    this.length += 1;
+  }
+
+  i16(value) {
+    this.ensure(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+
+  i32(value) {
+    this.ensure(4);
+    this.view.setInt32(this.length, value);
+    this.length += 4;
+  }
+
+  i64(value) {
+    this.ensure(8);
+    this.view.setBigInt64(this.length, value);
+    this.length += 8;
+  }
+
+  u64(value) {
+    this.ensure(8);
+    this.view.setBigUint64(this.length, value);
+    this.length += 8;
+  }
+
+  f64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /** Writes a length header: a fixed form below `fixLimit`, else 8/16/32-bit forms. */
+  header(length, fix, fixLimit, codes) {
+    if (fix !== null && length < fixLimit) {
+      this.u8(fix | length);
+    } else if (codes[0] !== null && length <= 0xff) {
+      this.u8(codes[0]);
+      this.u8(length);
+    } else if (length <= 0xffff) {
+      this.u8(codes[1]);
+      this.u16(length);
+    } else {
+      this.u8(codes[2]);
+      this.u32(length);
+    }
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * A cursor over encoded bytes for the decoder.
+ * @private
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  /** Advances by `size` bytes, returning the old offset. */
+  take(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new RangeError("Unexpected end of binary data.");
+    }
+    const at = this.offset;
+    this.offset += size;
+    return at;
+  }
+
+  u8() { return this.view.getUint8(this.take(1)); }
+  u16() { return this.view.getUint16(this.take(2)); }
+  u32() { return this.view.getUint32(this.take(4)); }
+  i8() { return this.view.getInt8(this.take(1)); }
+  i16() { return this.view.getInt16(this.take(2)); }
+  i32() { return this.view.getInt32(this.take(4)); }
+  i64() { return this.view.getBigInt64(this.take(8)); }
+  u64() { return this.view.getBigUint64(this.take(8)); }
+  f32() { return this.view.getFloat32(this.take(4)); }
+  f64() { return this.view.getFloat64(this.take(8)); }
+
+  raw(size) {
+    const at = this.take(size);
+    return this.bytes.slice(at, at + size);
+  }
+}
+
+/**
+ * Encodes and decodes TypeSalad values in a compact binary format:
+ * MessagePack, with typed values stored as extension types.
+ *
+ * Raw values use plain MessagePack (numbers, strings, booleans, `null`,
+ * arrays, plain objects, `Uint8Array` as binary, `Date` as a timestamp,
+ * and BigInt as 64-bit integers); other objects such as `Map` are
+ * rejected. A typed value is stored through its
+ * `SaladSerializer` converter, either under a registered extension code
+ * or, for any other type, together with its type name.
+ *
+ * @class SaladBinary
+ */
+class SaladBinary {
+  /**
+   * Assigns a compact extension code to a type, so its values are stored
+   * without their type name. The type needs a `SaladSerializer` converter
+   * (or fields); pass `converter` to use a different one for binary data.
+   * Values with generic arguments (`List<Int>`) still carry their type name,
+   * so the code only applies to non-generic values.
+   *
+   * @param {string} typeName - The registered type name (e.g. `'SaladMath.ImagInt'`).
+   * @param {number} code - The extension code (32-127; 0-31 are reserved for TypeSalad).
+   * @param {{write: Function, read: Function}} [converter] - A converter to use instead of the serializer's.
+   * @throws {TypeError} If the type isn't registered, or the code is taken.
+   * @throws {RangeError} If the code is out of range.
+   */
+  static RegisterExtension(typeName, code, converter) {
+    SaladBinary._register(typeName, code, converter, BinaryExtension.FirstCustom);
+  }
+
+  /**
+   * Registers an extension code (built-in types may use reserved codes).
+   * @private
+   */
+  static _register(typeName, code, converter, firstCode) {
+    if (!Number.isInteger(code) || code < firstCode || code > BinaryExtension.Last) {
+      throw new RangeError(`Extension code must be an integer from ${firstCode} to ${BinaryExtension.Last}, got '${code}'.`);
+    }
+    const info = findType(typeName);
+    if (!info) {
+      throw new TypeError(`Type '${typeName}' is not registered.`);
+    }
+    if (extensionsByCode.has(code)) {
+      throw new TypeError(`Extension code ${code} is already used by '${extensionsByCode.get(code).info.fullName}'.`);
+    }
+    if (converter !== undefined && (typeof converter.write !== "function" || typeof converter.read !== "function")) {
+      throw new TypeError(`Converter for '${typeName}' must define write(value, next) and read(data, next).`);
+    }
+    const extension = { code, info, converter };
+    extensionsByCode.set(code, extension);
+    extensionsByType.set(info.fullName, extension);
+  }
+
+  /**
+   * Encodes a value.
+   *
+   * @param {any} value - The value to encode.
+   * @returns {Uint8Array}
+   * @throws {TypeError} If a value can't be encoded (no converter, circular, a non-plain object, or a function/symbol).
+   */
+  static Encode(value) {
+    const out = new ByteWriter();
+    const text = new TextEncoder();
+    const path = new Set();
+    const identity = x => x;
+
+    const ext = (code, payload) => {
+      out.header(payload.length, null, 0, [0xc7, 0xc8, 0xc9]);
+      out.i8(code);
+      out.raw(payload);
+    };
+    const encodePayload = data => {
+      const start = out.length;
+      write(data);
+      const payload = out.bytes.slice(start, out.length);
+      out.length = start;
+      return payload;
+    };
+
+    const write = current => {
+      if (current === null || current === undefined) {
+        out.u8(0xc0);
+      } else if (typeof current === "boolean") {
+        out.u8(current ? 0xc3 : 0xc2);
+      } else if (typeof current === "number") {
+        if (!Number.isInteger(current) || Object.is(current, -0) || Math.abs(current) > 0xffffffff) {
+          out.u8(0xcb);
+          out.f64(current);
+        } else if (current >= 0) {
+          if (current < 0x80) out.u8(current);
+          else if (current <= 0xff) { out.u8(0xcc); out.u8(current); }
+          else if (current <= 0xffff) { out.u8(0xcd); out.u16(current); }
+          else { out.u8(0xce); out.u32(current); }
+        } else if (current >= -32) {
+          out.i8(current);
+        } else if (current >= -0x80) {
+          out.u8(0xd0); out.i8(current);
+        } else if (current >= -0x8000) {
+          out.u8(0xd1); out.i16(current);
+        } else if (current >= -0x80000000) {
+          out.u8(0xd2); out.i32(current);
+        } else {
+          out.u8(0xcb); out.f64(current);
+        }
+      } else if (typeof current === "bigint") {
+        if (current >= 0n && current <= 0xffffffffffffffffn) {
+          out.u8(0xcf); out.u64(current);
+        } else if (current < 0n && current >= -0x8000000000000000n) {
+          out.u8(0xd3); out.i64(current);
+        } else {
+          throw new RangeError(`BigInt ${current} does not fit in 64 bits.`);
+        }
+      } else if (typeof current === "string") {
+        const bytes = text.encode(current);
+        out.header(bytes.length, 0xa0, 32, [0xd9, 0xda, 0xdb]);
+        out.raw(bytes);
+      } else if (current instanceof Uint8Array) {
+        out.header(current.length, null, 0, [0xc4, 0xc5, 0xc6]);
+        out.raw(current);
+      } else if (current instanceof Date) {
+        const ms = current.getTime();
+        const payload = new ByteWriter();
+        payload.u32(((ms % 1000) + 1000) % 1000 * 1e6);
+        payload.i64(BigInt(Math.floor(ms / 1000)));
+        ext(BinaryExtension.Timestamp, payload.result());
+      } else if (typeof current === "object") {
+        if (path.has(current)) {
+          throw new TypeError("Cannot encode a circular reference.");
+        }
+        path.add(current);
+        try {
+          if (current.type !== undefined && current instanceof TypeSalad) {
+            const info = serializedTypeOf(current);
+            const extension = info.genericArguments.length === 0 ? extensionsByType.get(info.fullName) : undefined;
+            const converter = extension?.converter ?? findConverter(info);
+            if (!converter) {
+              throw new TypeError(`No serializer converter for type '${info}'.`);
+            }
+            const data = converter.write(current, identity);
+            if (extension) {
+              ext(extension.code, encodePayload(data));
+            } else {
+              const args = info.genericArguments;
+              const name = args.length > 0 ? `${info.fullName}<${args.join(",")}>` : info.fullName;
+              ext(BinaryExtension.Typed, encodePayload([name, data]));
+            }
+          } else if (Array.isArray(current)) {
+            out.header(current.length, 0x90, 16, [null, 0xdc, 0xdd]);
+            current.forEach(write);
+          } else if (!isPlainObject(current)) {
+            throw new TypeError(`Cannot encode a value of type '${current.constructor?.name ?? typeof current}'.`);
+          } else {
+            const entries = Object.entries(current);
+            out.header(entries.length, 0x80, 16, [null, 0xde, 0xdf]);
+            for (const [key, item] of entries) {
+              write(key);
+              write(item);
+            }
+          }
+        } finally {
+          path.delete(current);
+        }
+      } else {
+        throw new TypeError(`Cannot encode a value of type '${typeof current}'.`);
+      }
+    };
+
+    write(value);
+    return out.result();
+  }
+
+  /**
+   * Decodes bytes produced by `Encode`.
+   *
+   * @param {Uint8Array|ArrayBuffer} bytes - The encoded data.
+   * @returns {any}
+   * @throws {TypeError} If the data has an unknown format or type.
+   * @throws {RangeError} If the data is truncated or has trailing bytes.
+   */
+  static Decode(bytes) {
+    const input = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    if (!(input instanceof Uint8Array)) {
+      throw new TypeError(`Decode expects a Uint8Array, got '${input?.type ?? typeof input}'.`);
+    }
+    const reader = new ByteReader(input);
+    const text = new TextDecoder();
+    const identity = x => x;
+
+    const readTyped = (info, data, converter) => {
+      converter ??= findConverter(info);
+      if (!converter) {
+        throw new TypeError(`No serializer converter for type '${info}'.`);
+      }
+      return converter.read(data, identity, info);
+    };
+    const readExt = (length, code) => {
+      if (code === BinaryExtension.Timestamp) {
+        if (length === 4) return new Date(reader.u32() * 1000);
+        if (length === 8) {
+          const high = reader.u32();
+          const low = reader.u32();
+          return new Date(((high & 0x3) * 2 ** 32 + low) * 1000 + Math.floor((high >>> 2) / 1e6));
+        }
+        const nanos = reader.u32();
+        return new Date(Number(reader.i64()) * 1000 + Math.floor(nanos / 1e6));
+      }
+      const end = reader.offset + length;
+      let result;
+      if (code === BinaryExtension.Typed) {
+        const [name, data] = read();
+        const info = findType(name);
+        if (!info) {
+          throw new TypeError(`Unknown type '${name}' in binary data.`);
+        }
+        result = readTyped(info, data);
+      } else if (extensionsByCode.has(code)) {
+        const extension = extensionsByCode.get(code);
+        result = readTyped(extension.info, read(), extension.converter);
+      } else {
+        throw new TypeError(`Unknown extension code ${code} in binary data.`);
+      }
+      if (reader.offset !== end) {
+        throw new RangeError(`Extension ${code} has a malformed payload.`);
+      }
+      return result;
+    };
+    const readArray = length => Array.from({ length }, () => read());
+    const readMap = length => {
+      const result = {};
+      for (let i = 0; i < length; i++) {
+        const key = read();
+        // Define rather than assign, so a "__proto__" key stays a plain property.
+        Object.defineProperty(result, String(key), { value: read(), enumerable: true, writable: true, configurable: true });
+      }
+      return result;
+    };
+
+    const read = () => {
+      const byte = reader.u8();
+      if (byte < 0x80) return byte;
+      if (byte >= 0xe0) return byte - 0x100;
+      if (byte >= 0xa0 && byte <= 0xbf) return text.decode(reader.raw(byte & 0x1f));
+      if (byte >= 0x90 && byte <= 0x9f) return readArray(byte & 0x0f);
+      if (byte >= 0x80 && byte <= 0x8f) return readMap(byte & 0x0f);
+      switch (byte) {
+        case 0xc0: return null;
+        case 0xc2: return false;
+        case 0xc3: return true;
+        case 0xc4: return reader.raw(reader.u8());
+        case 0xc5: return reader.raw(reader.u16());
+        case 0xc6: return reader.raw(reader.u32());
+        case 0xc7: { const length = reader.u8(); return readExt(length, reader.i8()); }
+        case 0xc8: { const length = reader.u16(); return readExt(length, reader.i8()); }
+        case 0xc9: { const length = reader.u32(); return readExt(length, reader.i8()); }
+        case 0xca: return reader.f32();
+        case 0xcb: return reader.f64();
+        case 0xcc: return reader.u8();
+        case 0xcd: return reader.u16();
+        case 0xce: return reader.u32();
+        case 0xcf: return reader.u64();
+        case 0xd0: return reader.i8();
+        case 0xd1: return reader.i16();
+        case 0xd2: return reader.i32();
+        case 0xd3: return reader.i64();
+        case 0xd4: return readExt(1, reader.i8());
+        case 0xd5: return readExt(2, reader.i8());
+        case 0xd6: return readExt(4, reader.i8());
+        case 0xd7: return readExt(8, reader.i8());
+        case 0xd8: return readExt(16, reader.i8());
+        case 0xd9: return text.decode(reader.raw(reader.u8()));
+        case 0xda: return text.decode(reader.raw(reader.u16()));
+        case 0xdb: return text.decode(reader.raw(reader.u32()));
+        case 0xdc: return readArray(reader.u16());
+        case 0xdd: return readArray(reader.u32());
+        case 0xde: return readMap(reader.u16());
+        case 0xdf: return readMap(reader.u32());
+        default:
+          throw new TypeError(`Unknown format byte 0x${byte.toString(16)} in binary data.`);
+      }
+    };
+
+    const value = read();
+    if (reader.offset !== input.length) {
+      throw new RangeError(`Unexpected trailing bytes in binary data (${input.length - reader.offset}).`);
+    }
+    return value;
+  }
+}
+
+/***************************************************************
+ * Conversions
+ ***************************************************************/
+
+/**
+ * Registered conversions: source type full name -> target type full name ->
+ * `{ convert, implicit }`.
+ * @type {Map<string, Map<string, {convert: Function, implicit: boolean}>>}
+ * @private
+ */
+const conversions = new Map();
+
+/**
+ * Finds the registered conversion from a value's type (or its nearest
+ * registered base that has one) to a type.
+ *
+ * @param {any} value - The value to convert.
+ * @param {string} typeName - The target type.
+ * @param {boolean} [implicitOnly=false] - Ignore explicit conversions.
+ * @returns {{convert: Function, implicit: boolean, target: TypeInfo}|null}
+ * @private
+ */
+function findConversion(value, typeName, implicitOnly = false) {
+  if (value === null || value === undefined || conversions.size === 0) {
+    return null;
+  }
+  const target = findType(typeName);
+  if (!target) {
+    return null;
+  }
+  for (let ctor = value.constructor; typeof ctor === "function"; ctor = Object.getPrototypeOf(ctor)) {
+    const entry = conversions.get(typesByConstructor.get(ctor)?.fullName)?.get(target.fullName);
+    if (entry && (entry.implicit || !implicitOnly)) {
+      return { ...entry, target };
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts a value to a type, like a C# cast: a value that already has the
+ * type is returned as is, a raw literal is wrapped as in overload
+ * resolution, and anything else goes through a registered implicit or
+ * explicit conversion (`cast(new SaladInt(3), 'Float')`, or
+ * `cast(new SaladFloat(3.7), 'Int')` which truncates to 3).
+ *
+ * Narrowing integral casts wrap around unless run inside `checked`.
+ *
+ * @function cast
+ * @param {any} value - The value to convert.
+ * @param {string|SaladInterface} typeName - The target type.
+ * @returns {any} The converted value.
+ * @throws {TypeError} If there is no conversion to the type.
+ * @throws {RangeError} If a narrowing cast overflows in a checked context.
+ */
+function cast(value, typeName) {
+  const name = typeArgName(typeName);
+  if (isAssignableTo(value, name)) {
+    return value;
+  }
+  const conversion = findConversion(value, name);
+  if (conversion) {
+    const result = conversion.convert(value, conversion.target);
+    if (!isAssignableTo(result, name)) {
+      throw new TypeError(
+        `Conversion from '${value.type}' to '${name}' returned type '${result?.type ?? typeof result}'.`
+      );
+    }
+    return result;
+  }
+  const literal = value instanceof TypeSalad ? null : implicitConversion(value, name);
+  if (literal) {
+    return literal.convert(value);
+  }
+  throw new TypeError(`No conversion from '${value?.type ?? typeof value}' to '${name}'.`);
+}
+
+/**
+ * Rounds to the nearest integer, ties to even (as C#'s `Convert` does).
+ * @private
+ */
+function roundHalfEven(value) {
+  const rounded = Math.round(value);
+  return Math.abs(value % 1) === 0.5 && rounded % 2 !== 0 ? rounded - 1 : rounded;
+}
+
+/**
+ * Culture-invariant conversions between the built-in types, in the spirit
+ * of C#'s `System.Convert`. Unlike `cast`, `Convert`:
+ *
+ * - parses strings with the target type's `Parse` (`Convert.ToInt('42')`),
+ * - formats anything with `toString` when converting to `String`,
+ * - rounds floats and decimals to the nearest integer (ties to even)
+ *   instead of truncating, and converts `Bool` to and from numbers,
+ * - always throws a RangeError on overflow.
+ *
+ * `Convert.Register` adds conversions for `cast`, `Convert` and (when
+ * implicit) overload resolution.
+ *
+ * @class Convert
+ */
+class Convert {
+  /**
+   * Registers a conversion between two registered types. Implicit
+   * conversions are also applied when picking an overload (see
+   * `Overloadable`) and when coercing schema values; explicit ones only by
+   * `cast` and `Convert`. Registering again replaces the previous conversion.
+   *
+   * @param {string} fromType - The source type name (subclasses use it too, unless they have their own).
+   * @param {string} toType - The target type name.
+   * @param {Function} convert - `(value, targetType) => converted`; `targetType` is the target TypeInfo.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.implicit=false] - Whether the conversion is implicit (safe, lossless).
+   * @throws {TypeError} If either type isn't registered or `convert` is not a function.
+   */
+  static Register(fromType, toType, convert, options = {}) {
+    if (typeof convert !== "function") {
+      throw new TypeError(`Conversion from '${fromType}' to '${toType}' must be a function.`);
+    }
+    const [from, to] = [fromType, toType].map(name => {
+      const info = findType(typeArgName(name));
+      if (!info) {
+        throw new TypeError(`Type '${typeArgName(name)}' is not registered.`);
+      }
+      return info;
+    });
+    if (!conversions.has(from.fullName)) {
+      conversions.set(from.fullName, new Map());
+    }
+    conversions.get(from.fullName).set(to.fullName, { convert, implicit: Boolean(options.implicit) });
+  }
+
+  /**
+   * Converts a value to a type with the `Convert` rules (see the class).
+   *
+   * @param {any} value - A typed value, or a raw string, number, bigint or boolean.
+   * @param {string|SaladInterface} typeName - The target type.
+   * @returns {any}
+   * @throws {TypeError} If the value is null, a string can't be parsed, or there is no conversion.
+   * @throws {RangeError} If the value is outside the range of the target type.
+   */
+  static ChangeType(value, typeName) {
+    const name = typeArgName(typeName);
+    const target = findType(name);
+    if (!target) {
+      throw new TypeError(`Type '${name}' is not registered.`);
+    }
+    if (value === null || value === undefined) {
+      throw new TypeError(`Cannot convert '${value}' to '${name}'.`);
+    }
+    if (isAssignableTo(value, name)) {
+      return value;
+    }
+    const ctor = target.ctor;
+    if (ctor === SaladString) {
+      return new SaladString(displayString(value));
+    }
+    if (typeof value === "string" || isAssignableTo(value, "String")) {
+      if (enumTypes.has(ctor)) {
+        return ctor.parse(value.valueOf());
+      }
+      if (typeof ctor.Parse !== "function") {
+        throw new TypeError(`No conversion from 'String' to '${name}'.`);
+      }
+      return checked(() => ctor.Parse(value.valueOf()));
+    }
+
+    let source = value;
+    if (typeof value === "number") {
+      source = new SaladFloat(value);
+    } else if (typeof value === "bigint") {
+      source = new SaladDecimal(value);
+    } else if (typeof value === "boolean" || enumTypes.has(value.constructor)) {
+      source = new SaladDecimal(Number(value.valueOf()));
+    }
+
+    const integral = ctor.prototype instanceof SaladInteger;
+    if (isAssignableTo(source, "Bool")) {
+      source = new SaladInt(source.valueOf() ? 1 : 0);
+    } else if (integral && isAssignableTo(source, "Float")) {
+      source = new SaladFloat(roundHalfEven(source.valueOf()));
+    } else if (integral && isAssignableTo(source, "Decimal")) {
+      source = source.round(0, SaladDecimal.Rounding.HalfEven);
+    }
+    if (isNumeric(source)) {
+      if (ctor === SaladBool) {
+        return new SaladBool(Number(source.valueOf()) !== 0);
+      }
+      if (enumTypes.has(ctor)) {
+        return ctor.fromValue(Number(Convert.ToLong(source).valueOf()));
+      }
+    }
+    return checked(() => cast(source, name));
+  }
+
+  /**
+   * Formats a value as a string (typed values through their `toString`).
+   * @param {any} value
+   * @returns {SaladString}
+   */
+  static ToString(value) {
+    return Convert.ChangeType(value, "String");
+  }
+
+  /** @param {any} value @returns {SaladBool} */
+  static ToBool(value) {
+    return Convert.ChangeType(value, "Bool");
+  }
+
+  /** @param {any} value @returns {SaladByte} */
+  static ToByte(value) {
+    return Convert.ChangeType(value, "Byte");
+  }
+
+  /** @param {any} value @returns {SaladSByte} */
+  static ToSByte(value) {
+    return Convert.ChangeType(value, "SByte");
+  }
+
+  /** @param {any} value @returns {SaladShort} */
+  static ToShort(value) {
+    return Convert.ChangeType(value, "Short");
+  }
+
+  /** @param {any} value @returns {SaladUShort} */
+  static ToUShort(value) {
+    return Convert.ChangeType(value, "UShort");
+  }
+
+  /** @param {any} value @returns {SaladInt} */
+  static ToInt(value) {
+    return Convert.ChangeType(value, "Int");
+  }
+
+  /** @param {any} value @returns {SaladUInt} */
+  static ToUInt(value) {
+    return Convert.ChangeType(value, "UInt");
+  }
+
+  /** @param {any} value @returns {SaladLong} */
+  static ToLong(value) {
+    return Convert.ChangeType(value, "Long");
+  }
+
+  /** @param {any} value @returns {SaladULong} */
+  static ToULong(value) {
+    return Convert.ChangeType(value, "ULong");
+  }
+
+  /** @param {any} value @returns {SaladFloat} */
+  static ToFloat(value) {
+    return Convert.ChangeType(value, "Float");
+  }
+
+  /** @param {any} value @returns {SaladDecimal} */
+  static ToDecimal(value) {
+    return Convert.ChangeType(value, "Decimal");
+  }
+
+  /** @param {any} value @returns {SaladDate} */
+  static ToDate(value) {
+    return Convert.ChangeType(value, "Date");
+  }
+
+  /** @param {any} value @returns {SaladTimeSpan} */
+  static ToTimeSpan(value) {
+    return Convert.ChangeType(value, "TimeSpan");
+  }
+}
+
+/***********************************************************
+ * TypedIf family
+ * - TypedIf, TypedCompare, TypedWhen
+***********************************************************/
+
+/**
+ * Throws unless a parameter holds a typed value.
+ *
+ * @param {any} value
+ * @param {string} name - The parameter name, for the error message.
+ * @throws {TypeError} If `value` has no `.type`.
+ * @private
+ */
+function requireTyped(value, name) {
+  if (value?.type === undefined) {
+    throw new TypeError(
+      `Parameter '${name}' is untyped (either not a TypeSalad variable or incorrectly defined).`
+    );
+  }
+}
+
+/**
+ * The guard shared by `TypedIf` and `TypedCompare`: both operands must be
+ * typed, and one must be assignable to the other's type or implicitly
+ * convertible to it (so `Int` and `Long` compare as `Long`, like C#'s
+ * numeric promotion).
+ *
+ * @param {any} expr1
+ * @param {any} expr2
+ * @param {string} [name2='expr2'] - The second parameter's name, for error messages.
+ * @returns {Array<TypeSalad>} The two operands, one of them widened if needed.
+ * @throws {TypeError} If either operand is untyped or their types differ.
+ * @private
+ */
+function requireRelatedOperands(expr1, expr2, name2 = "expr2") {
+  requireTyped(expr1, "expr1");
+  requireTyped(expr2, name2);
+  if (isAssignableTo(expr2, expr1.type) || isAssignableTo(expr1, expr2.type)) {
+    return [expr1, expr2];
+  }
+  const widenLeft = findConversion(expr1, expr2.type, true);
+  if (widenLeft) {
+    return [widenLeft.convert(expr1, widenLeft.target), expr2];
+  }
+  const widenRight = findConversion(expr2, expr1.type, true);
+  if (widenRight) {
+    return [expr1, widenRight.convert(expr2, widenRight.target)];
+  }
+  throw new TypeError(
+    `Parameter '${name2}' was type '${expr2.type}' but 'expr1' is type '${expr1.type}'.`
+  );
+}
+
+/**
+ * Calls `onTrue` or `onFalse` (when they are functions) depending on a condition.
+ * @private
+ */
+function runBranch(condition, onTrue, onFalse) {
+  const branch = condition ? onTrue : onFalse;
+  return typeof branch === 'function' ? branch() : undefined;
+}
+
+/**
+ * Ensures both arguments have a `.type` property and optionally compares their values.
+ *
+ * @function TypedIf
+ * @param {object} expr1 - A typed object (e.g., SaladInt, SaladString, etc.).
+ * @param {object} expr2 - Another typed object of the same type.
+ * @param {Function} onEqual - Callback if `expr1.equals(expr2)`.
+ * @param {Function} [onNotEqual] - Optional callback if they differ.
+ * @throws {TypeError} If either argument is untyped or their types differ.
+ */
+function TypedIf(expr1, expr2, onEqual, onNotEqual) {
+  const [first, second] = requireRelatedOperands(expr1, expr2);
+  // A Nullable<T> compares against a plain T, not the other way round
+  const [left, right] = second instanceof SaladNullable ? [second, first] : [first, second];
+  const equal = typeof left.equals === 'function'
+    ? left.equals(right)
+    : left.valueOf() === right.valueOf();
+  runBranch(equal, onEqual, onNotEqual);
+}
+
+/**
+ * The types `TypedCompare` can order.
+ * @private
+ */
+const orderedTypes = ["Integer", "Float", "Decimal", "Date", "TimeSpan", "String"];
+
+/**
+ * Compares two typed values with a relational operator, or tests whether a
+ * value lies in a range, then fires the matching callback like `TypedIf`.
+ *
+ * - `TypedCompare(a, '<', b)` (also `'<='`, `'>'`, `'>='`, `'=='` and `'!='`)
+ * - `TypedCompare(a, 'between', [low, high])`: `low <= a <= high`
+ *   (the bounds can also be a `SaladTuple`)
+ *
+ * Both sides must be typed and of related types (as for `TypedIf`;
+ * numeric operands are widened, so an `Int` compares with a `Long`), and
+ * the type must be ordered: integral, `Float`, `Decimal`, `Date`,
+ * `TimeSpan` or `String` (compared ordinally). As with C#'s lifted
+ * operators, an empty `Nullable<T>` makes every comparison false except
+ * `'!='` (and `'=='` against another empty one).
+ *
+ * @function TypedCompare
+ * @param {TypeSalad} expr1 - The value to test.
+ * @param {string} operator - `'<'`, `'<='`, `'>'`, `'>='`, `'=='`, `'!='` or `'between'`.
+ * @param {TypeSalad|Array<TypeSalad>|SaladTuple} expr2 - The other operand, or `[low, high]` for `'between'`.
+ * @param {Function} [onTrue] - Callback if the comparison holds.
+ * @param {Function} [onFalse] - Callback if it doesn't.
+ * @returns {SaladBool} Whether the comparison holds.
+ * @throws {TypeError} If an operand is untyped, the types differ or aren't ordered, or the operator is unknown.
+ */
+function TypedCompare(expr1, operator, expr2, onTrue, onFalse) {
+  if (operator === "between") {
+    const bounds = expr2 instanceof SaladTuple ? [...expr2] : expr2;
+    if (!Array.isArray(bounds) || bounds.length !== 2) {
+      throw new TypeError("Parameter 'expr2' must be a [low, high] pair for operator 'between'.");
     }
+    const inRange = compareOrdered(expr1, ">=", bounds[0], "expr2[0]") &&
+      compareOrdered(expr1, "<=", bounds[1], "expr2[1]");
+    runBranch(inRange, onTrue, onFalse);
+    return new SaladBool(inRange);
+  }
+  const result = compareOrdered(expr1, operator, expr2, "expr2");
+  runBranch(result, onTrue, onFalse);
+  return new SaladBool(result);
+}
 
-    
+/**
+ * Applies one relational operator for `TypedCompare`.
+ *
+ * @param {TypeSalad} expr1
+ * @param {string} operator
+ * @param {TypeSalad} expr2
+ * @param {string} name2 - The second operand's parameter name, for error messages.
+ * @returns {boolean}
+ * @private
+ */
+function compareOrdered(expr1, operator, expr2, name2) {
+  if (!["<", "<=", ">", ">=", "==", "!="].includes(operator)) {
+    throw new TypeError(`Parameter 'operator' was '${operator}', expected one of '<', '<=', '>', '>=', '==', '!=' or 'between'.`);
+  }
+  const operands = requireRelatedOperands(expr1, expr2, name2);
+  const [left, right] = operands.map(v => (v instanceof SaladNullable ? (v.hasValue ? v.value : null) : v));
+  const present = left ?? right;
+  if (present !== null && !orderedTypes.some(t => isAssignableTo(present, t))) {
+    throw new TypeError(`Parameter 'expr1' was type '${expr1.type}', which can't be ordered.`);
+  }
+  if (left === null || right === null) {
+    return operator === "!=" ? left !== right : operator === "==" && left === right;
+  }
+  const order = left.compareTo(right);
+  switch (operator) {
+    case "<": return order < 0;
+    case "<=": return order <= 0;
+    case ">": return order > 0;
+    case ">=": return order >= 0;
+    case "==": return order === 0;
+    default: return order !== 0;
+  }
+}
+
+/**
+ * A typed conditional expression (like C#'s `condition ? a : b`): returns
+ * `onTrue` or `onFalse`, calling it first if it is a function.
+ *
+ * @function TypedWhen
+ * @param {SaladBool} condition - The typed condition.
+ * @param {any} onTrue - The value (or a function producing it) when the condition is true.
+ * @param {any} [onFalse] - The value (or a function producing it) when it is false.
+ * @returns {any} The chosen value.
+ * @throws {TypeError} If `condition` is untyped or not a `Bool`.
+ */
+function TypedWhen(condition, onTrue, onFalse) {
+  requireTyped(condition, "condition");
+  if (!isAssignableTo(condition, "Bool")) {
+    throw new TypeError(`Parameter 'condition' was type '${condition.type}', expected 'Bool'.`);
+  }
+  const branch = condition.valueOf() ? onTrue : onFalse;
+  return typeof branch === 'function' ? branch() : branch;
+}
+
+/***********************************************************
+ * Pattern matching
+ * - Match(value).case(...).default(...)
+***********************************************************/
+
+/**
+ * Reads a member for a property pattern: `get(key)` on a SaladObject, the
+ * property itself on anything else.
+ * @private
+ */
+function patternMember(value, key) {
+  if (value instanceof SaladObject) {
+    return Object.hasOwn(value.valueOf(), key) ? { found: true, member: value.get(key) } : { found: false };
+  }
+  return key in value ? { found: true, member: value[key] } : { found: false };
+}
+
+/**
+ * Tests a value against a pattern (see `Match`).
+ *
+ * @param {any} value - The value (an empty `Nullable<T>` counts as null).
+ * @param {any} pattern
+ * @returns {boolean}
+ * @private
+ */
+function matchesPattern(value, pattern) {
+  if (value instanceof SaladNullable) {
+    value = value.hasValue ? value.value : null;
+  }
+  if (pattern === null || pattern === undefined) {
+    return value === null || value === undefined;
+  }
+  if (typeof pattern === "string" || pattern instanceof SaladInterface) {
+    return value !== null && value !== undefined && isAssignableTo(value, pattern);
+  }
+  if (typeof pattern === "function") {
+    return value instanceof pattern;
+  }
+  if (Array.isArray(pattern)) {
+    const items = value instanceof SaladTuple || Array.isArray(value) ? [...value] : null;
+    return items !== null && items.length === pattern.length && pattern.every((p, i) => matchesPattern(items[i], p));
+  }
+  if (isPlainObject(pattern)) {
+    return value !== null && typeof value === "object" && Object.entries(pattern).every(([key, p]) => {
+      const { found, member } = patternMember(value, key);
+      return found && matchesPattern(member, p);
+    });
+  }
+  if (pattern instanceof TypeSalad) {
+    return TypeSalad.equals(pattern, value);
+  }
+  return value === pattern || (value instanceof TypeSalad && value.valueOf() === pattern);
+}
+
+/**
+ * Whether an unguarded type pattern covers every value of a class.
+ * @private
+ */
+function patternCoversType(pattern, ctor) {
+  if (pattern === "any") {
+    return true;
+  }
+  const patternCtor = typeof pattern === "function" ? pattern
+    : typeof pattern === "string" ? findType(pattern)?.ctor : undefined;
+  return patternCtor !== undefined && (ctor === patternCtor || ctor.prototype instanceof patternCtor);
+}
+
+/**
+ * The chain returned by `Match(value)`. Cases are tried in order when a
+ * terminal method (`default`, `exhaustive` or `result`) is called, and the
+ * first matching case's handler result is returned.
+ *
+ * @class MatchExpression
+ */
+class MatchExpression {
+  /**
+   * @param {any} value - The value being matched.
+   * @private
+   */
+  constructor(value) {
+    this._value = value;
 
     /**
-     * A cached string value for internal comparisons.
-     * @type {string}
+     * The cases, in order.
+     * @type {Array<{pattern: any, guard: (Function|null), handler: Function}>}
      * @private
      */
-    this._valString = `${x},${y}`;
+    this._cases = [];
   }
 
   /**
-   * Returns the stable string so two identical vectors compare as equal.
-   * @returns {string}
+   * Adds a case: `case(pattern, handler)` or `case(pattern, guard, handler)`.
+   *
+   * @param {any} pattern - See `Match` for the pattern forms.
+   * @param {Function} guardOrHandler - A guard `(value) => boolean` (or `SaladBool`), or the handler.
+   * @param {Function} [handler] - `(value) => result`, when a guard is given.
+   * @returns {MatchExpression} This chain.
+   * @throws {TypeError} If the guard or handler is not a function.
    */
-  valueOf() {
-    return this._valString;
+  case(pattern, guardOrHandler, handler) {
+    const guard = arguments.length >= 3 ? guardOrHandler : null;
+    const fn = arguments.length >= 3 ? handler : guardOrHandler;
+    if (guard !== null && typeof guard !== "function") {
+      throw new TypeError(`Parameter 'guard' was type '${typeof guard}', expected 'function'.`);
+    }
+    if (typeof fn !== "function") {
+      throw new TypeError(`Parameter 'handler' was type '${typeof fn}', expected 'function'.`);
+    }
+    this._cases.push({ pattern, guard, handler: fn });
+    return this;
   }
 
   /**
-   * Returns a `GenericList` containing typed coordinates ([SaladString, SaladString]).
-   * @returns {Object} An instance of the generated GenericList class.
+   * The value handed to guards and handlers (a `Nullable<T>`'s value, if it has one).
+   * @type {any}
+   * @private
    */
-  value() {
-    const GL = createGenericList("String");
-    const list = new GL();
-    list.add(new SaladString(String(this.x)));
-    list.add(new SaladString(String(this.y)));
-    return list;
+  get _subject() {
+    return this._value instanceof SaladNullable && this._value.hasValue ? this._value.value : this._value;
   }
 
   /**
-   * Returns a string representation of the vector.
-   * @returns {string}
+   * Runs the first matching case.
+   * @returns {{matched: boolean, result?: any}}
+   * @private
    */
-  toString() {
-    return new SaladString(`${this.x}, ${this.y}`);
+  _run() {
+    const subject = this._subject;
+    for (const { pattern, guard, handler } of this._cases) {
+      if (matchesPattern(this._value, pattern) && (guard === null || isTruthy(guard(subject)))) {
+        return { matched: true, result: handler(subject) };
+      }
+    }
+    return { matched: false };
   }
 
   /**
-   * Returns a plain object representation for JSON serialization.
-   * @returns {{x: (string|number), y: (string|number)}}
+   * Evaluates the match, falling back to `handler` when no case matches
+   * (like C#'s `_ =>` arm).
+   *
+   * @param {Function} handler - `(value) => result`.
+   * @returns {any} The chosen branch's result.
+   * @throws {TypeError} If `handler` is not a function.
    */
-  toJSON() {
-    return { x: this.x, y: this.y };
+  default(handler) {
+    if (typeof handler !== "function") {
+      throw new TypeError(`Parameter 'handler' was type '${typeof handler}', expected 'function'.`);
+    }
+    const { matched, result } = this._run();
+    return matched ? result : handler(this._subject);
+  }
+
+  /**
+   * Evaluates the match after checking that the cases cover every
+   * possibility, whatever the value: every member of the value's enum (when
+   * no types are given), or every one of a closed set of types (e.g. the
+   * record types of a union). Only unguarded cases count towards coverage.
+   *
+   * @param {...(Function|string)} types - The closed set of classes or type names.
+   * @returns {any} The chosen branch's result.
+   * @throws {TypeError} If a member or type is not covered, the value is outside the set,
+   *   or no types are given for a non-enum value.
+   */
+  exhaustive(...types) {
+    const unguarded = this._cases.filter(c => c.guard === null).map(c => c.pattern);
+    const ctor = this._value?.constructor;
+    if (types.length === 0) {
+      if (!enumTypes.has(ctor)) {
+        throw new TypeError(
+          `exhaustive() needs the closed set of types for a value of type '${this._value?.type ?? typeof this._value}'.`
+        );
+      }
+      const missing = ctor.values().filter(member => !unguarded.some(p => matchesPattern(member, p)));
+      if (missing.length > 0) {
+        throw new TypeError(`Match on '${this._value.type}' is not exhaustive; missing ${missing.map(displayString).join(", ")}.`);
+      }
+    } else {
+      const closed = types.map(type => {
+        const resolved = typeof type === "function" ? type : findType(typeArgName(type))?.ctor;
+        if (!resolved) {
+          throw new TypeError(`Type '${typeArgName(type)}' is not registered.`);
+        }
+        return resolved;
+      });
+      const missing = closed.filter(type => !unguarded.some(p => patternCoversType(p, type)));
+      if (missing.length > 0) {
+        throw new TypeError(`Match is not exhaustive; missing ${missing.map(type => typesByConstructor.get(type)?.name ?? type.name).join(", ")}.`);
+      }
+      if (!closed.some(type => this._value instanceof type)) {
+        throw new TypeError(
+          `Value of type '${this._value?.type ?? typeof this._value}' is outside the types given to exhaustive().`
+        );
+      }
+    }
+    return this.result();
+  }
+
+  /**
+   * Evaluates the match.
+   * @returns {any} The chosen branch's result.
+   * @throws {Error} If no case matches.
+   */
+  result() {
+    const { matched, result } = this._run();
+    if (!matched) {
+      throw new Error(`No case matched the value '${displayString(this._value)}' of type '${this._value?.type ?? typeof this._value}'.`);
+    }
+    return result;
   }
 }
 
 /**
- * Represents a 3D vector in TypeSalad.
+ * Starts a switch expression over a value, like C#'s `value switch { ... }`:
  *
- * @class SaladVec3
+ *     const label = Match(shape)
+ *       .case(Circle, c => c.radius.valueOf() > 10, () => 'big circle')
+ *       .case({ radius: 'Float' }, () => 'circle')
+ *       .case('Square', () => 'square')
+ *       .default(() => 'other');
+ *
+ * Patterns:
+ * - a type name or interface (`'Int'`, `'List<String>'`, `'any'`), checked with `isAssignableTo`;
+ * - a class (`SaladInt`, a record class), checked with `instanceof`;
+ * - a constant: a typed value or enum member (compared with `equals`) or a raw number/boolean;
+ * - `null`, matching null, undefined or an empty `Nullable<T>`;
+ * - a property pattern (`{ age: 'Int', name: SaladString }`), whose values are nested patterns
+ *   (a string there is still a type name; use `new SaladString('Bob')` for a constant);
+ * - a tuple pattern (`['Int', 'any']`), matching a `SaladTuple` or array element by element.
+ *
+ * A `Nullable<T>` with a value is matched (and passed to handlers) as its `T`.
+ *
+ * @function Match
+ * @param {any} value - The value to match.
+ * @returns {MatchExpression}
+ */
+function Match(value) {
+  return new MatchExpression(value);
+}
+
+/***************************************************************
+ * Tasks and Cancellation
+ * - OperationCanceledError, TimeoutError
+ * - CancellationTokenSource / CancellationToken (over AbortController)
+ * - SaladTask<T>: a typed, cancellable promise
+ ***************************************************************/
+
+/**
+ * Thrown (or rejected with) when an operation is canceled through a
+ * `CancellationToken`, like C#'s `OperationCanceledException`.
+ *
+ * @class OperationCanceledError
+ * @extends Error
+ */
+class OperationCanceledError extends Error {
+  /**
+   * @param {string} [message="The operation was canceled."]
+   * @param {CancellationToken} [cancellationToken=CancellationToken.None] - The token that was canceled.
+   */
+  constructor(message = "The operation was canceled.", cancellationToken = CancellationToken.None) {
+    super(message);
+    this.name = "OperationCanceledError";
+
+    /**
+     * The token that was canceled.
+     * @type {CancellationToken}
+     */
+    this.cancellationToken = cancellationToken;
+  }
+}
+
+/**
+ * Thrown (or rejected with) when `SaladTask.Timeout` runs out of time, like
+ * C#'s `TimeoutException`.
+ *
+ * @class TimeoutError
+ * @extends Error
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {string} [message="The operation has timed out."]
+   */
+  constructor(message = "The operation has timed out.") {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Converts a delay (milliseconds as a number or typed integer, or a
+ * `SaladTimeSpan`) to milliseconds.
+ *
+ * @param {number|SaladInteger|SaladTimeSpan} value
+ * @param {string} name - The parameter name, for error messages.
+ * @returns {number}
+ * @throws {RangeError} If the delay is not a non-negative number of milliseconds.
+ * @private
+ */
+function toMilliseconds(value, name) {
+  const raw = value instanceof SaladTimeSpan ? value.totalMilliseconds : value?.valueOf?.();
+  const ms = typeof raw === "bigint" ? Number(raw) : raw;
+  if (typeof ms !== "number" || !Number.isFinite(ms) || ms < 0) {
+    throw new RangeError(`Parameter '${name}' must be a non-negative number of milliseconds or a TimeSpan.`);
+  }
+  return ms;
+}
+
+/**
+ * Ensures a value is a `CancellationToken`.
+ * @param {any} token
+ * @returns {CancellationToken}
+ * @throws {TypeError} If it isn't.
+ * @private
+ */
+function requireToken(token) {
+  if (!(token instanceof CancellationToken)) {
+    throw new TypeError(`Parameter 'cancellationToken' was type '${token?.type ?? typeof token}', expected 'CancellationToken'.`);
+  }
+  return token;
+}
+
+/**
+ * Ensures every value in a list is a `SaladTask`.
+ * @param {Iterable<any>} tasks
+ * @param {string} methodName - For error messages.
+ * @returns {SaladTask[]}
+ * @throws {TypeError} If a value isn't a task.
+ * @private
+ */
+function requireTasks(tasks, methodName) {
+  const list = [...tasks];
+  for (const task of list) {
+    if (!(task instanceof SaladTask)) {
+      throw new TypeError(`${methodName} expects SaladTask values, got '${task?.type ?? typeof task}'.`);
+    }
+  }
+  return list;
+}
+
+/**
+ * Returns the result type shared by some tasks, or `'any'` if they differ.
+ * @param {SaladTask[]} tasks
+ * @returns {string}
+ * @private
+ */
+function commonResultType(tasks) {
+  const types = new Set(tasks.map(task => task.genericArguments[0]));
+  return types.size === 1 ? [...types][0] : "any";
+}
+
+/**
+ * A token that tells an operation its work has been canceled, like C#'s
+ * `CancellationToken`. Get one from a `CancellationTokenSource`, or use
+ * `CancellationToken.None` for an operation that can't be canceled.
+ *
+ * The underlying `AbortSignal` (`token.signal`) can be handed to APIs such
+ * as `fetch` or `fs.readFile`.
+ *
+ * @class CancellationToken
  * @extends TypeSalad
  */
-class SaladVec3 extends TypeSalad {
+class CancellationToken extends TypeSalad {
   /**
-   * @param {string|number} x - The X component.
-   * @param {string|number} y - The Y component.
-   * @param {string|number} z - The Z component.
+   * @param {AbortSignal|null} [signal=null] - The signal to observe; `null` for a token that is never canceled.
+   * @throws {TypeError} If `signal` is not an AbortSignal.
    */
-  constructor(x, y, z) {
+  constructor(signal = null) {
     super();
-    if((typeof x == "string" || typeof x == "number") && (typeof y == "string" || typeof y == "number") && (typeof z == "string" || typeof z == "number")){
-      this.x = x;
-      this.y = y;
-      this.z = z;
-      this.type = "Vec3";
-    } else {
-      throw new TypeError(`Error: Input values was internal type '${typeof x}', '${typeof y}', and '${typeof z}' expected internal types 'string' or 'number'.`);
+    if (signal !== null && !(signal instanceof AbortSignal)) {
+      throw new TypeError(`CancellationToken expects an AbortSignal, got '${typeof signal}'.`);
     }
 
     /**
-     * A cached string value for internal comparisons.
-     * @type {string}
+     * @type {AbortSignal|null}
      * @private
      */
-    this._valString = `${x},${y},${z}`;
+    this._signal = signal;
+    this.type = "CancellationToken";
   }
 
   /**
-   * Returns a stable string for equality checks.
-   * @returns {string}
+   * A token that is never canceled.
+   * @type {CancellationToken}
    */
-  valueOf() {
-    return this._valString;
+  static get None() {
+    return noneToken;
   }
 
   /**
-   * Returns a `GenericList` containing typed coordinates ([SaladString, SaladString, SaladString]).
-   * @returns {Object} An instance of the generated GenericList class.
+   * Whether cancellation has been requested.
+   * @type {boolean}
+   * @readonly
    */
-  value() {
-    const GL = createGenericList("String");
-    const list = new GL();
-    list.add(new SaladString(String(this.x)));
-    list.add(new SaladString(String(this.y)));
-    list.add(new SaladString(String(this.z)));
-    return list;
+  get isCancellationRequested() {
+    return this._signal?.aborted ?? false;
   }
 
   /**
-   * Returns a string representation of the vector.
-   * @returns {string}
+   * Whether the token can ever be canceled (false for `CancellationToken.None`).
+   * @type {boolean}
+   * @readonly
    */
-  toString() {
-    return new SaladString(`${this.x}, ${this.y}, ${this.z}`);
+  get canBeCanceled() {
+    return this._signal !== null;
   }
 
   /**
-   * Returns a plain object representation for JSON serialization.
-   * @returns {{x: (string|number), y: (string|number), z: (string|number)}}
+   * The underlying AbortSignal (one that never aborts for `None`).
+   * @type {AbortSignal}
+   * @readonly
    */
-  toJSON() {
-    return { x: this.x, y: this.y, z: this.z };
+  get signal() {
+    return this._signal ?? neverAbortedSignal;
+  }
+
+  /**
+   * Throws if cancellation has been requested.
+   * @throws {OperationCanceledError}
+   */
+  throwIfCancellationRequested() {
+    if (this.isCancellationRequested) {
+      throw new OperationCanceledError(undefined, this);
+    }
+  }
+
+  /**
+   * Registers a callback to run when the token is canceled. If it already
+   * is, the callback runs immediately.
+   *
+   * @param {Function} callback - Called with no arguments.
+   * @returns {{dispose: Function}} Call `dispose()` to unregister the callback.
+   * @throws {TypeError} If `callback` is not a function.
+   */
+  register(callback) {
+    if (typeof callback !== "function") {
+      throw new TypeError("register expects a callback function.");
+    }
+    if (this._signal === null) {
+      return { dispose() {} };
+    }
+    if (this._signal.aborted) {
+      callback();
+      return { dispose() {} };
+    }
+    const listener = () => callback();
+    this._signal.addEventListener("abort", listener, { once: true });
+    return { dispose: () => this._signal.removeEventListener("abort", listener) };
+  }
+
+  /**
+   * Returns e.g. `CancellationToken (canceled)`.
+   * @returns {SaladString}
+   */
+  toString() {
+    return new SaladString(`CancellationToken (${this.isCancellationRequested ? "canceled" : "not canceled"})`);
   }
 }
 
-/***************************************************************
- * Additional TypeSalad Classes
- ***************************************************************/
+const noneToken = new CancellationToken();
+const neverAbortedSignal = new AbortController().signal;
 
 /**
- * A wrapped boolean type in TypeSalad.
+ * Creates and cancels `CancellationToken`s, like C#'s
+ * `CancellationTokenSource`, on top of an `AbortController`:
  *
- * @class SaladBool
+ *     const cts = new CancellationTokenSource();
+ *     const task = files.readText(name, cts.token);
+ *     cts.cancel(); // task ends as Canceled with an OperationCanceledError
+ *
+ * A source created with a delay (or after `cancelAfter`) cancels itself
+ * when it runs out; call `dispose()` once it is no longer needed to stop
+ * the timer.
+ *
+ * @class CancellationTokenSource
  * @extends TypeSalad
  */
-class SaladBool extends TypeSalad {
+class CancellationTokenSource extends TypeSalad {
+  /**
+   * @param {number|SaladInteger|SaladTimeSpan} [delay] - Cancel automatically after this long.
+   * @throws {RangeError} If `delay` is negative or not a number.
+   */
+  constructor(delay) {
+    super();
+
+    /**
+     * @type {AbortController}
+     * @private
+     */
+    this._controller = new AbortController();
+    this._token = new CancellationToken(this._controller.signal);
+    this._timer = null;
+    this._links = [];
+    this.type = "CancellationTokenSource";
+    if (delay !== undefined) {
+      this.cancelAfter(delay);
+    }
+  }
+
   /**
-   * @param {boolean} value - The boolean value.
+   * Creates a source that is canceled when any of the given tokens is.
+   * @param {...CancellationToken} tokens
+   * @returns {CancellationTokenSource}
+   * @throws {TypeError} If an argument is not a CancellationToken.
    */
-  constructor(value) {
-    super();
-    this._value = !!value; // Force to boolean
-    this.type = "Bool";
+  static CreateLinkedTokenSource(...tokens) {
+    const source = new CancellationTokenSource();
+    source._links = tokens.map(token => requireToken(token).register(() => source.cancel()));
+    return source;
   }
 
   /**
-   * Returns a string representation of the boolean.
-   * @returns {string}
+   * The token controlled by this source.
+   * @type {CancellationToken}
+   * @readonly
    */
-  toString() {
-    return new SaladString(String(this._value));
+  get token() {
+    return this._token;
   }
 
   /**
-   * Returns the internal boolean value.
-   * @returns {boolean}
+   * Whether `cancel()` has been called (or the delay has run out).
+   * @type {boolean}
+   * @readonly
    */
-  valueOf() {
-    return this._value;
+  get isCancellationRequested() {
+    return this._token.isCancellationRequested;
   }
-}
 
-/**
- * A wrapped floating-point number in TypeSalad.
- *
- * @class SaladFloat
- * @extends TypeSalad
- */
-class SaladFloat extends TypeSalad {
   /**
-   * @param {number|string} value - The initial value, coerced to float.
+   * Requests cancellation: the token's registered callbacks run and its
+   * signal aborts with an `OperationCanceledError`. Does nothing if already canceled.
    */
-  constructor(value) {
-    super();
-    this._value = Number(value);
-    this.type = "Float";
+  cancel() {
+    if (this.isCancellationRequested) {
+      return;
+    }
+    this.dispose();
+    this._controller.abort(new OperationCanceledError(undefined, this._token));
   }
 
   /**
-   * Returns a string representation of the float value.
-   * @returns {string}
+   * Schedules cancellation, replacing any earlier schedule.
+   * @param {number|SaladInteger|SaladTimeSpan} delay - Milliseconds or a time span.
+   * @throws {RangeError} If `delay` is negative or not a number.
    */
-  toString() {
-    return new SaladString(String(this._value));
+  cancelAfter(delay) {
+    const ms = toMilliseconds(delay, "delay");
+    if (this.isCancellationRequested) {
+      return;
+    }
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.cancel(), ms);
   }
 
   /**
-   * Returns the internal float as a number.
-   * @returns {number}
+   * Stops a pending `cancelAfter` timer and unlinks the source from the
+   * tokens it was linked to. The token keeps its current state.
    */
-  valueOf() {
-    return this._value;
+  dispose() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    for (const link of this._links) {
+      link.dispose();
+    }
+    this._links = [];
   }
 }
 
 /**
- * A wrapped Date object in TypeSalad.
+ * A typed, cancellable asynchronous operation, like C#'s `Task<T>`. The
+ * result is checked against the declared type when the work finishes, and
+ * the task is thenable, so it can be awaited like a promise:
  *
- * @class SaladDate
+ *     const task = new SaladTask('Int', async token => {
+ *       await SaladTask.Delay(100, token);
+ *       return new SaladInt(42);
+ *     }, cts.token);
+ *     const answer = await task; // SaladInt 42
+ *
+ * Use `'void'` for an operation without a result. `status` follows C#'s
+ * `TaskStatus`: `Running`, then `RanToCompletion`, `Faulted` or `Canceled`.
+ * A task whose token is canceled ends as `Canceled` straight away, even if
+ * its work hasn't noticed yet. Like a promise, a task that faults and is
+ * never awaited (or observed by a combinator) raises an unhandled rejection;
+ * a canceled one doesn't, as cancellation is an expected outcome.
+ *
+ * @class SaladTask
  * @extends TypeSalad
  */
-class SaladDate extends TypeSalad {
+class SaladTask extends TypeSalad {
   /**
-   * @param {Date|number|string} value - An existing Date or a value to be passed into `new Date()`.
+   * Starts the task.
+   *
+   * @param {string|SaladInterface} resultType - The result type `T` (`'void'`, `'any'` or a type name).
+   * @param {Function|PromiseLike<any>|any} work - `(cancellationToken) => result` (sync or async), or a promise of the result.
+   *   A promise or task returned by the work is awaited, and its result becomes this task's result.
+   * @param {CancellationToken} [cancellationToken=CancellationToken.None]
+   * @throws {TypeError} If the result type or token is invalid.
    */
-  constructor(value) {
+  constructor(resultType, work, cancellationToken = CancellationToken.None) {
     super();
-    if (value instanceof Date) {
-      this._value = value;
-    } else {
-      this._value = new Date(value); // May throw RangeError if invalid
-    }
-    this.type = "Date";
+    const arg = typeArgName(resultType);
+    requireToken(cancellationToken);
+
+    /**
+     * The generic argument (e.g. `['Int']`).
+     * @type {string[]}
+     */
+    this.genericArguments = [arg];
+    this.type = `Task<${arg}>`;
+    this._status = "Running";
+    this._result = undefined;
+    this._exception = null;
+
+    /**
+     * Settles with the checked result, or the exception.
+     * @type {Promise<any>}
+     * @private
+     */
+    this._promise = new Promise((resolve, reject) => {
+      this._run(work, cancellationToken).then(resolve, error => {
+        reject(error);
+        if (error instanceof OperationCanceledError) {
+          this._promise.catch(() => {});
+        }
+      });
+    });
   }
 
   /**
-   * Returns an ISO string representation of the date.
-   * @returns {string}
+   * Runs the work, racing it against the token.
+   * @private
    */
-  toString() {
-    return new SaladString(this._value.toISOString());
+  async _run(work, token) {
+    let registration = null;
+    try {
+      token.throwIfCancellationRequested();
+      const canceled = new Promise((resolve, reject) => {
+        registration = token.register(() => reject(new OperationCanceledError(undefined, token)));
+      });
+      const started = Promise.resolve().then(() => (typeof work === "function" ? work(token) : work));
+      return this._complete(await Promise.race([started, canceled]));
+    } catch (error) {
+      throw this._fail(error, token);
+    } finally {
+      registration?.dispose();
+    }
   }
 
   /**
-   * Returns the numeric timestamp representation of the date.
-   * @returns {number}
+   * Checks the result and marks the task as completed.
+   * @private
    */
-  valueOf() {
-    return this._value.valueOf();
+  _complete(value) {
+    const resultType = this.genericArguments[0];
+    const ok = resultType === "void" ? value === undefined : isAssignableTo(value, resultType);
+    if (!ok) {
+      throw new TypeError(`Result of ${this.type} was type '${value?.type ?? typeof value}', expected '${resultType}'.`);
+    }
+    this._result = liftNullable(value, resultType);
+    this._status = "RanToCompletion";
+    return this._result;
   }
 
   /**
-   * The full year (e.g. 2025).
-   * @type {number}
-   * @readonly
+   * Records the exception, turning an abort of the task's token into an
+   * `OperationCanceledError`.
+   * @private
    */
-  get year() {
-    return this._value.getFullYear();
+  _fail(error, token) {
+    if (!(error instanceof OperationCanceledError) && error?.name === "AbortError" && token.isCancellationRequested) {
+      error = new OperationCanceledError(undefined, token);
+    }
+    this._status = error instanceof OperationCanceledError ? "Canceled" : "Faulted";
+    this._exception = error;
+    return error;
   }
 
   /**
-   * The month (1-12).
-   * @type {number}
-   * @readonly
+   * Returns a task that has already completed with a value.
+   * @param {string|SaladInterface} resultType
+   * @param {any} value
+   * @returns {SaladTask}
    */
-  get month() {
-    return this._value.getMonth() + 1;
+  static FromResult(resultType, value) {
+    return new SaladTask(resultType, () => value);
   }
 
   /**
-   * The day of the month (1-31).
-   * @type {number}
-   * @readonly
+   * Returns a task that completes after a delay.
+   * @param {number|SaladInteger|SaladTimeSpan} delay - Milliseconds or a time span.
+   * @param {CancellationToken} [cancellationToken=CancellationToken.None] - Cancels the wait.
+   * @returns {SaladTask} A `Task<void>`.
+   * @throws {RangeError} If `delay` is negative or not a number.
    */
-  get day() {
-    return this._value.getDate();
+  static Delay(delay, cancellationToken = CancellationToken.None) {
+    const ms = toMilliseconds(delay, "delay");
+    return new SaladTask("void", token => new Promise(resolve => {
+      const timer = setTimeout(() => {
+        registration.dispose();
+        resolve();
+      }, ms);
+      const registration = token.register(() => clearTimeout(timer));
+    }), cancellationToken);
   }
-}
 
-/**
- * A basic array-like type in TypeSalad.
- *
- * @class SaladArray
- * @extends TypeSalad
- */
-class SaladArray extends TypeSalad {
   /**
-   * @param {Array<any>} [items=[]] - Initial items in the array.
+   * Returns a task that completes when all the tasks have. Its result is a
+   * `SaladArray` of their results in order (or nothing if they are all
+   * `Task<void>`). If any task faulted, it rethrows the first exception;
+   * otherwise, if any was canceled, it is canceled.
+   *
+   * @param {Iterable<SaladTask>} tasks
+   * @param {CancellationToken} [cancellationToken=CancellationToken.None] - Stops waiting.
+   * @returns {SaladTask} A `Task<Array<T>>`, or `Task<void>`.
+   * @throws {TypeError} If a value isn't a task.
    */
-  constructor(items = []) {
-    super();
-    this._items = items;
-    this.type = "Array";
+  static WhenAll(tasks, cancellationToken = CancellationToken.None) {
+    const list = requireTasks(tasks, "WhenAll");
+    const elementType = commonResultType(list);
+    const allVoid = list.length > 0 && elementType === "void";
+    const resultType = allVoid ? "void" : elementType === "any" ? "Array" : `Array<${elementType}>`;
+    return new SaladTask(resultType, async () => {
+      const outcomes = await Promise.allSettled(list.map(task => task._promise));
+      const failures = outcomes.filter(outcome => outcome.status === "rejected").map(outcome => outcome.reason);
+      const fault = failures.find(error => !(error instanceof OperationCanceledError));
+      if (failures.length > 0) {
+        throw fault ?? failures[0];
+      }
+      if (allVoid) {
+        return undefined;
+      }
+      const results = outcomes.map(outcome => outcome.value);
+      return elementType === "any" ? new SaladArray(results) : new SaladArray(results, elementType);
+    }, cancellationToken);
   }
 
   /**
-   * Pushes an item onto the end of the array.
-   * @param {any} item - The item to add.
+   * Returns a task that completes when any of the tasks has (successfully or
+   * not). Its result is the index of that task as a `SaladInt`, like C#'s
+   * `Task.WaitAny`: a task is thenable, so awaiting a result that was a
+   * task would unwrap it.
+   *
+   *     const i = await SaladTask.WhenAny(tasks);
+   *     const first = tasks[i.valueOf()];
+   *
+   * @param {Iterable<SaladTask>} tasks
+   * @param {CancellationToken} [cancellationToken=CancellationToken.None] - Stops waiting.
+   * @returns {SaladTask} A `Task<Int>`.
+   * @throws {TypeError} If a value isn't a task, or there are none.
    */
-  push(item) {
-    this._items.push(item);
+  static WhenAny(tasks, cancellationToken = CancellationToken.None) {
+    const list = requireTasks(tasks, "WhenAny");
+    if (list.length === 0) {
+      throw new TypeError("WhenAny expects at least one task.");
+    }
+    return new SaladTask("Int", () => new Promise(resolve => {
+      list.forEach((task, index) => {
+        const settle = () => resolve(new SaladInt(index));
+        task._promise.then(settle, settle);
+      });
+    }), cancellationToken);
   }
 
   /**
-   * Removes and returns the last item in the array.
-   * @returns {any} The removed item.
+   * Returns a task with the same result as `task`, or that fails with a
+   * `TimeoutError` if `task` takes longer than `timeout`. The original task
+   * keeps running; give it a token from `new CancellationTokenSource(timeout)`
+   * to stop its work too.
+   *
+   * @param {SaladTask} task
+   * @param {number|SaladInteger|SaladTimeSpan} timeout - Milliseconds or a time span.
+   * @returns {SaladTask} A `Task<T>`.
+   * @throws {TypeError} If `task` isn't a task.
+   * @throws {RangeError} If `timeout` is negative or not a number.
    */
-  pop() {
-    return this._items.pop();
+  static Timeout(task, timeout) {
+    const [source] = requireTasks([task], "Timeout");
+    const ms = toMilliseconds(timeout, "timeout");
+    return new SaladTask(source.genericArguments[0], () => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new TimeoutError()), ms);
+      source._promise.then(
+        value => { clearTimeout(timer); resolve(value); },
+        error => { clearTimeout(timer); reject(error); }
+      );
+    }));
   }
 
   /**
-   * The current length of the array.
-   * @type {number}
+   * The task's status: `'Running'`, `'RanToCompletion'`, `'Faulted'` or `'Canceled'`.
+   * @type {string}
    * @readonly
    */
-  get length() {
-    return this._items.length;
+  get status() {
+    return this._status;
   }
 
   /**
-   * Returns a shallow copy of a portion of the array.
-   * @param {...any} args - Same parameters as `Array.prototype.slice`.
-   * @returns {SaladArray} A new SaladArray instance containing the sliced portion.
+   * Whether the task has finished, in any way.
+   * @type {boolean}
+   * @readonly
    */
-  slice(...args) {
-    return new SaladArray(this._items.slice(...args));
+  get isCompleted() {
+    return this._status !== "Running";
   }
 
   /**
-   * Returns a string representation of the array.
-   * @returns {string}
+   * Whether the task finished with a result.
+   * @type {boolean}
+   * @readonly
    */
-  toString() {
-    return new SaladString(`[${this._items.map(el => el?.toString?.() || el).join(", ")}]`);
+  get isCompletedSuccessfully() {
+    return this._status === "RanToCompletion";
   }
 
   /**
-   * Returns the internal array for numeric or other operations.
-   * @returns {Array<any>}
+   * Whether the task failed with an exception.
+   * @type {boolean}
+   * @readonly
    */
-  valueOf() {
-    return this._items;
+  get isFaulted() {
+    return this._status === "Faulted";
   }
-}
 
-/**
- * A key–value dictionary in TypeSalad that can store typed or untyped data.
- *
- * @class SaladObject
- * @extends TypeSalad
- */
-class SaladObject extends TypeSalad {
   /**
-   * @param {Object} [obj={}] - The initial plain object.
-   * @throws {TypeError} If `obj` is not a plain object.
+   * Whether the task was canceled.
+   * @type {boolean}
+   * @readonly
    */
-  constructor(obj = {}) {
-    super();
-    if (typeof obj !== "object" || obj === null || Array.isArray(obj)) {
-      throw new TypeError("SaladObject expects a plain object.");
-    }
-    this._obj = obj;
-    this.type = "Object";
+  get isCanceled() {
+    return this._status === "Canceled";
   }
 
   /**
-   * Retrieves a value by key from the object.
-   * @param {string} key - The property key.
-   * @returns {any} The value stored under that key.
+   * The exception the task failed or was canceled with, or null.
+   * @type {Error|null}
+   * @readonly
    */
-  get(key) {
-    return this._obj[key];
+  get exception() {
+    return this._exception;
   }
 
   /**
-   * Sets a value by key in the object.
-   * @param {string} key - The property key.
-   * @param {any} value - The value to store.
+   * The result of a completed task. Await the task to wait for it.
+   * @type {any}
+   * @throws {Error} If the task is still running.
+   * @throws {any} The task's exception, if it faulted or was canceled.
    */
-  set(key, value) {
-    this._obj[key] = value;
+  get result() {
+    if (this._status === "Running") {
+      throw new Error(`${this.type} has not completed; await it to get the result.`);
+    }
+    if (this._exception !== null) {
+      throw this._exception;
+    }
+    return this._result;
   }
 
   /**
-   * Returns a JSON string representation of the object.
-   * @returns {string}
+   * Runs a continuation once this task finishes, whatever its outcome, and
+   * returns a task for the continuation's result.
+   *
+   * @param {string|SaladInterface} [resultType='any'] - The continuation's result type (may be omitted).
+   * @param {Function} continuation - `(antecedentTask, cancellationToken) => result`.
+   * @param {CancellationToken} [cancellationToken=CancellationToken.None]
+   * @returns {SaladTask}
+   * @throws {TypeError} If `continuation` is not a function.
    */
-  toString() {
-    return new SaladString(JSON.stringify(this._obj));
+  ContinueWith(resultType, continuation, cancellationToken) {
+    if (typeof resultType === "function") {
+      [resultType, continuation, cancellationToken] = ["any", resultType, continuation];
+    }
+    if (typeof continuation !== "function") {
+      throw new TypeError("ContinueWith expects a continuation function.");
+    }
+    return new SaladTask(resultType, async token => {
+      await this._promise.catch(() => {});
+      token.throwIfCancellationRequested();
+      return continuation(this, token);
+    }, cancellationToken ?? CancellationToken.None);
   }
 
   /**
-   * Returns the underlying plain object.
-   * @returns {Object}
+   * Attaches callbacks for the result or exception, as for a promise.
+   * @param {Function} [onFulfilled]
+   * @param {Function} [onRejected]
+   * @returns {Promise<any>}
    */
-  valueOf() {
-    return this._obj;
+  then(onFulfilled, onRejected) {
+    return this._promise.then(onFulfilled, onRejected);
   }
-}
-
-/***********************************************************
- * TypedIf function
-***********************************************************/
 
-/**
- * Ensures both arguments have a `.type` property and optionally compares their values.
- *
- * @function TypedIf
- * @param {object} expr1 - A typed object (e.g., SaladInt, SaladString, etc.).
- * @param {object} expr2 - Another typed object of the same type.
- * @param {Function} onEqual - Callback if `expr1.valueOf() === expr2.valueOf()`.
- * @param {Function} [onNotEqual] - Optional callback if they differ.
- * @throws {TypeError} If either argument is untyped or their types differ.
- */
-function TypedIf(expr1, expr2, onEqual, onNotEqual) {
-  if (expr1?.type === undefined) {
-    throw new TypeError(
-      "Parameter 'expr1' is untyped (either not a TypeSalad variable or incorrectly defined)."
-    );
-  }
-  if (expr2?.type === undefined) {
-    throw new TypeError(
-      "Parameter 'expr2' is untyped (either not a TypeSalad variable or incorrectly defined)."
-    );
+  /**
+   * Attaches a callback for the exception, as for a promise.
+   * @param {Function} onRejected
+   * @returns {Promise<any>}
+   */
+  catch(onRejected) {
+    return this._promise.catch(onRejected);
   }
-  if (expr1.type !== expr2.type) {
-    throw new TypeError(
-      `Parameter 'expr2' was type '${expr2.type}' but 'expr1' is type '${expr1.type}'.`
-    );
+
+  /**
+   * Attaches a callback for when the task finishes, as for a promise.
+   * @param {Function} onFinally
+   * @returns {Promise<any>}
+   */
+  finally(onFinally) {
+    return this._promise.finally(onFinally);
   }
-  if (expr1.valueOf() === expr2.valueOf()) {
-    if (typeof onEqual === 'function') {
-      onEqual();
-    }
-  } else if (typeof onNotEqual === 'function') {
-    onNotEqual();
+
+  /**
+   * Returns e.g. `Task<Int> (RanToCompletion)`.
+   * @returns {SaladString}
+   */
+  toString() {
+    return new SaladString(`${this.type} (${this._status})`);
   }
 }
 
 /***************************************************************
- * _System class with async UsePackage (dynamic import)
+ * _System class with UsePackage (dynamic import, returns a SaladTask)
  ***************************************************************/
 
 /**
@@ -870,20 +9653,23 @@ class _System extends EventEmitter {
      * @type {Object.<string, any>}
      */
     this.Storage = {};
+
+    this.defineEvent("printCalled", ["String"]);
+    this.defineEvent("packageUsed", ["string"]);
   }
 
   /**
    * Prints a typed string to the console (must have `type === 'String'`).
    * @param {SaladString} value - The typed string value.
-   * @throws {TypeError} If `value.type !== 'String'`.
+   * @throws {TypeError} If `value` is not assignable to 'String'.
    */
   Print(value) {
-    if (value.type === 'String') {
+    if (isAssignableTo(value, 'String')) {
       console.log(value.toString());
       this.emit('printCalled', value);
     } else {
       throw new TypeError(
-        `Print expected 'String', got '${value.type}'.`
+        `Print expected 'String', got '${value?.type}'.`
       );
     }
   }
@@ -900,8 +9686,8 @@ class _System extends EventEmitter {
   Concat(expr1, expr2) {
     if (expr1.type != undefined) {
       if (expr2.type != undefined) {
-        if (expr1.type === expr2.type) {
-          if (expr1.type === "String" || expr1.type === "Int") {
+        if (isAssignableTo(expr2, expr1.type) || isAssignableTo(expr1, expr2.type)) {
+          if (["String", "Int"].some(t => isAssignableTo(expr1, t) && isAssignableTo(expr2, t))) {
             return new SaladString(`${expr1.valueOf()}${expr2.valueOf()}`);
           } else {
             throw new TypeError(
@@ -927,21 +9713,23 @@ class _System extends EventEmitter {
 
   /**
    * Stores typed data in System storage, ensuring type safety if a key already exists.
+   * A key first stored with a `SaladNullable` then accepts a `T` or `null`
+   * (kept wrapped in a `Nullable<T>`).
    *
    * @param {string} key - The storage key.
    * @param {TypeSalad} value - The typed value to store.
    * @throws {TypeError} If the existing key expects a different type or if it contains an untyped variable.
    */
   StoreData(key, value) {
-    if (this.Storage[key] == undefined) {
+    if (!Object.hasOwn(this.Storage, key)) {
       console.warn(`Key ${key} is undefined in System`);
       this.Storage[key] = value;
     } else {
       if (this.Storage[key] != undefined && this.Storage[key].type != undefined) {
-        if (this.Storage[key].type === value.type) {
-          this.Storage[key] = value;
+        if (isAssignableTo(value, this.Storage[key].type)) {
+          this.Storage[key] = liftNullable(value, this.Storage[key].type);
         } else {
-          throw new TypeError(`Key ${key} expected type ${this.Storage[key].type}, got ${value.key}`);
+          throw new TypeError(`Key ${key} expected type ${this.Storage[key].type}, got ${value?.type}`);
         }
       } else {
         throw new TypeError(`Key ${key} contains an untyped variable.`);
@@ -963,36 +9751,96 @@ class _System extends EventEmitter {
 
   /**
    * Dynamically imports a package and initializes it, storing it in `this.Packages`.
+   * A canceled token stops the package from being enabled (the module
+   * import itself can't be interrupted).
    *
-   * @async
    * @param {string} packageName - The unique name/key to refer to the package.
    * @param {string} packagePath - The path to the .mjs file for dynamic import.
-   * @param {string} [exportName=packageName] - The named export to instantiate.
-   * @throws {ReferenceError} If the package is already enabled or the export is not found.
+   * @param {string|CancellationToken} [exportName=packageName] - The named export to instantiate;
+   *   pass a token here instead to use the default export name.
+   * @param {CancellationToken} [cancellationToken=CancellationToken.None]
+   * @returns {SaladTask} A `Task<void>`.
+   * @throws {ReferenceError} If the package is already enabled or the export is not found (the task faults).
    */
-  async UsePackage(packageName, packagePath, exportName = packageName) {
-    if (!this.Packages[packageName]) {
-      this.Packages[packageName] = { enabled: false, instance: null };
+  UsePackage(packageName, packagePath, exportName = packageName, cancellationToken = CancellationToken.None) {
+    if (exportName instanceof CancellationToken) {
+      cancellationToken = exportName;
+      exportName = packageName;
     }
+    return new SaladTask("void", async token => {
+      if (!this.Packages[packageName]) {
+        this.Packages[packageName] = { enabled: false, instance: null };
+      }
 
-    if (this.Packages[packageName].enabled) {
-      throw new ReferenceError(`${packageName} is already enabled.`);
-    }
+      if (this.Packages[packageName].enabled) {
+        throw new ReferenceError(`${packageName} is already enabled.`);
+      }
+
+      const mod = await import(packagePath);
+      token.throwIfCancellationRequested();
+      const PkgClass = mod[exportName];
+      if (!PkgClass) {
+        throw new ReferenceError(
+          `Export '${exportName}' not found in '${packagePath}'.`
+        );
+      }
+
+      const instance = new PkgClass();
+      this.Packages[packageName].enabled = true;
+      this.Packages[packageName].instance = instance;
+
+      console.warn(`Enabled Package '${packageName}' from '${packagePath}'`);
+      this.emit("packageUsed", packageName);
+    }, cancellationToken);
+  }
+
+  /**
+   * Looks up a registered type by name (like C#'s `Type.GetType`).
+   * Accepts a namespace-qualified name ("SaladMath.Vector"), a short name
+   * if it is unambiguous ("Vector"), or a constructed generic name ("List<Int>").
+   *
+   * @param {string} name - The type name.
+   * @returns {TypeInfo|null} The type, or `null` if no such type is registered.
+   * @throws {TypeError} If a short name matches types in several namespaces.
+   */
+  GetType(name) {
+    return findType(name);
+  }
 
-    const mod = await import(packagePath);
-    const PkgClass = mod[exportName];
-    if (!PkgClass) {
-      throw new ReferenceError(
-        `Export '${exportName}' not found in '${packagePath}'.`
+  /**
+   * Returns reflection information about a typed value.
+   *
+   * @param {TypeSalad} value - The typed value.
+   * @returns {TypeInfo} The value's registered type, or an ad-hoc TypeInfo for unregistered subclasses.
+   * @throws {TypeError} If `value` is untyped.
+   */
+  typeOf(value) {
+    if (value?.type === undefined) {
+      throw new TypeError(
+        "Parameter 'value' is untyped (either not a TypeSalad variable or incorrectly defined)."
       );
     }
+    const { name, args } = parseTypeName(value.type);
+    const genericArguments = value.genericArguments ?? args;
+    const info = nearestRegisteredType(value.constructor);
+    if (info && (info.name === name || info.fullName === name)) {
+      if (genericArguments.length === 0 && value.constructor === info.ctor) {
+        return info;
+      }
+      return new TypeInfo(info.fullName, info.ctor, info.fields, genericArguments, value.constructor);
+    }
+    return new TypeInfo(name, value.constructor, {}, genericArguments);
+  }
 
-    const instance = new PkgClass();
-    this.Packages[packageName].enabled = true;
-    this.Packages[packageName].instance = instance;
-
-    console.warn(`Enabled Package '${packageName}' from '${packagePath}'`);
-    this.emit("packageUsed", packageName);
+  /**
+   * Lists registered types.
+   *
+   * @param {string} [namespace] - Only list types in this namespace.
+   * @returns {TypeInfo[]}
+   */
+  GetTypes(namespace) {
+    const types = [...typeRegistry.values()];
+    return namespace === undefined ? types : types.filter(t => t.namespace === namespace);
   }
 
   /**
@@ -1038,6 +9886,162 @@ class _System extends EventEmitter {
   }
 }
 
+/***************************************************************
+ * Register the built-in types
+ ***************************************************************/
+
+registerType("TypeSalad", TypeSalad);
+registerType("TypeSalad.String", SaladString);
+registerType("TypeSalad.StringBuilder", SaladStringBuilder);
+registerType("TypeSalad.Integer", SaladInteger);
+for (const IntegerType of [SaladByte, SaladSByte, SaladShort, SaladUShort, SaladInt, SaladUInt, SaladLong, SaladULong]) {
+  registerType(`TypeSalad.${IntegerType.TypeName}`, IntegerType);
+}
+registerType("TypeSalad.Vec2", SaladVec2, { fields: { x: "any", y: "any" } });
+registerType("TypeSalad.Vec3", SaladVec3, { fields: { x: "any", y: "any", z: "any" } });
+registerType("TypeSalad.Bool", SaladBool);
+registerType("TypeSalad.Float", SaladFloat);
+registerType("TypeSalad.Decimal", SaladDecimal);
+registerType("TypeSalad.Date", SaladDate);
+registerType("TypeSalad.TimeSpan", SaladTimeSpan);
+registerType("TypeSalad.Array", SaladArray);
+registerType("TypeSalad.Object", SaladObject);
+registerType("TypeSalad.Tuple", SaladTuple);
+registerType("TypeSalad.List", SaladList);
+registerType("TypeSalad.GenericList", GenericListBase);
+registerType("TypeSalad.Dictionary", SaladDictionary);
+registerType("TypeSalad.HashSet", SaladHashSet);
+registerType("TypeSalad.Queue", SaladQueue);
+registerType("TypeSalad.Stack", SaladStack);
+registerType("TypeSalad.Nullable", SaladNullable);
+registerType("TypeSalad.Task", SaladTask);
+registerType("TypeSalad.CancellationToken", CancellationToken);
+registerType("TypeSalad.CancellationTokenSource", CancellationTokenSource);
+
+/***************************************************************
+ * Register the built-in serializer converters
+ ***************************************************************/
+
+SaladSerializer.Register("TypeSalad.String", {
+  write: value => value.valueOf(),
+  read: (data, next, type) => new type.ctor(data)
+});
+SaladSerializer.Register("TypeSalad.StringBuilder", {
+  write: value => value.valueOf(),
+  read: (data, next, type) => new type.ctor(data)
+});
+SaladSerializer.Register("TypeSalad.Integer", {
+  write: value => (value.constructor.Wide ? value.valueOf().toString() : value.valueOf()),
+  read: (data, next, type) => new type.ctor(type.ctor.Wide ? BigInt(data) : data)
+});
+SaladSerializer.Register("TypeSalad.Bool", {
+  write: value => value.valueOf(),
+  read: (data, next, type) => new type.ctor(data)
+});
+SaladSerializer.Register("TypeSalad.Float", {
+  // JSON has no NaN/Infinity, so non-finite values are written as strings
+  write: value => (Number.isFinite(value.valueOf()) ? value.valueOf() : String(value.valueOf())),
+  read: (data, next, type) => new type.ctor(Number(data))
+});
+SaladSerializer.Register("TypeSalad.Decimal", {
+  write: value => ({ value: displayString(value), rounding: value.rounding }),
+  read: (data, next, type) => new type.ctor(data.value, { rounding: data.rounding })
+});
+SaladSerializer.Register("TypeSalad.Date", {
+  write: value => displayString(value),
+  read: (data, next, type) => new type.ctor(data)
+});
+SaladSerializer.Register("TypeSalad.TimeSpan", {
+  write: value => value.valueOf(),
+  read: (data, next, type) => new type.ctor(data)
+});
+SaladSerializer.Register("TypeSalad.Array", {
+  write: (value, next) => value.valueOf().map(next),
+  read: (data, next, type) => new type.ctor(data.map(next), type.genericArguments[0])
+});
+SaladSerializer.Register("TypeSalad.Object", {
+  // Computed properties are functions and are not written
+  write: (value, next) => {
+    const options = {};
+    if (value._schema) {
+      Object.assign(options, {
+        schema: value._schema,
+        optional: [...value._optional],
+        allowUnknown: value._allowUnknown,
+        dotAccess: value._dotAccess
+      });
+    }
+    if (value._notifier) {
+      options.observable = true;
+    }
+    return Object.keys(options).length > 0 ? { properties: next(value._obj), options } : { properties: next(value._obj) };
+  },
+  read: (data, next, type) => new type.ctor(next(data.properties), data.options)
+});
+SaladSerializer.Register("TypeSalad.Tuple", {
+  write: (value, next) => [...value].map(next),
+  read: (data, next, type) => new type.ctor(...data.map(next))
+});
+SaladSerializer.Register("TypeSalad.Dictionary", {
+  write: (value, next) => [...value].map(entry => [next(entry.item(0)), next(entry.item(1))]),
+  read: (data, next, type) => new type.ctor(...type.genericArguments, data.map(([key, value]) => [next(key), next(value)]))
+});
+SaladSerializer.Register("TypeSalad.Stack", {
+  // Stacks iterate top-down; write them bottom-up so pushing them back restores the order
+  write: (value, next) => value.toArray().reverse().map(next),
+  read: (data, next, type) => new type.ctor(type.genericArguments[0], data.map(next))
+});
+for (const name of ["List", "HashSet", "Queue"]) {
+  SaladSerializer.Register(`TypeSalad.${name}`, {
+    write: (value, next) => value.toArray().map(next),
+    read: (data, next, type) => new type.ctor(type.genericArguments[0], data.map(next))
+  });
+}
+SaladSerializer.Register("TypeSalad.Nullable", {
+  write: (value, next) => (value.hasValue ? next(value.value) : null),
+  read: (data, next, type) => new type.ctor(type.genericArguments[0], next(data))
+});
+
+/***************************************************************
+ * Reserve binary extension codes for the built-in types
+ * (non-generic values only: `Array<Int>` or `Nullable<Int>` is
+ * stored with its type name)
+ ***************************************************************/
+
+[
+  "String", "Bool", "Float", "Decimal", "Date", "Array", "Object", "Tuple", "Vec2", "Vec3",
+  "Byte", "SByte", "Short", "UShort", "Int", "UInt", "Long", "ULong", "TimeSpan"
+].forEach((name, i) => SaladBinary._register(`TypeSalad.${name}`, 2 + i, undefined, 2));
+
+/***************************************************************
+ * Built-in numeric conversions: widening is implicit, narrowing
+ * (and anything that can lose digits) is explicit
+ ***************************************************************/
+
+for (const from of numericConversionOrder.slice(0, 8)) {
+  const source = typeRegistry.get(`TypeSalad.${from}`).ctor;
+  for (const to of numericConversionOrder.slice(0, 8)) {
+    const target = typeRegistry.get(`TypeSalad.${to}`).ctor;
+    if (from !== to) {
+      Convert.Register(from, to, (value, type) => narrowInteger(type.ctor, BigInt(value.valueOf())), {
+        implicit: target.MinValue <= source.MinValue && target.MaxValue >= source.MaxValue
+      });
+    }
+  }
+  Convert.Register(from, "Float", value => new SaladFloat(Number(value.valueOf())), { implicit: true });
+  Convert.Register(from, "Decimal", value => SaladDecimal.FromInt(value), { implicit: true });
+  Convert.Register("Float", from, (value, type) => {
+    if (!Number.isFinite(value.valueOf())) {
+      throw new RangeError(`Value '${value.valueOf()}' cannot be converted to '${type.name}'.`);
+    }
+    return narrowInteger(type.ctor, BigInt(Math.trunc(value.valueOf())));
+  });
+  Convert.Register("Decimal", from, (value, type) =>
+    narrowInteger(type.ctor, SaladDecimal._rescale(value._units, value._scale, 0, SaladDecimal.Rounding.Truncate)));
+}
+Convert.Register("Float", "Decimal", value => SaladDecimal.FromFloat(value));
+Convert.Register("Decimal", "Float", value => value.toFloat());
+
 /***************************************************************
  * Create the Singleton `System`
  ***************************************************************/
@@ -1060,28 +10064,88 @@ export {
   Overloadable,
   addMetadata,
   getMetadata,
+  getOwnMetadata,
+  hasMetadata,
+  getOwnMetadataKeys,
+  getMetadataKeys,
+  Attribute,
   QueryableArray,
   createGenericList,
+  typedFunction,
+  defineRecord,
+  defineEnum,
+  defineInterface,
+  implementInterfaces,
+  SaladInterface,
+  isAssignableTo,
+  registerType,
+  TypeInfo,
   EventEmitter,
+  makeObservable,
+  batch,
 
   // Base class
   TypeSalad,
 
   // Typed classes
   SaladString,
-  SaladInt,
+  SaladStringBuilder,
   SaladVec2,
   SaladVec3,
 
+  // Integral numeric types
+  SaladInteger,
+  SaladByte,
+  SaladSByte,
+  SaladShort,
+  SaladUShort,
+  SaladInt,
+  SaladUInt,
+  SaladLong,
+  SaladULong,
+  checked,
+  unchecked,
+
   // Additional typed classes
   SaladBool,
   SaladFloat,
+  SaladDecimal,
   SaladDate,
+  SaladTimeSpan,
+  DayOfWeek,
   SaladArray,
   SaladObject,
+  SaladTuple,
+  SaladNullable,
+
+  // Generic collections
+  SaladCollection,
+  SaladList,
+  SaladDictionary,
+  SaladHashSet,
+  SaladQueue,
+  SaladStack,
+
+  // Serialization
+  SaladSerializer,
+  SaladBinary,
+
+  // Conversions
+  Convert,
+  cast,
+
+  // Tasks and cancellation
+  SaladTask,
+  CancellationToken,
+  CancellationTokenSource,
+  OperationCanceledError,
+  TimeoutError,
 
-  // The typed if function
+  // The TypedIf family and pattern matching
   TypedIf,
+  TypedCompare,
+  TypedWhen,
+  Match,
 
   // The System singleton
   System
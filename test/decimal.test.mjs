@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SaladDecimal, SaladInt } from "../TypeSalad.mjs";
+
+const dec = text => new SaladDecimal(text);
+const text = value => value.toString().valueOf();
+
+test("adds, subtracts and multiplies exactly", () => {
+  assert.equal(text(dec("0.1").add(dec("0.2"))), "0.3");
+  assert.equal(text(dec("1.00").subtract(dec("0.25"))), "0.75");
+  assert.equal(text(dec("1.5").multiply(dec("1.5"))), "2.25");
+});
+
+test("divides at full precision by default", () => {
+  assert.equal(text(dec("10").divide(dec("4"))), "2.5");
+  assert.equal(text(dec("10.00").divide(dec("4"))), "2.50");
+  assert.match(text(dec("1").divide(dec("3"))), /^0\.3{20,}$/);
+  assert.equal(text(dec("1").divide(dec("3"), 2)), "0.33");
+  assert.throws(() => dec("1").divide(dec("0")), RangeError);
+});
+
+test("valueOf returns a number, and equality ignores trailing zeros", () => {
+  assert.equal(dec("2.50").valueOf(), 2.5);
+  assert.ok(dec("2.50").equals(dec("2.5")));
+  assert.equal(dec("2.50").hashCode(), dec("2.5").hashCode());
+  assert.equal(dec("2.5").compareTo(dec("2.49")), 1);
+});
+
+test("converts from and to integers", () => {
+  assert.equal(text(SaladDecimal.FromInt(new SaladInt(7))), "7");
+  assert.equal(dec("7.9").toInt().valueOf(), 7);
+});
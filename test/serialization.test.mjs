@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SaladSerializer, SaladBinary, SaladInt, SaladLong, SaladString, SaladDecimal, SaladList,
+  SaladDictionary, SaladNullable, DayOfWeek, TypeSalad, createGenericList, defineRecord, isAssignableTo
+} from "../TypeSalad.mjs";
+
+const Point = defineRecord("Tests.Point", { x: "Int", y: "Int" });
+
+const samples = () => [
+  new SaladInt(42),
+  new SaladLong(2n ** 60n),
+  new SaladString("salad"),
+  new SaladDecimal("12.50"),
+  new SaladList("Int", [new SaladInt(1), new SaladInt(2)]),
+  new SaladDictionary("String", "Int", [[new SaladString("a"), new SaladInt(1)]]),
+  new SaladNullable("Int", new SaladInt(5)),
+  new SaladNullable("Int"),
+  DayOfWeek.Friday,
+  new Point(new SaladInt(1), new SaladInt(2))
+];
+
+for (const [format, roundTrip] of [
+  ["JSON", value => SaladSerializer.Deserialize(SaladSerializer.Serialize(value))],
+  ["binary", value => SaladBinary.Decode(SaladBinary.Encode(value))]
+]) {
+  test(`${format} round-trips typed values`, () => {
+    for (const value of samples()) {
+      const copy = roundTrip(value);
+      assert.equal(copy.type, value.type);
+      assert.ok(TypeSalad.equals(copy, value), `${value.type} changed in a ${format} round trip`);
+    }
+  });
+
+  test(`${format} round-trips a createGenericList list as a GenericList`, () => {
+    const IntList = createGenericList("Int");
+    const copy = roundTrip(new IntList(new SaladInt(3)));
+    assert.equal(copy.type, "List<Int>");
+    assert.ok(isAssignableTo(copy, "GenericList<Int>"));
+    assert.throws(() => copy.add(new SaladString("x")), TypeError);
+  });
+
+  test(`${format} rejects objects that aren't plain`, () => {
+    const write = format === "JSON" ? SaladSerializer.Serialize : SaladBinary.Encode;
+    assert.throws(() => write(new Map([["a", 1]])), TypeError);
+    assert.throws(() => write({ items: new Set([1]) }), TypeError);
+  });
+}
+
+test("JSON writes raw dates as ISO strings", () => {
+  const data = SaladSerializer.ToData({ at: new Date(Date.UTC(2024, 0, 2)) });
+  assert.deepEqual(data, { at: "2024-01-02T00:00:00.000Z" });
+});
+
+test("binary keeps raw dates as timestamps", () => {
+  const at = new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 6));
+  assert.equal(SaladBinary.Decode(SaladBinary.Encode({ at })).at.getTime(), at.getTime());
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SaladTask, SaladInt, CancellationToken, CancellationTokenSource, OperationCanceledError
+} from "../TypeSalad.mjs";
+
+test("a task completes with a checked result", async () => {
+  const task = new SaladTask("Int", async () => new SaladInt(42));
+  assert.equal((await task).valueOf(), 42);
+  assert.equal(task.status, "RanToCompletion");
+  await assert.rejects(new SaladTask("Int", () => "text"), TypeError);
+});
+
+test("canceling a token cancels a pending delay", async () => {
+  const cts = new CancellationTokenSource();
+  const delay = SaladTask.Delay(10000, cts.token);
+  cts.cancel();
+  await assert.rejects(delay, OperationCanceledError);
+  assert.equal(delay.status, "Canceled");
+});
+
+test("a canceled task nobody awaits isn't an unhandled rejection", async () => {
+  const unhandled = [];
+  const onUnhandled = reason => unhandled.push(reason);
+  process.on("unhandledRejection", onUnhandled);
+  try {
+    const cts = new CancellationTokenSource();
+    const delay = SaladTask.Delay(10000, cts.token);
+    cts.cancel();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(delay.status, "Canceled");
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off("unhandledRejection", onUnhandled);
+  }
+});
+
+test("cancelAfter and linked sources cancel their tokens", async () => {
+  const parent = new CancellationTokenSource();
+  const linked = CancellationTokenSource.CreateLinkedTokenSource(parent.token);
+  parent.cancelAfter(5);
+  await assert.rejects(SaladTask.Delay(10000, linked.token), OperationCanceledError);
+  assert.ok(linked.token.isCancellationRequested);
+  assert.equal(CancellationToken.None.isCancellationRequested, false);
+});
+
+test("WhenAll collects results and WhenAny returns the winner's index", async () => {
+  const tasks = [SaladTask.FromResult("Int", new SaladInt(1)), SaladTask.FromResult("Int", new SaladInt(2))];
+  assert.deepEqual((await SaladTask.WhenAll(tasks)).valueOf().map(v => v.valueOf()), [1, 2]);
+  const cts = new CancellationTokenSource();
+  const index = await SaladTask.WhenAny([SaladTask.Delay(1), SaladTask.Delay(10000, cts.token)]);
+  assert.equal(index.valueOf(), 0);
+  cts.cancel();
+});